@@ -0,0 +1,171 @@
+'use strict';
+
+const { SQSClient } = require('@aws-sdk/client-sqs');
+const { S3Client } = require('@aws-sdk/client-s3');
+const { SSMClient } = require('@aws-sdk/client-ssm');
+const { RAMClient } = require('@aws-sdk/client-ram');
+const { STSClient } = require('@aws-sdk/client-sts');
+const { captureAWSv3Client } = require('aws-xray-sdk-core');
+
+const RoleCredentials = require('./role-credentials');
+const SqsEmitterError = require('../sqs-emitter-error');
+
+/**
+ * @typedef {'sqs' | 's3' | 'ssm' | 'ram' | 'sts'} AwsService
+ */
+
+/**
+ * @typedef {Object} AwsClientsOptions
+ * @property {string} [region] - The region used by every client. S3 clients always use the region of the bucket.
+ * @property {string | Partial<Record<AwsService, string>>} [endpoint] - A custom endpoint for every client, or an object with an endpoint per service.
+ * @property {Object|Function} [credentials] - The credentials or credentials provider used by every client.
+ * @property {number} [maxAttempts] - Max attempts of the SDK for every request.
+ * @property {boolean} [xray] - Whether the clients are instrumented with AWS X-Ray. Defaults to true.
+ * @property {{ sqs?: SQSClient, s3?: S3Client, ssm?: SSMClient, ram?: RAMClient, sts?: STSClient }} [clients] - Prebuilt clients, used as they are.
+ */
+
+const clientClasses = {
+	sqs: SQSClient,
+	s3: S3Client,
+	ssm: SSMClient,
+	ram: RAMClient,
+	sts: STSClient
+};
+
+/**
+ * Ids of the prebuilt clients and credentials providers, which cannot be serialized in a configuration key
+ * @type {WeakMap<Object, number>}
+ */
+const objectIds = new WeakMap();
+
+let lastObjectId = 0;
+
+const getObjectId = object => {
+
+	if(!objectIds.has(object))
+		objectIds.set(object, ++lastObjectId);
+
+	return objectIds.get(object);
+};
+
+module.exports = class AwsClients {
+
+	/**
+	 * @param {AwsClientsOptions} [options]
+	 */
+	constructor(options = {}) {
+		/** @private */
+		this.options = options;
+		/** @private */
+		this.clients = new Map();
+	}
+
+	/** @type {SQSClient} */
+	get sqs() {
+		return this.getClient('sqs');
+	}
+
+	/** @type {SSMClient} */
+	get ssm() {
+		return this.getClient('ssm');
+	}
+
+	/** @type {RAMClient} */
+	get ram() {
+		return this.getClient('ram');
+	}
+
+	/** @type {STSClient} */
+	get sts() {
+		return this.getClient('sts');
+	}
+
+	/**
+	 * @param {string} region - The region of the bucket.
+	 * @param {string} [roleArn] - The role of the bucket, if it has one. The client reads its cached credentials on every request,
+	 * so the same client is used when they are renewed.
+	 * @returns {S3Client}
+	 * @throws {SqsEmitterError} With the `ASSUME_ROLE_ERROR` code if the bucket has a role and the S3 client is prebuilt, since its credentials cannot be replaced.
+	 */
+	getS3Client(region, roleArn) {
+
+		if(roleArn && this.options.clients?.s3) {
+			throw new SqsEmitterError(
+				`Unable to assume the role ${roleArn} - The prebuilt S3 client cannot use the credentials of a role`,
+				SqsEmitterError.codes.ASSUME_ROLE_ERROR
+			);
+		}
+
+		return this.getClient('s3', {
+			region,
+			...roleArn && { credentials: () => RoleCredentials.get(roleArn, this) }
+		}, `${region}:${roleArn || ''}`);
+	}
+
+	/**
+	 * Identifies the configuration of the clients of a service, so the values obtained with them,
+	 * like the credentials of an assumed role, are only shared by emitters with the same configuration.
+	 *
+	 * @param {AwsService} service
+	 * @returns {string}
+	 */
+	getConfigKey(service) {
+
+		const {
+			region, endpoint, credentials, clients
+		} = this.options;
+
+		if(clients?.[service])
+			return `client-${getObjectId(clients[service])}`;
+
+		const serviceEndpoint = typeof endpoint === 'object' ? endpoint[service] : endpoint;
+		const credentialsKey = typeof credentials === 'function' ? `provider-${getObjectId(credentials)}` : credentials?.accessKeyId;
+
+		return [region, serviceEndpoint, credentialsKey].map(value => value || '').join('|');
+	}
+
+	/**
+	 * Returns the prebuilt client of the service, or creates and caches a new one with the shared configuration.
+	 *
+	 * @private
+	 * @param {AwsService} service
+	 * @param {Object} [config] - Configuration that overrides the shared one.
+	 * @param {string} [configKey] - Identifies the configuration, so a client is created for every one.
+	 */
+	getClient(service, config, configKey = '') {
+
+		if(this.options.clients?.[service])
+			return this.options.clients[service];
+
+		const clientKey = `${service}:${configKey}`;
+
+		if(!this.clients.has(clientKey))
+			this.clients.set(clientKey, this.createClient(service, config));
+
+		return this.clients.get(clientKey);
+	}
+
+	/**
+	 * @private
+	 * @param {AwsService} service
+	 * @param {Object} [config]
+	 */
+	createClient(service, config) {
+
+		const {
+			region, endpoint, credentials, maxAttempts
+		} = this.options;
+
+		const serviceEndpoint = typeof endpoint === 'object' ? endpoint[service] : endpoint;
+
+		const client = new clientClasses[service]({
+			...region && { region },
+			...serviceEndpoint && { endpoint: serviceEndpoint },
+			...credentials && { credentials },
+			...maxAttempts && { maxAttempts },
+			...config
+		});
+
+		return this.options.xray === false ? client : captureAWSv3Client(client);
+	}
+};
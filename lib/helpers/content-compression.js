@@ -0,0 +1,40 @@
+'use strict';
+
+const { promisify } = require('util');
+const zlib = require('zlib');
+
+/**
+ * @typedef {'gzip'|'br'} ContentEncoding
+ */
+
+// The keys are the values of the Content-Encoding header, so consumers can decode the content with any HTTP-aware tool
+const compressors = {
+	gzip: promisify(zlib.gzip),
+	br: promisify(zlib.brotliCompress)
+};
+
+const syncCompressors = {
+	gzip: zlib.gzipSync,
+	br: zlib.brotliCompressSync
+};
+
+/** @type {ContentEncoding[]} */
+module.exports.CONTENT_ENCODINGS = Object.keys(compressors);
+
+/**
+ * Compresses the content with the given encoding.
+ *
+ * @param {string} content - The content to compress.
+ * @param {ContentEncoding} contentEncoding - One of the `CONTENT_ENCODINGS`.
+ * @returns {Promise<Buffer>} The compressed content.
+ */
+module.exports.compressContent = (content, contentEncoding) => compressors[contentEncoding](content);
+
+/**
+ * Compresses the content with the given encoding synchronously, for the code paths that format the messages synchronously.
+ *
+ * @param {string} content - The content to compress.
+ * @param {ContentEncoding} contentEncoding - One of the `CONTENT_ENCODINGS`.
+ * @returns {Buffer} The compressed content.
+ */
+module.exports.compressContentSync = (content, contentEncoding) => syncCompressors[contentEncoding](content);
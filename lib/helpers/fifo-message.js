@@ -0,0 +1,77 @@
+'use strict';
+
+const { createHash } = require('crypto');
+
+const SqsEmitterError = require('../sqs-emitter-error');
+
+// Group and deduplication ids can have up to 128 alphanumeric or punctuation characters
+const FIFO_ID_PATTERN = /^[\x21-\x7E]{1,128}$/;
+
+/**
+ * @typedef {Object} FifoSettings
+ * @property {string} [defaultMessageGroupId] - The group id of the messages that do not set one.
+ * @property {boolean} [contentBasedDeduplication] - Whether the queue generates the deduplication ids itself.
+ */
+
+/**
+ * Generates a deduplication id that is stable for the same message: a SHA-256 hash of its group id, body and attributes.
+ *
+ * @param {Object} message - The SendMessage input or batch entry.
+ * @returns {string} The deduplication id.
+ */
+const getDeduplicationId = ({ MessageGroupId, MessageBody, MessageAttributes }) => {
+
+	const attributes = Object.entries(MessageAttributes).sort(([a], [b]) => (a < b ? -1 : 1));
+
+	return createHash('sha256')
+		.update(JSON.stringify([MessageGroupId, MessageBody, attributes]))
+		.digest('hex');
+};
+
+/**
+ * @param {string} property - The event property, used in the error message.
+ * @param {string} value - The id to validate.
+ * @param {string} code - The error code.
+ * @throws {SqsEmitterError} If the id is not valid.
+ */
+const validateFifoId = (property, value, code) => {
+
+	if(typeof value !== 'string' || !FIFO_ID_PATTERN.test(value)) {
+		throw new SqsEmitterError(
+			`Invalid ${property}: ${value}. It must have from 1 to 128 alphanumeric or punctuation characters`,
+			code
+		);
+	}
+};
+
+/**
+ * Applies the FIFO queue requirements to a message:
+ * - The `MessageGroupId` is required. The `defaultMessageGroupId` is used when the message does not set one.
+ * - A `MessageDeduplicationId` is generated when the message does not set one, unless the queue has content-based deduplication.
+ *
+ * @param {Object} message - The SendMessage input or batch entry.
+ * @param {FifoSettings} fifoSettings - The FIFO settings of the call.
+ * @returns {Object} The message with its group and deduplication ids.
+ * @throws {SqsEmitterError} If the group id is missing or the ids are not valid.
+ */
+module.exports.formatFifoMessage = (message, { defaultMessageGroupId, contentBasedDeduplication }) => {
+
+	const { MessageGroupId = defaultMessageGroupId, MessageDeduplicationId } = message;
+
+	if(typeof MessageGroupId === 'undefined')
+		throw new SqsEmitterError('The messageGroupId is required in FIFO queues', SqsEmitterError.codes.MISSING_MESSAGE_GROUP_ID);
+
+	validateFifoId('messageGroupId', MessageGroupId, SqsEmitterError.codes.INVALID_MESSAGE_GROUP_ID);
+
+	if(typeof MessageDeduplicationId !== 'undefined')
+		validateFifoId('messageDeduplicationId', MessageDeduplicationId, SqsEmitterError.codes.INVALID_DEDUPLICATION_ID);
+
+	const fifoMessage = { ...message, MessageGroupId };
+
+	if(typeof MessageDeduplicationId === 'undefined' && !contentBasedDeduplication)
+		fifoMessage.MessageDeduplicationId = getDeduplicationId(fifoMessage);
+
+	return fifoMessage;
+};
+
+module.exports.getDeduplicationId = getDeduplicationId;
@@ -0,0 +1,223 @@
+'use strict';
+
+const SqsEmitterError = require('../sqs-emitter-error');
+
+// SQS accepts up to 10 attributes per message
+const MAX_MESSAGE_ATTRIBUTES = 10;
+
+const ATTRIBUTE_NAME_PATTERN = /^[a-zA-Z0-9_.-]{1,256}$/;
+
+const RESERVED_NAME_PREFIX_PATTERN = /^(aws|amazon)\./i;
+
+const DATA_TYPE_PATTERN = /^(?<baseType>String|Number|Binary)(?:\.[a-zA-Z0-9_.-]+)?$/;
+
+const MAX_DATA_TYPE_LENGTH = 256;
+
+/**
+ * @typedef {Object} AttributeDescriptor
+ * @property {string} dataType - The SQS data type: `String`, `Number` or `Binary`, optionally with a custom type suffix like `Number.float`.
+ * @property {*} value - The attribute value.
+ */
+
+/**
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isBinary = value => value instanceof Uint8Array;
+
+/**
+ * @param {*} value
+ * @returns {value is AttributeDescriptor}
+ */
+const isDescriptor = value => !!value
+	&& typeof value === 'object'
+	&& typeof value.dataType === 'string'
+	&& 'value' in value;
+
+/**
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isPlainObject = value => Object.prototype.toString.call(value) === '[object Object]';
+
+/**
+ * @param {*} value
+ * @returns {string}
+ */
+const stringifyValue = value => {
+
+	if(value instanceof Date) {
+
+		if(Number.isNaN(value.getTime()))
+			throw new SqsEmitterError('Invalid attribute value: invalid date', SqsEmitterError.codes.INVALID_ATTRIBUTE_VALUE);
+
+		return value.toISOString();
+	}
+
+	if(Array.isArray(value) || isPlainObject(value))
+		return JSON.stringify(value);
+
+	return String(value);
+};
+
+/**
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isEmpty = value => value === undefined || value === null || (isDescriptor(value) && (value.value === undefined || value.value === null));
+
+/**
+ * Returns the attributes that must be sent, skipping the ones with undefined or null values.
+ * Optionally, nested plain objects are flattened using periods to join the keys: `{ a: { b: 1 } }` is returned as `[['a.b', 1]]`.
+ *
+ * @param {Object<string, *>} attributes - The event attributes.
+ * @param {boolean} [flatten] - Whether nested plain objects must be flattened.
+ * @param {string} [prefix] - Used internally to build the keys of nested objects.
+ * @returns {Array<[string, *]>} The attribute names and values.
+ */
+const getAttributeEntries = (attributes, flatten, prefix = '') => Object.entries(attributes).flatMap(([key, value]) => {
+
+	if(isEmpty(value))
+		return [];
+
+	const name = `${prefix}${key}`;
+
+	if(flatten && isPlainObject(value) && !isDescriptor(value))
+		return getAttributeEntries(value, flatten, `${name}.`);
+
+	return [[name, value]];
+});
+
+module.exports.MAX_MESSAGE_ATTRIBUTES = MAX_MESSAGE_ATTRIBUTES;
+
+module.exports.getAttributeEntries = getAttributeEntries;
+
+/**
+ * Formats a value as an SQS message attribute.
+ * - Explicit `{ dataType, value }` descriptors are honoured, including custom type suffixes like `Number.float`.
+ * - Finite numbers are sent as `Number` attributes.
+ * - `Buffer` and `Uint8Array` values are sent as `Binary` attributes.
+ * - Arrays and plain objects are JSON-stringified and sent as `String` attributes.
+ * - Dates are sent as `String` attributes in ISO-8601 format.
+ * - Any other value is converted to a string and sent as a `String` attribute.
+ *
+ * @param {*} value - The attribute value or descriptor.
+ * @returns {import('@aws-sdk/client-sqs').MessageAttributeValue}
+ */
+module.exports.formatMessageAttribute = value => {
+
+	if(isDescriptor(value)) {
+
+		const [baseType] = value.dataType.split('.');
+
+		if(baseType === 'Binary') {
+			return {
+				DataType: value.dataType,
+				BinaryValue: isBinary(value.value) ? value.value : Buffer.from(String(value.value))
+			};
+		}
+
+		return {
+			DataType: value.dataType,
+			StringValue: stringifyValue(value.value)
+		};
+	}
+
+	if(typeof value === 'number' && Number.isFinite(value)) {
+		return {
+			DataType: 'Number',
+			StringValue: String(value)
+		};
+	}
+
+	if(isBinary(value)) {
+		return {
+			DataType: 'Binary',
+			BinaryValue: value
+		};
+	}
+
+	return {
+		DataType: 'String',
+		StringValue: stringifyValue(value)
+	};
+};
+
+/**
+ * Validates an attribute name following the SQS rules.
+ *
+ * @param {string} name - The attribute name.
+ * @param {string[]} reservedNames - Names that are set by the emitter and cannot be overwritten.
+ * @throws {SqsEmitterError} If the name is reserved or not valid.
+ */
+module.exports.validateAttributeName = (name, reservedNames) => {
+
+	if(reservedNames.includes(name))
+		throw new SqsEmitterError(`The attribute name ${name} is reserved by the emitter`, SqsEmitterError.codes.RESERVED_ATTRIBUTE_NAME);
+
+	if(RESERVED_NAME_PREFIX_PATTERN.test(name)) {
+		throw new SqsEmitterError(
+			`Invalid attribute name ${name}: the AWS. and Amazon. prefixes are reserved`,
+			SqsEmitterError.codes.RESERVED_ATTRIBUTE_NAME
+		);
+	}
+
+	if(!ATTRIBUTE_NAME_PATTERN.test(name)) {
+		throw new SqsEmitterError(
+			`Invalid attribute name ${name}: it must have from 1 to 256 alphanumeric characters, hyphens, underscores or periods`,
+			SqsEmitterError.codes.INVALID_ATTRIBUTE_NAME
+		);
+	}
+
+	if(name.startsWith('.') || name.endsWith('.') || name.includes('..')) {
+		throw new SqsEmitterError(
+			`Invalid attribute name ${name}: it cannot start or end with a period or have consecutive periods`,
+			SqsEmitterError.codes.INVALID_ATTRIBUTE_NAME
+		);
+	}
+};
+
+/**
+ * Validates the data type and value of a formatted attribute following the SQS rules.
+ *
+ * @param {string} name - The attribute name.
+ * @param {import('@aws-sdk/client-sqs').MessageAttributeValue} attribute - The formatted attribute.
+ * @throws {SqsEmitterError} If the data type or the value are not valid.
+ */
+module.exports.validateAttributeValue = (name, { DataType, StringValue, BinaryValue }) => {
+
+	const baseType = DataType.length <= MAX_DATA_TYPE_LENGTH && DataType.match(DATA_TYPE_PATTERN)?.groups.baseType;
+
+	if(!baseType)
+		throw new SqsEmitterError(`Invalid data type ${DataType} for attribute ${name}`, SqsEmitterError.codes.INVALID_ATTRIBUTE_VALUE);
+
+	if(baseType === 'Binary') {
+
+		if(!BinaryValue.length)
+			throw new SqsEmitterError(`Invalid value for attribute ${name}: binary values cannot be empty`, SqsEmitterError.codes.INVALID_ATTRIBUTE_VALUE);
+
+		return;
+	}
+
+	if(!StringValue.length)
+		throw new SqsEmitterError(`Invalid value for attribute ${name}: values cannot be empty`, SqsEmitterError.codes.INVALID_ATTRIBUTE_VALUE);
+
+	if(baseType === 'Number' && !Number.isFinite(Number(StringValue)))
+		throw new SqsEmitterError(`Invalid value for attribute ${name}: ${StringValue} is not a number`, SqsEmitterError.codes.INVALID_ATTRIBUTE_VALUE);
+};
+
+/**
+ * @param {Object<string, import('@aws-sdk/client-sqs').MessageAttributeValue>} attributes - Every attribute of the message.
+ * @throws {SqsEmitterError} If the message has more attributes than allowed by SQS.
+ */
+module.exports.validateAttributesCount = attributes => {
+
+	const attributesCount = Object.keys(attributes).length;
+
+	if(attributesCount > MAX_MESSAGE_ATTRIBUTES) {
+		throw new SqsEmitterError(
+			`The message has ${attributesCount} attributes, but the maximum is ${MAX_MESSAGE_ATTRIBUTES}, including the ones added by the emitter`,
+			SqsEmitterError.codes.TOO_MANY_ATTRIBUTES
+		);
+	}
+};
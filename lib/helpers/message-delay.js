@@ -0,0 +1,80 @@
+'use strict';
+
+const SqsEmitterError = require('../sqs-emitter-error');
+
+// 15 minutes is the maximum delay supported by SQS
+const SQS_MAX_DELAY_SECONDS = 900;
+
+const isSet = value => value !== undefined && value !== null;
+
+/**
+ * @param {number} delaySeconds
+ * @returns {number}
+ * @throws {SqsEmitterError} If the delay is not an integer from 0 to 900.
+ */
+const validateDelaySeconds = delaySeconds => {
+
+	if(!Number.isInteger(delaySeconds) || delaySeconds < 0 || delaySeconds > SQS_MAX_DELAY_SECONDS) {
+		throw new SqsEmitterError(
+			`Invalid delaySeconds: ${delaySeconds}. It must be an integer from 0 to ${SQS_MAX_DELAY_SECONDS}`,
+			SqsEmitterError.codes.INVALID_DELAY
+		);
+	}
+
+	return delaySeconds;
+};
+
+/**
+ * @param {Date|string|number} scheduledAt
+ * @returns {number} The seconds from now to the scheduled date, rounded up. Dates in the past are sent without delay.
+ * @throws {SqsEmitterError} If the date is invalid or exceeds the maximum delay supported by SQS.
+ */
+const getDelayFromSchedule = scheduledAt => {
+
+	const isValidType = scheduledAt instanceof Date || ['string', 'number'].includes(typeof scheduledAt);
+	const scheduledDate = new Date(scheduledAt);
+
+	if(!isValidType || Number.isNaN(scheduledDate.getTime()))
+		throw new SqsEmitterError(`Invalid scheduledAt: ${scheduledAt}`, SqsEmitterError.codes.INVALID_DELAY);
+
+	const delaySeconds = Math.max(0, Math.ceil((scheduledDate.getTime() - Date.now()) / 1000));
+
+	if(delaySeconds > SQS_MAX_DELAY_SECONDS) {
+		throw new SqsEmitterError(
+			`Invalid scheduledAt: ${scheduledDate.toISOString()} is ${delaySeconds} seconds ahead. SQS supports delays up to ${SQS_MAX_DELAY_SECONDS} seconds`,
+			SqsEmitterError.codes.INVALID_DELAY
+		);
+	}
+
+	return delaySeconds;
+};
+
+/**
+ * Gets the `DelaySeconds` of a message from the `delaySeconds` or `scheduledAt` properties of the event.
+ * - `delaySeconds` must be an integer from 0 to 900.
+ * - `scheduledAt` can be a date, an ISO-8601 string or a timestamp in milliseconds, up to 900 seconds ahead.
+ *
+ * @param {Object} event - The event to publish.
+ * @param {number} [event.delaySeconds] - The seconds to delay the message.
+ * @param {Date|string|number} [event.scheduledAt] - The date when the message becomes available.
+ * @param {boolean} isFifo - Whether the queue is a FIFO queue, where per-message delays are not supported.
+ * @returns {number|undefined} The delay in seconds, or undefined if the event has no delay.
+ * @throws {SqsEmitterError} If the delay is not valid for the queue.
+ */
+module.exports.getDelaySeconds = ({ delaySeconds, scheduledAt }, isFifo) => {
+
+	if(!isSet(delaySeconds) && !isSet(scheduledAt))
+		return;
+
+	if(isFifo) {
+		throw new SqsEmitterError(
+			'Per-message delays are not supported in FIFO queues. Set the DelaySeconds attribute of the queue instead',
+			SqsEmitterError.codes.UNSUPPORTED_DELAY
+		);
+	}
+
+	if(isSet(delaySeconds) && isSet(scheduledAt))
+		throw new SqsEmitterError('Only one of delaySeconds and scheduledAt can be set', SqsEmitterError.codes.INVALID_DELAY);
+
+	return isSet(delaySeconds) ? validateDelaySeconds(delaySeconds) : getDelayFromSchedule(scheduledAt);
+};
@@ -0,0 +1,28 @@
+'use strict';
+
+/**
+ * Calculates the size of an SQS message the same way SQS does: the UTF-8 bytes of the body plus,
+ * for every message attribute, the bytes of its name, its data type and its value.
+ *
+ * @param {Object} message - The SendMessage input or batch entry.
+ * @param {string} [message.MessageBody] - The message body.
+ * @param {Object<string, import('@aws-sdk/client-sqs').MessageAttributeValue>} [message.MessageAttributes] - The message attributes.
+ * @returns {number} The size of the message in bytes.
+ */
+module.exports.getMessageSize = ({ MessageBody, MessageAttributes }) => {
+
+	let size = Buffer.byteLength(MessageBody ?? '');
+
+	for(const [name, { DataType, StringValue, BinaryValue }] of Object.entries(MessageAttributes ?? {})) {
+
+		size += Buffer.byteLength(name) + Buffer.byteLength(DataType);
+
+		if(typeof StringValue !== 'undefined')
+			size += Buffer.byteLength(StringValue);
+
+		if(typeof BinaryValue !== 'undefined')
+			size += BinaryValue.byteLength;
+	}
+
+	return size;
+};
@@ -1,18 +1,96 @@
 'use strict';
 
-const { SSMClient, GetParameterCommand } = require('@aws-sdk/client-ssm');
-const { RAMClient, ListResourcesCommand } = require('@aws-sdk/client-ram');
+const fs = require('fs');
 
-const { captureAWSv3Client } = require('aws-xray-sdk-core');
-const memoize = require('micro-memoize');
+const logger = require('lllog')();
+
+const { GetParameterCommand } = require('@aws-sdk/client-ssm');
+const { ListResourcesCommand } = require('@aws-sdk/client-ram');
 
 const SqsEmitterError = require('../sqs-emitter-error');
 
+// 5 minutes
+const DEFAULT_CACHE_TTL = 5 * 60 * 1000;
+
+// 30 seconds, the time to wait before fetching the parameter again after a failed background refresh
+const REFRESH_RETRY_DELAY = 30 * 1000;
+
+// Environment variables with a local bucket list, used instead of the shared parameter in local development and tests
+const LOCAL_BUCKETS_VARIABLE = 'SQS_EMITTER_BUCKETS';
+const LOCAL_BUCKETS_FILE_VARIABLE = 'SQS_EMITTER_BUCKETS_FILE';
+
 /**
  * @typedef {Object} S3BucketConfig
  * @property {string} bucketName - The name of the S3 bucket.
  * @property {string} region - The AWS region where the bucket is located.
- * @property {boolean} default - Indicates if this bucket is the default (optional).
+ * @property {string} [roleArn] - The role assumed to upload to the bucket (optional).
+ * @property {boolean} [default] - Indicates if this bucket is the default (optional).
+ */
+
+/**
+ * @typedef {Object} ParameterCacheOptions
+ * @property {number} [cacheTtl] - Milliseconds during which the cached value is considered fresh. Defaults to 5 minutes.
+ */
+
+const isNonEmptyString = value => typeof value === 'string' && !!value.length;
+
+/**
+ * @param {S3BucketConfig} bucket
+ * @returns {string|undefined} The problem of the bucket, if it is not valid.
+ */
+const getBucketError = bucket => {
+
+	if(!bucket || typeof bucket !== 'object' || Array.isArray(bucket))
+		return 'it must be an object';
+
+	if(!isNonEmptyString(bucket.bucketName))
+		return 'bucketName must be a non-empty string';
+
+	if(!isNonEmptyString(bucket.region))
+		return 'region must be a non-empty string';
+
+	if(typeof bucket.roleArn !== 'undefined' && !isNonEmptyString(bucket.roleArn))
+		return 'roleArn must be a non-empty string';
+
+	if(typeof bucket.default !== 'undefined' && typeof bucket.default !== 'boolean')
+		return 'default must be a boolean';
+};
+
+/**
+ * Validates the bucket list of the shared parameter or of a local override.
+ *
+ * @param {Array<S3BucketConfig>} buckets
+ * @throws {Error} If the list is not a non-empty array of valid buckets with at most one default bucket.
+ */
+const validateBuckets = buckets => {
+
+	if(!Array.isArray(buckets))
+		throw new Error('The bucket list must be an array');
+
+	if(!buckets.length)
+		throw new Error('The bucket list is empty');
+
+	buckets.forEach((bucket, index) => {
+
+		const bucketError = getBucketError(bucket);
+
+		if(bucketError)
+			throw new Error(`Invalid bucket at index ${index}${bucket?.bucketName ? ` (${bucket.bucketName})` : ''}: ${bucketError}`);
+	});
+
+	if(buckets.filter(bucket => bucket.default).length > 1)
+		throw new Error('Only one bucket can be the default');
+};
+
+/**
+ * The parameter is shared by every emitter, so it is cached once for the whole container, regardless of the clients used to fetch it.
+ *
+ * @type {{ value?: Array<S3BucketConfig>, updatedAt?: number, retryAt?: number, promise?: Promise<Array<S3BucketConfig>> }}
+ */
+let parameterCache = {};
+
+/**
+ * @typedef {import('./aws-clients')} AwsClients
  */
 
 class ParameterStore {
@@ -26,10 +104,117 @@ class ParameterStore {
 	}
 
 	static clearCache() {
-		ParameterStore.getParameterValue.cache.keys.length = 0;
-		ParameterStore.getParameterValue.cache.values.length = 0;
-		ParameterStore.getParameterArnFromRAM.cache.keys.length = 0;
-		ParameterStore.getParameterArnFromRAM.cache.values.length = 0;
+		parameterCache = {};
+	}
+
+	/**
+	 * Retrieves the local bucket list that overrides the shared parameter, skipping RAM and SSM. The sources are, in order:
+	 * - The received buckets, usually the `buckets` option of the emitter.
+	 * - The `SQS_EMITTER_BUCKETS` environment variable, with the bucket list as JSON.
+	 * - The `SQS_EMITTER_BUCKETS_FILE` environment variable, with the path of a JSON file with the bucket list.
+	 *
+	 * @param {Array<S3BucketConfig>|string} [buckets] - The bucket list or its JSON.
+	 * @returns {Array<S3BucketConfig>|undefined} The local bucket list, or undefined if there is no local override.
+	 * @throws {SqsEmitterError} With the `INVALID_OPTIONS` code, if the local bucket list cannot be read or is not valid.
+	 */
+	static getLocalValue(buckets) {
+
+		const localFile = process.env[LOCAL_BUCKETS_FILE_VARIABLE];
+
+		let source;
+		let readValue;
+
+		if(buckets) {
+			source = 'the buckets option';
+			readValue = () => buckets;
+		} else if(process.env[LOCAL_BUCKETS_VARIABLE]) {
+			source = `the ${LOCAL_BUCKETS_VARIABLE} environment variable`;
+			readValue = () => process.env[LOCAL_BUCKETS_VARIABLE];
+		} else if(localFile) {
+			source = `the file ${localFile}`;
+			readValue = () => fs.readFileSync(localFile, 'utf8');
+		} else
+			return;
+
+		try {
+			return this.parseValue(readValue());
+		} catch(error) {
+			throw new SqsEmitterError(`Invalid local buckets in ${source} - ${error.message}`, SqsEmitterError.codes.INVALID_OPTIONS);
+		}
+	}
+
+	/**
+	 * Parses and validates the bucket list of the shared parameter or of a local override.
+	 *
+	 * @private
+	 * @param {Array<S3BucketConfig>|string} value - The bucket list or its JSON.
+	 * @returns {Array<S3BucketConfig>}
+	 * @throws {Error} If the value is not valid JSON or not a valid bucket list.
+	 */
+	static parseValue(value) {
+
+		const buckets = typeof value === 'string' ? JSON.parse(value) : value;
+
+		validateBuckets(buckets);
+
+		return buckets;
+	}
+
+	/**
+	 * Retrieves the cached parameter value. The first call fetches it and waits for it.
+	 * Once the value is older than the cache TTL, the stale value is still returned while it is fetched again in the background.
+	 * If the background fetch fails, the stale value is kept and it is not fetched again for 30 seconds, so every call does not wait for a failing request.
+	 *
+	 * @param {AwsClients} awsClients - The clients used to reach SSM and RAM.
+	 * @param {ParameterCacheOptions} [options]
+	 * @returns {Promise<Array<S3BucketConfig>>}
+	 * @throws {SqsEmitterError} If there is no cached value and the parameter cannot be fetched.
+	 */
+	static getParameterValue(awsClients, { cacheTtl = DEFAULT_CACHE_TTL } = {}) {
+
+		if(!parameterCache.value)
+			return this.refresh(awsClients);
+
+		const now = Date.now();
+
+		if(now - parameterCache.updatedAt >= cacheTtl && !(parameterCache.retryAt > now)) {
+
+			const cache = parameterCache;
+
+			this.refresh(awsClients).catch(error => {
+				cache.retryAt = Date.now() + REFRESH_RETRY_DELAY;
+				logger.warn(`Unable to refresh the parameter ${this.parameterName}. The cached value will be used - ${error.message}`);
+			});
+		}
+
+		return Promise.resolve(parameterCache.value);
+	}
+
+	/**
+	 * Fetches the parameter value and replaces the cached one. Concurrent calls share the same request.
+	 * If the fetch fails, the cached value is kept.
+	 *
+	 * @param {AwsClients} awsClients - The clients used to reach SSM and RAM.
+	 * @returns {Promise<Array<S3BucketConfig>>}
+	 * @throws {SqsEmitterError} If the parameter cannot be fetched.
+	 */
+	static refresh(awsClients) {
+
+		if(!parameterCache.promise) {
+
+			const cache = parameterCache;
+
+			cache.promise = this.fetchParameterValue(awsClients)
+				.then(value => {
+					parameterCache = { value, updatedAt: Date.now() };
+					return value;
+				})
+				.finally(() => {
+					delete cache.promise;
+				});
+		}
+
+		return parameterCache.promise;
 	}
 
 	/**
@@ -38,28 +223,27 @@ class ParameterStore {
 	 * Then, it attempts to fetch the parameter value from the SSM Parameter Store.
 	 * The value is decrypted if it's stored as a secure string.
 	 *
-	 * @returns {Promise<Array<S3BucketConfig> | undefined>}
+	 * @param {AwsClients} awsClients - The clients used to reach SSM and RAM.
+	 * @returns {Promise<Array<S3BucketConfig>>}
 	 * Returns a parsed JSON array of objects, where each object contains
 	 * information about S3 buckets, such as the `bucketName`, `roleArn`, `region`, and an optional `default` flag.
-	 * If the parameter retrieval fails, it logs an error and returns `undefined`.
-	 * @throws {Error} - If the `getParameterArnFromRAM` method fails, or the SSM command fails.
+	 * @throws {Error} - If the `getParameterArnFromRAM` method fails, the SSM command fails or the value is not a valid bucket list.
+	 * @private
 	 */
-	static async getParameterValue() {
+	static async fetchParameterValue(awsClients) {
 
-		const parameterArn = await this.getParameterArnFromRAM();
+		const parameterArn = await this.getParameterArnFromRAM(awsClients);
 
 		try {
 
-			const ssmClient = captureAWSv3Client(new SSMClient());
-
 			const params = {
 				Name: parameterArn,
 				WithDecryption: true
 			};
 
-			const response = await ssmClient.send(new GetParameterCommand(params));
+			const response = await awsClients.ssm.send(new GetParameterCommand(params));
 
-			return JSON.parse(response.Parameter.Value);
+			return this.parseValue(response.Parameter.Value);
 		} catch(error) {
 			throw new SqsEmitterError(`Unable to get parameter with arn ${parameterArn} - ${error.message}`, SqsEmitterError.codes.SSM_ERROR);
 		}
@@ -69,18 +253,17 @@ class ParameterStore {
 	 * Retrieves the ARN of a specific parameter from AWS Resource Access Manager (RAM) by filtering
 	 * the shared resources from 'OTHER-ACCOUNTS' that include the specified parameter name.
 	 *
+	 * @param {AwsClients} awsClients - The clients used to reach RAM.
 	 * @returns {Promise<string>} The ARN of the filtered resource that matches the parameter name.
 	 * @throws {Error} If there is an error while listing RAM resources or no resources match the parameter.
 	 */
-	static async getParameterArnFromRAM() {
+	static async getParameterArnFromRAM(awsClients) {
 
 		try {
 
 			const command = new ListResourcesCommand({ resourceOwner: 'OTHER-ACCOUNTS' });
 
-			const ramClient = captureAWSv3Client(new RAMClient());
-
-			const response = await ramClient.send(command);
+			const response = await awsClients.ram.send(command);
 
 			const filteredResources = response.resources.filter(
 				resource => resource.arn.includes(this.parameterName)
@@ -98,6 +281,4 @@ class ParameterStore {
 
 }
 
-ParameterStore.getParameterValue = memoize(ParameterStore.getParameterValue, { isPromise: true });
-ParameterStore.getParameterArnFromRAM = memoize(ParameterStore.getParameterArnFromRAM, { isPromise: true });
 module.exports = ParameterStore;
@@ -0,0 +1,50 @@
+'use strict';
+
+/**
+ * A cache of promises by key. Concurrent calls with the same key share the same promise,
+ * and rejected promises are removed, so failed lookups are not cached and the next call tries again.
+ *
+ * @template T
+ */
+module.exports = class PromiseCache {
+
+	constructor() {
+		/**
+		 * @private
+		 * @type {Map<string, Promise<T>>}
+		 */
+		this.promises = new Map();
+	}
+
+	/**
+	 * @param {string} key
+	 * @param {function(): Promise<T>} fetch - Fetches the value when the key is not cached.
+	 * @returns {Promise<T>} The cached promise, or the promise of `fetch`.
+	 */
+	get(key, fetch) {
+
+		if(!this.promises.has(key)) {
+
+			const promise = fetch();
+
+			promise.catch(() => this.delete(key, promise));
+
+			this.promises.set(key, promise);
+		}
+
+		return this.promises.get(key);
+	}
+
+	/**
+	 * @param {string} key
+	 * @param {Promise<T>} [promise] - When received, the key is only removed if it still has this promise, so a newer one is never removed.
+	 */
+	delete(key, promise) {
+		if(!promise || this.promises.get(key) === promise)
+			this.promises.delete(key);
+	}
+
+	clear() {
+		this.promises.clear();
+	}
+};
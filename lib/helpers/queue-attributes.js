@@ -0,0 +1,68 @@
+'use strict';
+
+const logger = require('lllog')();
+
+const { GetQueueAttributesCommand } = require('@aws-sdk/client-sqs');
+
+const PromiseCache = require('./promise-cache');
+
+/**
+ * @typedef {Object} QueueAttributesInfo
+ * @property {number} [maximumMessageSize] - The maximum message size of the queue in bytes.
+ * @property {boolean} [contentBasedDeduplication] - Whether the FIFO queue generates the deduplication ids from the message body.
+ */
+
+/** @type {PromiseCache<QueueAttributesInfo>} */
+const queueAttributesCache = new PromiseCache();
+
+module.exports = class QueueAttributes {
+
+	/**
+	 * @private
+	 * @static
+	 * @param {string} queueUrl
+	 * @returns {string[]} The attributes to request. FIFO-only attributes are requested for FIFO queues only.
+	 */
+	static getAttributeNames(queueUrl) {
+		return queueUrl.endsWith('.fifo') ? ['MaximumMessageSize', 'ContentBasedDeduplication'] : ['MaximumMessageSize'];
+	}
+
+	static clearCache() {
+		queueAttributesCache.clear();
+	}
+
+	/**
+	 * Retrieves the attributes of the queue that affect how messages are sent. The result is cached for every queue.
+	 * If the attributes cannot be obtained, an empty object is returned so the configured values are used instead.
+	 *
+	 * @param {string} queueUrl - The queue URL.
+	 * @param {import('./aws-clients')} awsClients - The clients used to reach SQS.
+	 * @returns {Promise<QueueAttributesInfo>}
+	 */
+	static get(queueUrl, awsClients) {
+		return queueAttributesCache.get(queueUrl, () => this.fetch(queueUrl, awsClients))
+			.catch(error => {
+				logger.warn(`Unable to get the attributes of the queue ${queueUrl}. The configured values will be used - ${error.message}`);
+				return {};
+			});
+	}
+
+	/**
+	 * @private
+	 * @param {string} queueUrl
+	 * @param {import('./aws-clients')} awsClients
+	 * @returns {Promise<QueueAttributesInfo>}
+	 */
+	static async fetch(queueUrl, awsClients) {
+
+		const { Attributes = {} } = await awsClients.sqs.send(new GetQueueAttributesCommand({
+			QueueUrl: queueUrl,
+			AttributeNames: this.getAttributeNames(queueUrl)
+		}));
+
+		return {
+			...Attributes.MaximumMessageSize && { maximumMessageSize: Number(Attributes.MaximumMessageSize) },
+			...Attributes.ContentBasedDeduplication && { contentBasedDeduplication: Attributes.ContentBasedDeduplication === 'true' }
+		};
+	}
+};
@@ -0,0 +1,83 @@
+'use strict';
+
+/**
+ * @typedef {Object} QueueInfo
+ * @property {string} url - The queue URL.
+ * @property {string} queueName - The queue name, including the `.fifo` suffix for FIFO queues.
+ * @property {string} accountId - The AWS account ID of the queue owner.
+ * @property {string} [region] - The region of the queue, when it can be extracted from the URL.
+ * @property {boolean} isFifo - Whether the queue is a FIFO queue.
+ */
+
+/**
+ * A queue URL parser can be a regular expression with the named groups `queueName`, `accountId` and optionally `region`,
+ * or a function that receives the queue URL and returns those properties, or a falsy value if the URL is not recognised.
+ *
+ * @typedef {RegExp | ((queueUrl: string) => { queueName: string, accountId: string, region?: string } | undefined)} QueueUrlParser
+ */
+
+const queuePath = '/(?<accountId>\\d{12})/(?<queueName>[a-zA-Z0-9_-]{1,80}(?:\\.fifo)?)$';
+
+/** @type {QueueUrlParser[]} */
+const defaultParsers = [
+
+	// https://sqs.us-east-1.amazonaws.com/123456789012/MyQueue and China regions (amazonaws.com.cn)
+	new RegExp(`^https://sqs\\.(?<region>[a-z0-9-]+)\\.amazonaws\\.com(?:\\.cn)?${queuePath}`),
+
+	// https://vpce-0123456789abcdef-abcdefgh.sqs.us-east-1.vpce.amazonaws.com/123456789012/MyQueue
+	new RegExp(`^https://vpce-[a-z0-9-]+\\.sqs\\.(?<region>[a-z0-9-]+)\\.vpce\\.amazonaws\\.com(?:\\.cn)?${queuePath}`),
+
+	// Legacy URLs: https://us-west-2.queue.amazonaws.com/123456789012/MyQueue and https://queue.amazonaws.com/123456789012/MyQueue
+	queueUrl => {
+
+		const match = queueUrl.match(new RegExp(`^https://(?:(?<region>[a-z0-9-]+)\\.)?queue\\.amazonaws\\.com(?:\\.cn)?${queuePath}`));
+
+		return match && { ...match.groups, region: match.groups.region || 'us-east-1' };
+	},
+
+	// Local stand-ins: http://localhost:9324/000000000000/MyQueue (ElasticMQ) or http://sqs.us-east-1.localhost.localstack.cloud:4566/000000000000/MyQueue (LocalStack)
+	new RegExp(`^https?://(?:sqs\\.(?<region>[a-z0-9-]+)\\.)?(?:localhost|127\\.0\\.0\\.1|localhost\\.localstack\\.cloud)(?::\\d+)?${queuePath}`)
+];
+
+/**
+ * @param {QueueUrlParser} parser
+ * @param {string} queueUrl
+ */
+const applyParser = (parser, queueUrl) => {
+
+	if(parser instanceof RegExp)
+		return queueUrl.match(parser)?.groups;
+
+	return parser(queueUrl);
+};
+
+/**
+ * Parses a queue URL trying the custom parsers first and then the default ones.
+ *
+ * @param {string} queueUrl - The queue URL.
+ * @param {QueueUrlParser[]} [customParsers] - Parsers to recognise other URL formats.
+ * @returns {QueueInfo|undefined} The queue information, or undefined if the URL is not recognised by any parser.
+ */
+module.exports.parseQueueUrl = (queueUrl, customParsers = []) => {
+
+	if(typeof queueUrl !== 'string')
+		return;
+
+	for(const parser of [...customParsers, ...defaultParsers]) {
+
+		const parsedUrl = applyParser(parser, queueUrl);
+
+		if(!parsedUrl?.queueName || !parsedUrl.accountId)
+			continue;
+
+		const { queueName, accountId, region } = parsedUrl;
+
+		return {
+			url: queueUrl,
+			queueName,
+			accountId,
+			...region && { region },
+			isFifo: queueName.endsWith('.fifo')
+		};
+	}
+};
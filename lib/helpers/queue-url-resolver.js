@@ -0,0 +1,149 @@
+'use strict';
+
+const { GetQueueUrlCommand } = require('@aws-sdk/client-sqs');
+
+const SqsEmitterError = require('../sqs-emitter-error');
+const PromiseCache = require('./promise-cache');
+
+const QUEUE_NAME = '[a-zA-Z0-9_-]{1,80}(?:\\.fifo)?';
+
+const QUEUE_ARN_PATTERN = new RegExp(`^arn:(?<partition>aws[a-z-]*):sqs:(?<region>[a-z0-9-]+):(?<accountId>\\d{12}):(?<queueName>${QUEUE_NAME})$`);
+
+const QUEUE_NAME_PATTERN = new RegExp(`^${QUEUE_NAME}$`);
+
+/** @type {PromiseCache<string>} */
+const queueUrlsCache = new PromiseCache();
+
+/**
+ * @typedef {Object} ResolveOptions
+ * @property {import('./aws-clients')} awsClients - The clients used to reach SQS.
+ * @property {Object<string, string>} [aliases] - Queue aliases. Each value can be a queue URL, ARN or name.
+ */
+
+module.exports = class QueueUrlResolver {
+
+	static clearCache() {
+		queueUrlsCache.clear();
+	}
+
+	/**
+	 * Resolves a queue URL from a queue URL, ARN, alias or name.
+	 * Aliases are taken from the received aliases or from the environment variable `<ALIAS>_SQS_QUEUE_URL`,
+	 * for example `ORDER_CREATED_SQS_QUEUE_URL` for the alias `orderCreated` or `order-created`.
+	 * Queue names are resolved using the `GetQueueUrl` command, and the result is cached.
+	 *
+	 * @param {string} queue - The queue URL, ARN, alias or name.
+	 * @param {ResolveOptions} options
+	 * @returns {string|Promise<string>} The queue URL.
+	 * @throws {SqsEmitterError} If the queue is not valid or its URL cannot be obtained.
+	 */
+	static resolve(queue, { awsClients, aliases }) {
+
+		if(typeof queue !== 'string' || !queue)
+			throw new SqsEmitterError(`Invalid SQS queue: ${queue}`, SqsEmitterError.codes.INVALID_QUEUE_URL);
+
+		if(this.isUrl(queue) || this.isArn(queue))
+			return this.resolveReference(queue, awsClients);
+
+		const aliasValue = aliases?.[queue] || process.env[this.getAliasEnvironmentVariable(queue)];
+
+		return this.resolveReference(aliasValue || queue, awsClients);
+	}
+
+	/**
+	 * @private
+	 * @param {string} queueReference - The queue URL, ARN or name.
+	 * @param {import('./aws-clients')} awsClients
+	 */
+	static resolveReference(queueReference, awsClients) {
+
+		if(this.isUrl(queueReference))
+			return queueReference;
+
+		if(this.isArn(queueReference))
+			return this.getUrlFromArn(queueReference);
+
+		return this.getUrlFromName(queueReference, awsClients);
+	}
+
+	/**
+	 * @private
+	 */
+	static isUrl(queue) {
+		return queue.includes('://');
+	}
+
+	/**
+	 * @private
+	 */
+	static isArn(queue) {
+		return queue.startsWith('arn:');
+	}
+
+	/**
+	 * @param {string} alias
+	 * @returns {string} The environment variable name, for example `ORDER_CREATED_SQS_QUEUE_URL` for `orderCreated`.
+	 */
+	static getAliasEnvironmentVariable(alias) {
+
+		const constantCaseAlias = alias
+			.replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+			.replace(/[^a-zA-Z0-9]+/g, '_')
+			.toUpperCase();
+
+		return `${constantCaseAlias}_SQS_QUEUE_URL`;
+	}
+
+	/**
+	 * @param {string} queueArn - The queue ARN, for example `arn:aws:sqs:us-east-1:123456789012:MyQueue`.
+	 * @returns {string} The queue URL.
+	 */
+	static getUrlFromArn(queueArn) {
+
+		const match = queueArn.match(QUEUE_ARN_PATTERN);
+
+		if(!match)
+			throw new SqsEmitterError(`Invalid SQS ARN: ${queueArn}`, SqsEmitterError.codes.INVALID_QUEUE_URL);
+
+		const {
+			partition, region, accountId, queueName
+		} = match.groups;
+
+		const domain = partition === 'aws-cn' ? 'amazonaws.com.cn' : 'amazonaws.com';
+
+		return `https://sqs.${region}.${domain}/${accountId}/${queueName}`;
+	}
+
+	/**
+	 * The URLs are cached by the configuration of the SQS client too, since the same name resolves to another queue in other regions or accounts.
+	 *
+	 * @private
+	 * @param {string} queueName
+	 * @param {import('./aws-clients')} awsClients
+	 */
+	static getUrlFromName(queueName, awsClients) {
+
+		if(!QUEUE_NAME_PATTERN.test(queueName))
+			throw new SqsEmitterError(`Invalid SQS queue: ${queueName}`, SqsEmitterError.codes.INVALID_QUEUE_URL);
+
+		return queueUrlsCache.get(`${awsClients.getConfigKey('sqs')}:${queueName}`, () => this.getQueueUrl(queueName, awsClients));
+	}
+
+	/**
+	 * @private
+	 * @param {string} queueName
+	 * @param {import('./aws-clients')} awsClients
+	 */
+	static async getQueueUrl(queueName, awsClients) {
+
+		try {
+
+			const response = await awsClients.sqs.send(new GetQueueUrlCommand({ QueueName: queueName }));
+
+			return response.QueueUrl;
+
+		} catch(error) {
+			throw new SqsEmitterError(`Unable to get the URL of the queue ${queueName} - ${error.message}`, SqsEmitterError.codes.SQS_ERROR);
+		}
+	}
+};
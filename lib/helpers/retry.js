@@ -0,0 +1,44 @@
+'use strict';
+
+/**
+ * @typedef {Object} RetryOptions
+ * @property {number} maxAttempts - Maximum number of attempts for each entry, including the first one.
+ * @property {number} baseDelay - Base delay in milliseconds used to calculate the exponential backoff.
+ * @property {number} maxDelay - Maximum delay in milliseconds between two attempts.
+ */
+
+/**
+ * Calculates the delay before the next attempt using exponential backoff with full jitter.
+ *
+ * @param {number} attempt - The number of attempts already made (starting at 1).
+ * @param {RetryOptions} retryOptions
+ * @returns {number} The delay in milliseconds.
+ */
+module.exports.getBackoffDelay = (attempt, { baseDelay, maxDelay }) => {
+	const exponentialDelay = Math.min(maxDelay, baseDelay * (2 ** (attempt - 1)));
+	return Math.round(Math.random() * exponentialDelay);
+};
+
+/**
+ * Failed batch entries are retryable only when SQS explicitly reports that the failure was not caused by the sender.
+ *
+ * @param {import('@aws-sdk/client-sqs').BatchResultErrorEntry} failedEntry
+ * @returns {boolean}
+ */
+module.exports.isRetryableFailure = failedEntry => failedEntry.SenderFault === false;
+
+// Throttling errors are client faults for the SDK, but they are not caused by the request itself
+const THROTTLING_ERROR_CODES = ['ThrottlingException', 'Throttling', 'RequestThrottled', 'RequestThrottledException', 'TooManyRequestsException'];
+
+/**
+ * Errors of a whole request are retryable when they are not caused by the sender: server errors, network errors and throttling.
+ *
+ * @param {Error & { $fault?: 'client'|'server', $retryable?: Object, $metadata?: { httpStatusCode?: number }, Code?: string }} error
+ * @returns {boolean}
+ */
+module.exports.isRetryableError = error => error.$fault !== 'client'
+	|| !!error.$retryable
+	|| THROTTLING_ERROR_CODES.includes(error.Code || error.name)
+	|| error.$metadata?.httpStatusCode === 429;
+
+module.exports.sleep = ms => new Promise(resolve => { setTimeout(resolve, ms); });
@@ -0,0 +1,87 @@
+'use strict';
+
+const { AssumeRoleCommand } = require('@aws-sdk/client-sts');
+
+const SqsEmitterError = require('../sqs-emitter-error');
+const PromiseCache = require('./promise-cache');
+
+const ROLE_SESSION_NAME = 'janis-sqs-emitter';
+
+// Credentials are renewed 5 minutes before they expire, so they never expire during an upload
+const EXPIRATION_MARGIN = 5 * 60 * 1000;
+
+/**
+ * @typedef {Object} RoleCredentialsInfo
+ * @property {string} accessKeyId
+ * @property {string} secretAccessKey
+ * @property {string} sessionToken
+ * @property {Date} [expiration]
+ */
+
+/** @type {PromiseCache<RoleCredentialsInfo>} */
+const credentialsCache = new PromiseCache();
+
+module.exports = class RoleCredentials {
+
+	static clearCache() {
+		credentialsCache.clear();
+	}
+
+	/**
+	 * Retrieves temporary credentials of a role with STS. The credentials are cached for every role until shortly before they expire.
+	 * They are cached by the configuration of the STS client too, so emitters with other credentials or endpoints assume the role by themselves.
+	 *
+	 * @param {string} roleArn - The ARN of the role to assume.
+	 * @param {import('./aws-clients')} awsClients - The clients used to reach STS.
+	 * @returns {Promise<RoleCredentialsInfo>}
+	 * @throws {SqsEmitterError} With the `ASSUME_ROLE_ERROR` code, if the role cannot be assumed.
+	 */
+	static async get(roleArn, awsClients) {
+
+		const cacheKey = `${awsClients.getConfigKey('sts')}:${roleArn}`;
+		const credentialsPromise = credentialsCache.get(cacheKey, () => this.assumeRole(roleArn, awsClients));
+
+		if(!this.isExpiring(await credentialsPromise))
+			return credentialsPromise;
+
+		credentialsCache.delete(cacheKey, credentialsPromise);
+
+		return credentialsCache.get(cacheKey, () => this.assumeRole(roleArn, awsClients));
+	}
+
+	/**
+	 * @private
+	 * @param {RoleCredentialsInfo} credentials
+	 * @returns {boolean}
+	 */
+	static isExpiring({ expiration }) {
+		return !!expiration && expiration.getTime() - Date.now() <= EXPIRATION_MARGIN;
+	}
+
+	/**
+	 * @private
+	 * @param {string} roleArn
+	 * @param {import('./aws-clients')} awsClients
+	 * @returns {Promise<RoleCredentialsInfo>}
+	 */
+	static async assumeRole(roleArn, awsClients) {
+
+		try {
+
+			const { Credentials } = await awsClients.sts.send(new AssumeRoleCommand({
+				RoleArn: roleArn,
+				RoleSessionName: ROLE_SESSION_NAME
+			}));
+
+			return {
+				accessKeyId: Credentials.AccessKeyId,
+				secretAccessKey: Credentials.SecretAccessKey,
+				sessionToken: Credentials.SessionToken,
+				...Credentials.Expiration && { expiration: new Date(Credentials.Expiration) }
+			};
+
+		} catch(error) {
+			throw new SqsEmitterError(`Unable to assume the role ${roleArn} - ${error.message}`, SqsEmitterError.codes.ASSUME_ROLE_ERROR);
+		}
+	}
+};
@@ -0,0 +1,137 @@
+'use strict';
+
+const SqsEmitterError = require('../sqs-emitter-error');
+
+const DEFAULT_KEY_PREFIX = 'sqsContent';
+
+const DEFAULT_KEY_TEMPLATE = '{prefix}/{client}/{service}/{queue}/{year}/{month}/{day}/{messageId}.json';
+
+// Without the queue and the date, the same content published to several queues or on different days is uploaded once
+const CONTENT_ADDRESSED_KEY_TEMPLATE = '{prefix}/{client}/{service}/{contentHash}.json';
+
+const KEY_PLACEHOLDERS = ['prefix', 'client', 'service', 'queue', 'year', 'month', 'day', 'hour', 'messageId', 'contentHash'];
+
+// At least one of these placeholders is required, so the content of different messages is never uploaded to the same key
+const UNIQUE_KEY_PLACEHOLDERS = ['messageId', 'contentHash'];
+
+const PLACEHOLDER_PATTERN = /\{([^{}]*)\}/g;
+
+/**
+ * @typedef {Object} KeyValues
+ * @property {string} prefix - The `s3KeyPrefix` option.
+ * @property {string} client - The client code, or `core` when there is no session.
+ * @property {string} [service] - The `JANIS_SERVICE_NAME` environment variable.
+ * @property {string} queue - The queue name.
+ * @property {Date} date - The date of the upload. Its UTC parts are used.
+ * @property {string} messageId - A random id.
+ * @property {function(): string} getContentHash - Returns the SHA-256 of the content and its encoding. It is only called when the template uses it.
+ */
+
+/**
+ * @param {string} template
+ * @returns {string[]} The placeholder names of the template.
+ */
+const getPlaceholders = template => [...template.matchAll(PLACEHOLDER_PATTERN)].map(([, placeholder]) => placeholder);
+
+const padDatePart = value => String(value).padStart(2, '0');
+
+/**
+ * Validates a key template.
+ *
+ * @param {string} template - The `s3KeyTemplate` option.
+ * @throws {SqsEmitterError} With the `INVALID_OPTIONS` code, if the template is not a non-empty string,
+ * has unknown placeholders or has no placeholder that makes the keys unique.
+ */
+module.exports.validateKeyTemplate = template => {
+
+	if(typeof template !== 'string' || !template.length)
+		throw new SqsEmitterError(`Invalid s3KeyTemplate: ${template}. It must be a non-empty string`, SqsEmitterError.codes.INVALID_OPTIONS);
+
+	const placeholders = getPlaceholders(template);
+	const unknownPlaceholder = placeholders.find(placeholder => !KEY_PLACEHOLDERS.includes(placeholder));
+
+	if(typeof unknownPlaceholder !== 'undefined') {
+		throw new SqsEmitterError(
+			`Invalid s3KeyTemplate: ${template}. Unknown placeholder {${unknownPlaceholder}}, it must be one of ${KEY_PLACEHOLDERS.join(', ')}`,
+			SqsEmitterError.codes.INVALID_OPTIONS
+		);
+	}
+
+	if(!placeholders.some(placeholder => UNIQUE_KEY_PLACEHOLDERS.includes(placeholder))) {
+		throw new SqsEmitterError(
+			`Invalid s3KeyTemplate: ${template}. It must have the {messageId} or {contentHash} placeholder`,
+			SqsEmitterError.codes.INVALID_OPTIONS
+		);
+	}
+};
+
+/**
+ * Validates that a key template generates the same key for the same content, so the uploads can be deduplicated.
+ *
+ * @param {string} template - A valid key template.
+ * @throws {SqsEmitterError} With the `INVALID_OPTIONS` code, if the template has the {messageId} placeholder or does not have the {contentHash} one.
+ */
+module.exports.validateContentAddressedKeyTemplate = template => {
+
+	const placeholders = getPlaceholders(template);
+
+	if(!placeholders.includes('contentHash') || placeholders.includes('messageId')) {
+		throw new SqsEmitterError(
+			`Invalid s3KeyTemplate: ${template}. It must have the {contentHash} placeholder and not the {messageId} one to deduplicate the uploads`,
+			SqsEmitterError.codes.INVALID_OPTIONS
+		);
+	}
+};
+
+/**
+ * @param {string} prefix - The `s3KeyPrefix` option.
+ * @throws {SqsEmitterError} With the `INVALID_OPTIONS` code, if the prefix is not a string.
+ */
+module.exports.validateKeyPrefix = prefix => {
+	if(typeof prefix !== 'string')
+		throw new SqsEmitterError(`Invalid s3KeyPrefix: ${prefix}. It must be a string`, SqsEmitterError.codes.INVALID_OPTIONS);
+};
+
+/**
+ * Formats an S3 key replacing the placeholders of the template. The date placeholders use the UTC date.
+ *
+ * @param {string} template - A valid key template.
+ * @param {KeyValues} values - The values of the placeholders.
+ * @returns {string} The S3 key.
+ * @throws {SqsEmitterError} With the `MISSING_SERVICE_NAME` code, if the template uses the service and the environment variable is not set.
+ */
+module.exports.formatKey = (template, values) => {
+
+	const {
+		prefix, client, service, queue, date, messageId, getContentHash
+	} = values;
+
+	const getValue = {
+		prefix: () => prefix,
+		client: () => client,
+		service: () => {
+
+			if(!service) {
+				throw new SqsEmitterError(
+					'The JANIS_SERVICE_NAME environment variable is required to offload the content to S3',
+					SqsEmitterError.codes.MISSING_SERVICE_NAME
+				);
+			}
+
+			return service;
+		},
+		queue: () => queue,
+		year: () => String(date.getUTCFullYear()),
+		month: () => padDatePart(date.getUTCMonth() + 1),
+		day: () => padDatePart(date.getUTCDate()),
+		hour: () => padDatePart(date.getUTCHours()),
+		messageId: () => messageId,
+		contentHash: getContentHash
+	};
+
+	return template.replace(PLACEHOLDER_PATTERN, (_, placeholder) => getValue[placeholder]());
+};
+
+module.exports.DEFAULT_KEY_PREFIX = DEFAULT_KEY_PREFIX;
+module.exports.DEFAULT_KEY_TEMPLATE = DEFAULT_KEY_TEMPLATE;
+module.exports.CONTENT_ADDRESSED_KEY_TEMPLATE = CONTENT_ADDRESSED_KEY_TEMPLATE;
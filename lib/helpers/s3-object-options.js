@@ -0,0 +1,168 @@
+'use strict';
+
+const SqsEmitterError = require('../sqs-emitter-error');
+
+const SERVER_SIDE_ENCRYPTIONS = ['AES256', 'aws:kms', 'aws:kms:dsse'];
+
+// S3 limits: up to 10 tags per object, with keys of up to 128 characters and values of up to 256 characters
+const MAX_TAGS = 10;
+const MAX_TAG_KEY_LENGTH = 128;
+const MAX_TAG_VALUE_LENGTH = 256;
+
+// S3 limit: the user metadata cannot exceed 2 KB, counting the UTF-8 bytes of every key and value
+const MAX_METADATA_SIZE = 2 * 1024;
+
+/**
+ * @typedef {Object} S3ObjectOptions
+ * @property {'AES256'|'aws:kms'|'aws:kms:dsse'} [serverSideEncryption] - The server-side encryption of the object.
+ * When not set, the default encryption of the bucket is used.
+ * @property {string} [kmsKeyId] - The KMS key used to encrypt the object. It implies the `aws:kms` encryption when no encryption is set.
+ * @property {Object<string, string>} [tags] - The tags of the object, for example to expire the objects with lifecycle rules.
+ * @property {Object<string, string>} [metadata] - The user metadata of the object.
+ */
+
+const isPlainObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * @param {Object<string, string>} tags
+ * @returns {string|undefined} The problem of the tags, if they are not valid.
+ */
+const getTagsError = tags => {
+
+	if(!isPlainObject(tags))
+		return 'tags must be an object';
+
+	const entries = Object.entries(tags);
+
+	if(entries.length > MAX_TAGS)
+		return `tags can have up to ${MAX_TAGS} tags, but it has ${entries.length}`;
+
+	for(const [key, value] of entries) {
+
+		if(key.length > MAX_TAG_KEY_LENGTH)
+			return `the tag key ${key} exceeds ${MAX_TAG_KEY_LENGTH} characters`;
+
+		if(typeof value !== 'string' || value.length > MAX_TAG_VALUE_LENGTH)
+			return `the tag ${key} must be a string of up to ${MAX_TAG_VALUE_LENGTH} characters`;
+	}
+};
+
+/**
+ * @param {Object<string, string>} metadata
+ * @returns {string|undefined} The problem of the metadata, if it is not valid.
+ */
+const getMetadataError = metadata => {
+
+	if(!isPlainObject(metadata))
+		return 'metadata must be an object';
+
+	let metadataSize = 0;
+
+	for(const [key, value] of Object.entries(metadata)) {
+
+		if(typeof value !== 'string')
+			return `the metadata ${key} must be a string`;
+
+		metadataSize += Buffer.byteLength(key) + Buffer.byteLength(value);
+	}
+
+	if(metadataSize > MAX_METADATA_SIZE)
+		return `metadata cannot exceed ${MAX_METADATA_SIZE} bytes, but it has ${metadataSize}`;
+};
+
+/**
+ * @param {S3ObjectOptions} s3Object
+ * @returns {string|undefined} The problem of the options, if they are not valid.
+ */
+const getS3ObjectOptionsError = s3Object => {
+
+	if(!isPlainObject(s3Object))
+		return 'it must be an object';
+
+	const { serverSideEncryption, kmsKeyId, tags, metadata } = s3Object;
+
+	if(typeof serverSideEncryption !== 'undefined' && !SERVER_SIDE_ENCRYPTIONS.includes(serverSideEncryption))
+		return `serverSideEncryption must be one of ${SERVER_SIDE_ENCRYPTIONS.join(', ')}`;
+
+	if(typeof kmsKeyId !== 'undefined' && (typeof kmsKeyId !== 'string' || !kmsKeyId.length))
+		return 'kmsKeyId must be a non-empty string';
+
+	if(kmsKeyId && serverSideEncryption === 'AES256')
+		return 'kmsKeyId cannot be used with the AES256 encryption';
+
+	const tagsError = typeof tags !== 'undefined' ? getTagsError(tags) : undefined;
+
+	if(tagsError)
+		return tagsError;
+
+	if(typeof metadata !== 'undefined')
+		return getMetadataError(metadata);
+};
+
+/**
+ * Validates the options of the objects uploaded to S3.
+ *
+ * @param {S3ObjectOptions} s3Object - The options to validate.
+ * @param {string} source - Where the options were set, used in the error message.
+ * @throws {SqsEmitterError} With the `INVALID_OPTIONS` code, if the options are not valid.
+ */
+module.exports.validateS3ObjectOptions = (s3Object, source) => {
+
+	const s3ObjectError = getS3ObjectOptionsError(s3Object);
+
+	if(s3ObjectError)
+		throw new SqsEmitterError(`Invalid ${source}: ${s3ObjectError}`, SqsEmitterError.codes.INVALID_OPTIONS);
+};
+
+/**
+ * Merges the options of the objects uploaded to S3. The later options take precedence, and their tags and metadata are merged with the previous ones.
+ *
+ * @param {...S3ObjectOptions} s3Objects - The options to merge. Undefined options are skipped.
+ * @returns {S3ObjectOptions} The merged options.
+ */
+module.exports.mergeS3ObjectOptions = (...s3Objects) => s3Objects.reduce((merged, s3Object) => ({
+	...merged,
+	...s3Object,
+	tags: { ...merged.tags, ...s3Object?.tags },
+	metadata: { ...merged.metadata, ...s3Object?.metadata }
+}), {});
+
+const sortEntries = object => Object.entries(object).sort(([keyA], [keyB]) => keyA.localeCompare(keyB));
+
+/**
+ * Serializes the merged options of an object, sorting its tags and metadata, so the same options always have the same value wherever they were set.
+ *
+ * @param {S3ObjectOptions} s3Object - The merged options of the object, which always have tags and metadata.
+ * @returns {string}
+ */
+module.exports.serializeS3ObjectOptions = ({
+	serverSideEncryption, kmsKeyId, tags, metadata
+}) => JSON.stringify({
+	serverSideEncryption,
+	kmsKeyId,
+	tags: sortEntries(tags),
+	metadata: sortEntries(metadata)
+});
+
+// The tags are sent as URL query parameters. Spaces are encoded as %20, since S3 does not decode + as a space
+const formatTagging = tags => Object.entries(tags)
+	.map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+	.join('&');
+
+/**
+ * Formats the options of an object as PutObject parameters.
+ *
+ * @param {S3ObjectOptions} s3Object - The options of the object.
+ * @returns {Object} The `ServerSideEncryption`, `SSEKMSKeyId`, `Tagging` and `Metadata` parameters, when set.
+ */
+module.exports.getPutObjectParams = ({ serverSideEncryption, kmsKeyId, tags, metadata }) => {
+
+	const encryption = serverSideEncryption || (kmsKeyId && 'aws:kms');
+
+	return {
+		...encryption && { ServerSideEncryption: encryption },
+		...kmsKeyId && { SSEKMSKeyId: kmsKeyId },
+		...tags && Object.keys(tags).length && { Tagging: formatTagging(tags) },
+		...metadata && Object.keys(metadata).length && { Metadata: metadata }
+	};
+};
@@ -2,64 +2,214 @@
 
 const logger = require('lllog')();
 
-const { S3Client, PutObjectCommand } = require('@aws-sdk/client-s3');
-const { captureAWSv3Client } = require('aws-xray-sdk-core');
+const { HeadObjectCommand, PutObjectCommand } = require('@aws-sdk/client-s3');
+
+const SqsEmitterError = require('../sqs-emitter-error');
+const RoleCredentials = require('./role-credentials');
 
 /**
  * @typedef {Object} BucketInfo
  * @property {string} bucketName - The name of the S3 bucket
  * @property {string} region - The region of the S3 bucket
+ * @property {string} [roleArn] - The role assumed to upload to the S3 bucket
+ * @property {boolean} [default] - Whether the bucket is tried first
+**/
+
+/**
+ * @typedef {Object} UploadFailure
+ * @property {string} bucketName - The name of the S3 bucket
+ * @property {string} region - The region of the S3 bucket
+ * @property {string} code - The AWS error code
+ * @property {string} message - The error message
 **/
 
+/**
+ * @typedef {Object} UploadOptions
+ * @property {import('./aws-clients')} awsClients - The clients used to reach S3.
+ * @property {string} [region] - The preferred region. Buckets in this region are tried before the ones in other regions.
+ * @property {import('./content-compression').ContentEncoding} [contentEncoding] - The encoding of the body, when it is compressed.
+ * @property {Object} [objectParams] - Other PutObject parameters, like the encryption, tags and metadata of the object.
+ * @property {number} [deduplicationMaxAge] - When set, the content is not uploaded again if an object with the same key was uploaded
+ * less than these milliseconds ago. Intended for content-addressed keys.
+**/
+
+// The oldest uploads are forgotten when this limit is reached, so the cache does not grow indefinitely
+const MAX_UPLOADED_OBJECTS = 1000;
+
+/**
+ * The time of the last upload of every deduplicated object, by bucket and key
+ * @type {Map<string, number>}
+ */
+const uploadedObjects = new Map();
+
+/**
+ * @param {string} objectId
+ * @param {number} uploadedAt
+ */
+const setUploadedObject = (objectId, uploadedAt) => {
+
+	// Deleting it first moves the object to the end of the Map, which keeps the insertion order
+	uploadedObjects.delete(objectId);
+	uploadedObjects.set(objectId, uploadedAt);
+
+	if(uploadedObjects.size > MAX_UPLOADED_OBJECTS)
+		uploadedObjects.delete(uploadedObjects.keys().next().value);
+};
+
 module.exports = class S3Uploader {
 
+	static clearCache() {
+		uploadedObjects.clear();
+	}
+
 	/**
 	 * Uploads the content to the S3 bucket at the specified path. In case the upload fails, no error is thrown.
+	 * When the bucket has a `roleArn`, the role is assumed to upload the content.
+	 * When the `deduplicationMaxAge` option is set, the upload is skipped if the object was recently uploaded by this process or, otherwise, by anyone.
 	 *
 	 * @param {Object} bucket - The S3 bucket configuration.
 	 * @param {string} bucket.bucketName - The name of the S3 bucket.
 	 * @param {string} bucket.region - The region of the S3 bucket.
+	 * @param {string} [bucket.roleArn] - The role to assume to upload to the S3 bucket.
 	 * @param {string} contentS3Path - The path in the S3 bucket where the content will be uploaded.
-	 * @param {string} body - The payload to upload s3 bucket
+	 * @param {string|Buffer} body - The payload to upload s3 bucket
+	 * @param {UploadOptions} options
 	 * @returns {Promise<Object|Error>} - The result from S3 after the upload or an error
 	 */
-	static async uploadToBucket(bucket, contentS3Path, body) {
+	static async uploadToBucket(bucket, contentS3Path, body, {
+		awsClients, contentEncoding, objectParams, deduplicationMaxAge
+	}) {
+
+		const objectId = `${bucket.bucketName}/${contentS3Path}`;
+
+		if(deduplicationMaxAge && this.isRecent(uploadedObjects.get(objectId), deduplicationMaxAge))
+			return { Deduplicated: true };
 
 		try {
 
-			const s3Client = captureAWSv3Client(new S3Client({ region: bucket.region }));
+			const s3Client = awsClients.getS3Client(bucket.region, bucket.roleArn);
+
+			// The role is assumed before the upload so its failures keep the ASSUME_ROLE_ERROR code. The client reads the same cached credentials
+			if(bucket.roleArn)
+				await RoleCredentials.get(bucket.roleArn, awsClients);
 
-			return await s3Client.send(new PutObjectCommand({
+			if(deduplicationMaxAge) {
+
+				const lastModified = await this.getLastModified(s3Client, bucket, contentS3Path);
+
+				if(this.isRecent(lastModified, deduplicationMaxAge)) {
+					setUploadedObject(objectId, lastModified);
+					return { Deduplicated: true };
+				}
+			}
+
+			const response = await s3Client.send(new PutObjectCommand({
 				Bucket: bucket.bucketName,
 				Key: contentS3Path,
-				Body: body
+				Body: body,
+				ContentType: 'application/json',
+				...contentEncoding && { ContentEncoding: contentEncoding },
+				...objectParams
 			}));
 
+			if(deduplicationMaxAge)
+				setUploadedObject(objectId, Date.now());
+
+			return response;
+
 		} catch(error) {
 			return error;
 		}
 	}
 
 	/**
-	 * Tries to upload content to a list of S3 buckets in order. If the upload to the first bucket fails,
+	 * @private
+	 * @param {number} [uploadedAt] - The time of the upload, in milliseconds.
+	 * @param {number} maxAge - The milliseconds during which the object can be reused.
+	 * @returns {boolean}
+	 */
+	static isRecent(uploadedAt, maxAge) {
+		return typeof uploadedAt !== 'undefined' && Date.now() - uploadedAt < maxAge;
+	}
+
+	/**
+	 * Gets the time of the last upload of an object with a HEAD request.
+	 *
+	 * @private
+	 * @param {import('@aws-sdk/client-s3').S3Client} s3Client
+	 * @param {BucketInfo} bucket
+	 * @param {string} contentS3Path
+	 * @returns {Promise<number|undefined>} The time of the last upload, or undefined if the object does not exist or cannot be checked.
+	 */
+	static async getLastModified(s3Client, bucket, contentS3Path) {
+
+		try {
+
+			const { LastModified } = await s3Client.send(new HeadObjectCommand({
+				Bucket: bucket.bucketName,
+				Key: contentS3Path
+			}));
+
+			return LastModified?.getTime();
+
+		} catch(error) {
+
+			// Objects that cannot be checked are uploaded too, but the error is logged, since it usually means a missing permission
+			if(error.name !== 'NotFound' && error.$metadata?.httpStatusCode !== 404)
+				logger.warn(`Unable to check the object ${contentS3Path} of the bucket ${bucket.bucketName}. It will be uploaded - ${error.message}`);
+
+			return undefined;
+		}
+	}
+
+	/**
+	 * Sorts the buckets in the order they are tried: the default bucket first, then the buckets in the preferred region
+	 * and then the rest. The original order is kept within each group.
+	 *
+	 * @param {BucketInfo[]} buckets - The S3 bucket configurations.
+	 * @param {string} [region] - The preferred region.
+	 * @returns {BucketInfo[]} The sorted buckets.
+	 */
+	static sortBuckets(buckets, region) {
+
+		const getPriority = bucket => {
+
+			if(bucket.default)
+				return 0;
+
+			return region && bucket.region === region ? 1 : 2;
+		};
+
+		return [...buckets].sort((a, b) => getPriority(a) - getPriority(b));
+	}
+
+	/**
+	 * Tries to upload content to a list of S3 buckets, sorted with `sortBuckets`. If the upload to the first bucket fails,
 	 * it will attempt to upload to the next bucket in the list until a successful upload occurs or all
-	 * buckets have been tried. If all attempts fail, add a log with error list without rejecting and not return bucketInfo.
+	 * buckets have been tried. If all attempts fail, it rejects with the error of every bucket.
 	 *
 	 * @param {BucketInfo[]} buckets - An array of S3 bucket configurations, where each object contains the bucket's details: bucketName, region.
 	 * @param {string} contentS3Path - The path in the S3 bucket where the content will be uploaded.
-	 * @param {string} body - The content to be uploaded to the S3 bucket.
-	 * @returns {Promise<BucketInfo|undefined>} - Resolves with the bucket information of the successful upload or undefined if all attempts fail.
+	 * @param {string|Buffer} body - The content to be uploaded to the S3 bucket, compressed when the `contentEncoding` option is set.
+	 * @param {UploadOptions} options
+	 * @returns {Promise<BucketInfo>} - Resolves with the bucket information of the successful upload.
+	 * @throws {SqsEmitterError} With the `S3_ERROR` code and an {@link UploadFailure} for every bucket in its `details`, if all attempts fail.
 	 */
-	static async uploadContentS3Path(buckets, contentS3Path, body) {
+	static async uploadContentS3Path(buckets, contentS3Path, body, options) {
 
 		const failedUploads = [];
 
-		for(const bucketInfo of buckets) {
+		for(const bucketInfo of this.sortBuckets(buckets, options.region)) {
 
-			const response = await this.uploadToBucket(bucketInfo, contentS3Path, body);
+			const response = await this.uploadToBucket(bucketInfo, contentS3Path, body, options);
 
 			if(response instanceof Error) {
-				failedUploads.push(response.message);
+				failedUploads.push({
+					bucketName: bucketInfo.bucketName,
+					region: bucketInfo.region,
+					code: response.code || response.Code || response.name,
+					message: response.message
+				});
 				continue;
 			}
 
@@ -69,6 +219,8 @@ module.exports = class S3Uploader {
 		}
 
 		logger.error('The content could not be uploaded to any of the provided buckets', JSON.stringify(failedUploads, null, 2));
+
+		throw new SqsEmitterError('Failed to upload to all provided s3 buckets', SqsEmitterError.codes.S3_ERROR, failedUploads);
 	}
 
 };
@@ -5,7 +5,20 @@ class SqsEmitterError extends Error {
 	static get codes() {
 		return {
 			MISSING_CLIENT_CODE: 'MISSING_CLIENT_CODE',
+			MISSING_SERVICE_NAME: 'MISSING_SERVICE_NAME',
 			INVALID_QUEUE_URL: 'INVALID_QUEUE_URL',
+			INVALID_OPTIONS: 'INVALID_OPTIONS',
+			TOO_MANY_ATTRIBUTES: 'TOO_MANY_ATTRIBUTES',
+			INVALID_ATTRIBUTE_NAME: 'INVALID_ATTRIBUTE_NAME',
+			RESERVED_ATTRIBUTE_NAME: 'RESERVED_ATTRIBUTE_NAME',
+			INVALID_ATTRIBUTE_VALUE: 'INVALID_ATTRIBUTE_VALUE',
+			INVALID_DELAY: 'INVALID_DELAY',
+			UNSUPPORTED_DELAY: 'UNSUPPORTED_DELAY',
+			MISSING_MESSAGE_GROUP_ID: 'MISSING_MESSAGE_GROUP_ID',
+			INVALID_MESSAGE_GROUP_ID: 'INVALID_MESSAGE_GROUP_ID',
+			INVALID_DEDUPLICATION_ID: 'INVALID_DEDUPLICATION_ID',
+			MESSAGE_GROUP_INTERRUPTED: 'MESSAGE_GROUP_INTERRUPTED',
+			UNSUPPORTED_PROPERTY: 'UNSUPPORTED_PROPERTY',
 			ASSUME_ROLE_ERROR: 'ASSUME_ROLE_ERROR',
 			RAM_ERROR: 'RAM_ERROR',
 			SSM_ERROR: 'SSM_ERROR',
@@ -14,11 +27,19 @@ class SqsEmitterError extends Error {
 		};
 	}
 
-	constructor(err, code) {
+	/**
+	 * @param {Error|string} err - The original error or the error message.
+	 * @param {string} code - One of the error codes.
+	 * @param {Object[]} [details] - Details about the failure, for example the error of every S3 bucket.
+	 */
+	constructor(err, code, details) {
 		super(err);
 		this.message = err.message || err;
 		this.code = code;
 		this.name = 'SqsEmitterError';
+
+		if(details)
+			this.details = details;
 	}
 }
 
@@ -1,33 +1,181 @@
 'use strict';
 
+const { createHash } = require('crypto');
+
 const logger = require('lllog')();
-const { SQSClient, SendMessageBatchCommand, SendMessageCommand } = require('@aws-sdk/client-sqs');
-const { captureAWSv3Client } = require('aws-xray-sdk-core');
+const { SendMessageBatchCommand, SendMessageCommand } = require('@aws-sdk/client-sqs');
 
 const AsyncWithConcurrency = require('./helpers/async-with-concurrency');
 const SqsEmitterError = require('./sqs-emitter-error');
 const ParameterStore = require('./helpers/parameter-store');
 const S3Uploader = require('./helpers/s3-uploader');
+const AwsClients = require('./helpers/aws-clients');
 const { pickProperties } = require('./helpers/pick-properties');
 const { randomValue } = require('./helpers/id-helper');
+const { getBackoffDelay, isRetryableFailure, isRetryableError, sleep } = require('./helpers/retry');
+const { parseQueueUrl } = require('./helpers/queue-url-parser');
+const QueueUrlResolver = require('./helpers/queue-url-resolver');
+const QueueAttributes = require('./helpers/queue-attributes');
+const { getMessageSize } = require('./helpers/message-size');
+const { getDelaySeconds } = require('./helpers/message-delay');
+const { formatFifoMessage } = require('./helpers/fifo-message');
+const { CONTENT_ENCODINGS, compressContent, compressContentSync } = require('./helpers/content-compression');
+const {
+	validateS3ObjectOptions, mergeS3ObjectOptions, getPutObjectParams, serializeS3ObjectOptions
+} = require('./helpers/s3-object-options');
+const {
+	DEFAULT_KEY_PREFIX,
+	DEFAULT_KEY_TEMPLATE,
+	CONTENT_ADDRESSED_KEY_TEMPLATE,
+	validateKeyPrefix,
+	validateKeyTemplate,
+	validateContentAddressedKeyTemplate,
+	formatKey
+} = require('./helpers/s3-key-template');
+const {
+	MAX_MESSAGE_ATTRIBUTES, getAttributeEntries, formatMessageAttribute, validateAttributeName, validateAttributeValue, validateAttributesCount
+} = require('./helpers/message-attributes');
 
 const MAX_CONCURRENCY = 25;
 
 // 256 KB Limit
 const SQS_MESSAGE_LIMIT_SIZE = 256 * 1024;
 
+// 1 MiB is the maximum message size supported by SQS
+const SQS_MAX_MESSAGE_LIMIT_SIZE = 1024 * 1024;
+
+// 1 KiB is the minimum message size that can be configured in a queue
+const SQS_MIN_MESSAGE_LIMIT_SIZE = 1024;
+
 // 10 messages per batch request
 const SQS_MAX_BATCH_SIZE = 10;
 
+// Attribute with the encoding of the messages whose body is compressed inline
+const CONTENT_ENCODING_ATTRIBUTE = 'content-encoding';
+
+// Attributes added by the emitter that cannot be overwritten
+const RESERVED_ATTRIBUTE_NAMES = ['sqsName', 'janis-client'];
+
+// SNS publish properties that SQS does not support. They are sent as attributes or rejected, depending on the snsFields option
+const SNS_PROPERTIES = ['subject', 'messageStructure'];
+
+const SNS_FIELDS_MODES = ['attributes', 'reject'];
+
+const S3_FAILURE_STRATEGIES = ['fail', 'drop', 'truncate'];
+
+// Objects are reused for an hour by default, so lifecycle rules of a day or more never expire them before their messages are consumed
+const DEFAULT_DEDUPLICATION_MAX_AGE = 60 * 60 * 1000;
+
+/** @type {import('./helpers/retry').RetryOptions} */
+const DEFAULT_RETRY_OPTIONS = {
+	maxAttempts: 3,
+	baseDelay: 100,
+	maxDelay: 2000
+};
+
+/**
+ * @typedef {Object} LimitsOptions
+ * @property {number} [messageSizeLimit] - Size in bytes above which messages are offloaded to S3. It is also the size limit of each batch.
+ * From 1024 (1 KiB) to 1048576 (1 MiB). Defaults to 262144 (256 KiB), or to the queue's maximum message size when `useQueueAttributes` is enabled.
+ * @property {number} [maxBatchEntries] - Maximum entries of each batch, from 1 to 10. Defaults to 10.
+ * @property {boolean} [useQueueAttributes] - Whether to read the queue's attributes with `GetQueueAttributes` to adapt the limits.
+ * When enabled, the message size limit never exceeds the queue's `MaximumMessageSize`.
+ */
+
+/**
+ * @typedef {Object} Limits
+ * @property {number} messageSizeLimit
+ * @property {number} maxBatchEntries
+ */
+
+/**
+ * @typedef {Object} S3Options
+ * @property {'fail'|'drop'|'truncate'} [s3FailureStrategy] - What to do with an event when its content cannot be uploaded to any S3 bucket:
+ * fail with an `S3_ERROR`, drop the event without sending it, or send only its `payloadFixedProperties`. Defaults to `fail`.
+ * @property {import('./helpers/content-compression').ContentEncoding|false} [s3Compression] - The encoding used to compress the content
+ * uploaded to S3. The encoding is set as the `ContentEncoding` of the object and in the `contentS3Location` of the message. Not compressed by default.
+ * @property {import('./helpers/content-compression').ContentEncoding|false} [inlineCompression] - The encoding used to compress the body of the
+ * messages that exceed the size limit before offloading them to S3. The body is sent compressed and encoded in base64, with the encoding in the
+ * `content-encoding` attribute, when it fits in the limit. Otherwise, the content is offloaded to S3. Not compressed by default.
+ * @property {import('./helpers/s3-object-options').S3ObjectOptions} [s3Object] - The encryption, tags and metadata of the objects uploaded to S3.
+ * The options of the call are merged with the ones of the emitter, and the `s3Object` property of each event is merged with both.
+ * @property {string} [s3KeyTemplate] - The template of the keys of the objects uploaded to S3, with the `{prefix}`, `{client}`, `{service}`, `{queue}`,
+ * `{year}`, `{month}`, `{day}`, `{hour}`, `{messageId}` and `{contentHash}` placeholders. It must have `{messageId}` or `{contentHash}`.
+ * Defaults to `{prefix}/{client}/{service}/{queue}/{year}/{month}/{day}/{messageId}.json`, or to `{prefix}/{client}/{service}/{contentHash}.json`
+ * when `s3Deduplication` is enabled.
+ * @property {string} [s3KeyPrefix] - The value of the `{prefix}` placeholder. Defaults to `sqsContent`.
+ * @property {boolean} [s3Deduplication] - Whether the content is uploaded to content-addressed keys, skipping the upload when an object with the same
+ * content was uploaded less than `s3DeduplicationMaxAge` milliseconds ago. The key template must have `{contentHash}` and not `{messageId}`.
+ * @property {number} [s3DeduplicationMaxAge] - Milliseconds during which an uploaded object is reused. Defaults to 1 hour.
+ */
+
+/**
+ * @typedef {Object} S3Settings
+ * @property {'fail'|'drop'|'truncate'} failureStrategy
+ * @property {import('./helpers/content-compression').ContentEncoding} [contentEncoding]
+ * @property {import('./helpers/content-compression').ContentEncoding} [inlineEncoding]
+ * @property {string} keyTemplate
+ * @property {string} keyPrefix
+ * @property {number} [deduplicationMaxAge]
+ */
+
+/**
+ * @typedef {Object} SqsEmitterBaseOptions
+ * @property {Partial<import('./helpers/retry').RetryOptions>} [retry] - Retry policy for failed batch entries.
+ * @property {number} [bucketsCacheTtl] - Milliseconds during which the S3 buckets of the shared parameter are considered fresh.
+ * After that, the cached buckets are still used while they are fetched again in the background. Defaults to 5 minutes.
+ * @property {import('./helpers/parameter-store').S3BucketConfig[]|string} [buckets] - Local bucket list, or its JSON, used instead of the
+ * shared parameter without calling RAM and SSM. Intended for local development and tests.
+ * @property {import('./helpers/queue-url-parser').QueueUrlParser[]} [queueUrlParsers] - Parsers to recognise other queue URL formats.
+ * They are tried before the default ones.
+ * @property {Object<string, string>} [queueAliases] - Queue aliases. Each value can be a queue URL, ARN or name.
+ */
+
+/**
+ * @typedef {Object} AttributesOptions
+ * @property {boolean} [flattenAttributes] - Whether nested plain objects in the attributes are flattened into `a.b` keys instead of JSON-stringified.
+ * @property {'attributes'|'reject'} [snsFields] - How the SNS-only `subject` and `messageStructure` event properties are handled:
+ * sent as attributes with the same name, or rejected. Defaults to `attributes`.
+ */
+
+/**
+ * @typedef {Object} FifoOptions
+ * @property {string} [defaultMessageGroupId] - The group id of the events that do not set a `messageGroupId` in FIFO queues.
+ * @property {boolean} [contentBasedDeduplication] - Whether the FIFO queue has content-based deduplication, so no deduplication ids are generated.
+ * When not set and `useQueueAttributes` is enabled, the queue's `ContentBasedDeduplication` attribute is used.
+ */
+
+/**
+ * @typedef {SqsEmitterBaseOptions & LimitsOptions & AttributesOptions & FifoOptions & S3Options & import('./helpers/aws-clients').AwsClientsOptions} SqsEmitterOptions
+ */
+
+/**
+ * @typedef {Object} PublishBaseOptions
+ * @property {Partial<import('./helpers/retry').RetryOptions>} [retry] - Retry policy for failed batch entries. Overrides the emitter's policy.
+ */
+
+/**
+ * Options of a single call. They override the emitter's options.
+ *
+ * @typedef {PublishBaseOptions & LimitsOptions & AttributesOptions & FifoOptions & S3Options} PublishOptions
+ */
+
 module.exports = class SqsEmitter {
 
-	constructor() {
+	/**
+	 * @param {SqsEmitterOptions} [options]
+	 */
+	constructor(options = {}) {
+		/** @private */
+		this.options = options;
+		/** @private */
+		this.awsClients = new AwsClients(options);
 		/** @private */
-		this.sqs ??= captureAWSv3Client(new SQSClient());
+		this.sqs ??= this.awsClients.sqs;
 	}
 
 	/**
-	 * @type {SQSClient}
+	 * @type {import('@aws-sdk/client-sqs').SQSClient}
 	 * @private
 	 */
 	get sqs() {
@@ -46,19 +194,83 @@ module.exports = class SqsEmitter {
 		return randomValue(13);
 	}
 
-	async publishEvent(sqsUrl, event) {
+	/**
+	 * Fetches the S3 buckets of the shared parameter again, replacing the cached ones for every emitter.
+	 * Useful after rotating the buckets, without waiting for the cache to expire. When a local bucket list is configured, it is read again instead.
+	 *
+	 * @returns {Promise<import('./helpers/parameter-store').S3BucketConfig[]>} The updated buckets.
+	 * @throws {SqsEmitterError} If the parameter cannot be fetched. The cached buckets are kept.
+	 */
+	refreshBuckets() {
+
+		this.localBuckets = ParameterStore.getLocalValue(this.options.buckets) || null;
+
+		if(this.localBuckets)
+			return Promise.resolve(this.localBuckets);
+
+		return ParameterStore.refresh(this.awsClients);
+	}
+
+	/**
+	 * @private
+	 * @returns {Promise<import('./helpers/parameter-store').S3BucketConfig[]>} The local buckets, or the buckets of the shared parameter.
+	 */
+	getBuckets() {
+
+		const localBuckets = this.getLocalBuckets();
+
+		if(localBuckets)
+			return Promise.resolve(localBuckets);
+
+		return ParameterStore.getParameterValue(this.awsClients, { cacheTtl: this.options.bucketsCacheTtl });
+	}
+
+	/**
+	 * Reads the local bucket list only once, since it may be read from a file, and `refreshBuckets` reads it again.
+	 * An invalid list is not kept, so it is read again on the next call.
+	 *
+	 * @private
+	 * @returns {import('./helpers/parameter-store').S3BucketConfig[]|null} The local buckets, or null when there is no local override.
+	 */
+	getLocalBuckets() {
+
+		if(typeof this.localBuckets === 'undefined')
+			this.localBuckets = ParameterStore.getLocalValue(this.options.buckets) || null;
+
+		return this.localBuckets;
+	}
+
+	/**
+	 * @param {string} queue - The queue URL, ARN, alias or name.
+	 * @param {Object} event
+	 * @param {PublishOptions} [options]
+	 * @returns {Promise<{ messageId?: string, sequenceNumber?: string, dropped?: boolean }>}
+	 * @throws {SqsEmitterError} With the `S3_ERROR` code and the error of every bucket in its `details`, if the content must be offloaded
+	 * to S3 and it cannot be uploaded to any bucket with the `fail` strategy.
+	 */
+	async publishEvent(queue, event, options) {
 
+		const s3Settings = this.getS3Settings(options);
+		const sqsUrl = await this.resolveQueueUrl(queue);
 		const sqsName = this.getSqsNameFromUrl(sqsUrl);
-		const parsedEvent = this.formatSQSEvent(event, sqsName);
-		const parsedEventSize = JSON.stringify(parsedEvent).length;
+		const { messageSizeLimit } = await this.getLimits(sqsUrl, options);
+		const fifoSettings = await this.getFifoSettings(sqsUrl, options);
+		const parsedEvent = this.formatSQSEvent(event, sqsName, undefined, options, fifoSettings);
+		const parsedEventSize = getMessageSize(parsedEvent);
 
 		const { extraProperties, ...parsedEventBase } = parsedEvent;
 
 		let formattedSqsMessage = parsedEventBase;
 
-		if(parsedEventSize > SQS_MESSAGE_LIMIT_SIZE) {
+		if(parsedEventSize > messageSizeLimit) {
 
-			const formattedEvent = await this.formatAndUploadEventWithS3Content(parsedEvent);
+			const [inlineCompressedEvent] = this.compressEventInline(parsedEventBase, s3Settings.inlineEncoding, messageSizeLimit);
+
+			const formattedEvent = inlineCompressedEvent
+				|| await this.formatAndUploadEventWithS3Content(parsedEvent, s3Settings, this.getQueueRegion(sqsUrl));
+
+			if(formattedEvent.Dropped)
+				return { dropped: true };
 
 			formattedSqsMessage = formattedEvent;
 		}
@@ -74,62 +286,458 @@ module.exports = class SqsEmitter {
 		};
 	}
 
-	async publishEvents(sqsUrl, events) {
+	/**
+	 * @param {string} queue - The queue URL, ARN, alias or name.
+	 * @param {Object[]} events
+	 * @param {PublishOptions} [options]
+	 */
+	async publishEvents(queue, events, options) {
 
-		const parsedEvents = this.parseEvents(events, sqsUrl);
+		const s3Settings = this.getS3Settings(options);
+		const sqsUrl = await this.resolveQueueUrl(queue);
+		const limits = await this.getLimits(sqsUrl, options);
+		const fifoSettings = await this.getFifoSettings(sqsUrl, options);
+		const { batches, failed } = this.parseEvents(events, sqsUrl, limits, options, fifoSettings, s3Settings);
+		const batchSequences = this.getBatchSequences(batches, this.isFifoQueue(sqsUrl));
+		const retryOptions = this.getRetryOptions(options);
 
-		const asyncWithConcurrency = new AsyncWithConcurrency(async batch => {
+		const asyncWithConcurrency = new AsyncWithConcurrency(async batchSequence => {
 
-			const formattedSqsPromises = [];
-			const formattedSqsBatch = [];
+			const sequenceResults = [];
 
-			for(const { limitExceeded, extraProperties, ...parsedEvent } of batch) {
+			// Batches of the same sequence are sent one after the other to preserve their order
+			for(const batch of batchSequence) {
 
-				if(!limitExceeded) {
-					formattedSqsBatch.push(parsedEvent);
+				// Once a batch has failed entries, the next ones are not sent, so they are never received before the failed entries
+				if(sequenceResults.some(({ Failed }) => Failed.length)) {
+					sequenceResults.push({ Failed: batch.map(parsedEvent => this.formatInterruptedEntry(parsedEvent)) });
 					continue;
 				}
 
-				const promise = this.formatAndUploadEventWithS3Content({ ...parsedEvent, extraProperties });
+				sequenceResults.push(await this.processBatch(sqsUrl, batch, retryOptions, s3Settings));
+			}
+
+			return sequenceResults;
+
+		}, MAX_CONCURRENCY);
+
+		/** @type {import('@aws-sdk/client-sqs').SendMessageBatchCommandOutput[][]} */
+		const results = await asyncWithConcurrency.run(batchSequences);
+
+		return this.formatSQSResponse([...results.flat(), { Failed: failed }]);
+	}
+
+	/**
+	 * Groups the batches in sequences that must be sent one after the other.
+	 * In standard queues every batch can be sent independently, but in FIFO queues the batches of the same
+	 * message group must be sent in order. Batches of different message groups can still be sent concurrently.
+	 *
+	 * @param {Object[][]} batches - The batches generated by `parseEvents`.
+	 * @param {boolean} isFifo - Whether the queue is a FIFO queue.
+	 * @returns {Object[][][]} The batch sequences.
+	 */
+	getBatchSequences(batches, isFifo) {
+
+		if(!isFifo)
+			return batches.map(batch => [batch]);
+
+		const sequences = new Map();
+
+		for(const batch of batches) {
+
+			const { MessageGroupId } = batch[0];
+
+			if(!sequences.has(MessageGroupId))
+				sequences.set(MessageGroupId, []);
+
+			sequences.get(MessageGroupId).push(batch);
+		}
+
+		return [...sequences.values()];
+	}
+
+	async processBatch(sqsUrl, batch, retryOptions, s3Settings) {
+
+		const region = this.getQueueRegion(sqsUrl);
+		const isFifo = this.isFifoQueue(sqsUrl);
+
+		// The entries are formatted concurrently, but they are collected by index so the batch keeps the order of the events
+		const formattedSqsBatchEntries = await Promise.all(batch.map(({ limitExceeded, extraProperties, ...parsedEvent }) => {
+
+			if(!limitExceeded)
+				return parsedEvent;
+
+			// Every failure is reported per entry, so the results of the batches already sent are not lost
+			return this.formatAndUploadEventWithS3Content({ ...parsedEvent, extraProperties }, s3Settings, region)
+				.catch(error => ({
+					Error: {
+						Id: parsedEvent.Id,
+						Code: error.code,
+						Message: error.message,
+						...error.details && { Details: error.details }
+					}
+				}));
+		}));
+
+		const formattedSqsBatch = [];
+		const s3Failed = [];
+		const dropped = [];
+
+		for(const formattedSqsBatchEntry of formattedSqsBatchEntries) {
+
+			if(formattedSqsBatchEntry.Error)
+				s3Failed.push(formattedSqsBatchEntry.Error);
+			else if(formattedSqsBatchEntry.Dropped)
+				dropped.push(formattedSqsBatchEntry.Dropped);
+			else if(isFifo && s3Failed.length)
+				s3Failed.push(this.formatInterruptedEntry(formattedSqsBatchEntry));
+			else
+				formattedSqsBatch.push(formattedSqsBatchEntry);
+
+		}
+
+		let sqsResponse = {};
+
+		if(formattedSqsBatch.length)
+			sqsResponse = await this.sendBatchWithRetries(sqsUrl, formattedSqsBatch, retryOptions, this.isFifoQueue(sqsUrl));
+
+		sqsResponse.Failed ??= [];
+
+		for(const s3FailedEntry of s3Failed)
+			sqsResponse.Failed.push(s3FailedEntry);
+
+		if(dropped.length)
+			sqsResponse.Dropped = dropped;
 
-				formattedSqsPromises.push(promise);
+		return sqsResponse;
+	}
+
+	/**
+	 * @param {Object} parsedEvent - An event of a FIFO queue that is not sent because a previous event of its message group failed.
+	 * @returns {Object} The failed entry.
+	 */
+	formatInterruptedEntry({ Id, MessageGroupId }) {
+		return {
+			Id,
+			Code: SqsEmitterError.codes.MESSAGE_GROUP_INTERRUPTED,
+			Message: `Not sent because a previous entry of the message group ${MessageGroupId} failed`
+		};
+	}
+
+	/**
+	 * Sends a batch of entries to SQS. Entries that fail for reasons not attributed to the sender
+	 * are sent again, keeping their original Id, until they succeed or the max attempts are reached.
+	 * In FIFO queues, an entry is not retried when a later entry of its group was already sent, since it would be received after it.
+	 *
+	 * @param {string} sqsUrl - The queue URL.
+	 * @param {Object[]} entries - The formatted batch entries.
+	 * @param {import('./helpers/retry').RetryOptions} retryOptions - The retry policy.
+	 * @param {boolean} isFifo - Whether the queue is a FIFO queue.
+	 * @returns {Promise<{ Successful: Object[], Failed: Object[] }>} The merged results of every attempt.
+	 * Every entry includes the `Attempts` it took.
+	 */
+	async sendBatchWithRetries(sqsUrl, entries, retryOptions, isFifo) {
+
+		const sqsResponse = {
+			Successful: [],
+			Failed: []
+		};
+
+		let pendingEntries = entries;
+		let attempt = 0;
+
+		while(pendingEntries.length) {
+
+			if(attempt) {
+				logger.info(`Retrying ${pendingEntries.length} failed entries. Attempt ${attempt + 1} of ${retryOptions.maxAttempts}`);
+				await sleep(getBackoffDelay(attempt, retryOptions));
 			}
 
-			const formattedSqsBatchEntries = await Promise.all(formattedSqsPromises);
+			attempt++;
 
-			const s3Failed = [];
+			const { Successful = [], Failed = [] } = await this.sendBatch(sqsUrl, pendingEntries);
 
-			for(const formattedSqsBatchEntry of formattedSqsBatchEntries) {
+			const attemptInfo = { Attempts: attempt };
+			const canRetry = attempt < retryOptions.maxAttempts;
+			const overtakenIds = isFifo ? this.getOvertakenEntryIds(pendingEntries, Successful) : new Set();
 
-				if(formattedSqsBatchEntry.Error)
-					s3Failed.push(formattedSqsBatchEntry.Error);
+			Successful.forEach(successEntry => sqsResponse.Successful.push({ ...successEntry, ...attemptInfo }));
+
+			const retryableIds = new Set();
+
+			Failed.forEach(failedEntry => {
+
+				if(canRetry && isRetryableFailure(failedEntry) && !overtakenIds.has(failedEntry.Id))
+					retryableIds.add(failedEntry.Id);
 				else
-					formattedSqsBatch.push(formattedSqsBatchEntry);
+					sqsResponse.Failed.push({ ...failedEntry, ...attemptInfo });
+			});
+
+			pendingEntries = pendingEntries.filter(entry => retryableIds.has(entry.Id));
+		}
+
+		return sqsResponse;
+	}
+
+	/**
+	 * @param {Object[]} entries - The entries of an attempt, in their original order.
+	 * @param {Object[]} successful - The successful entries of the attempt.
+	 * @returns {Set<string>} The Ids of the entries followed by a successful entry of the same message group.
+	 */
+	getOvertakenEntryIds(entries, successful) {
+
+		const successfulIds = new Set(successful.map(({ Id }) => Id));
+		const sentGroups = new Set();
+		const overtakenIds = new Set();
+
+		// The entries are walked backwards, so the groups with a later successful entry are known when reaching every entry
+		for(const { Id, MessageGroupId } of [...entries].reverse()) {
+
+			if(successfulIds.has(Id))
+				sentGroups.add(MessageGroupId);
+			else if(sentGroups.has(MessageGroupId))
+				overtakenIds.add(Id);
+		}
+
+		return overtakenIds;
+	}
+
+	/**
+	 * Sends a batch of entries to SQS. If the whole request fails (network errors, access denied, throttling),
+	 * every entry of the batch is reported as failed so the results of the other batches are not lost.
+	 * The entries are flagged without sender fault when the error is retryable, so they are sent again.
+	 *
+	 * @param {string} sqsUrl - The queue URL.
+	 * @param {Object[]} entries - The formatted batch entries.
+	 * @returns {Promise<{ Successful?: Object[], Failed?: Object[] }>}
+	 */
+	async sendBatch(sqsUrl, entries) {
+
+		try {
+
+			return await this.sqs.send(new SendMessageBatchCommand({
+				Entries: entries,
+				QueueUrl: sqsUrl
+			}));
+
+		} catch(error) {
+
+			logger.error(`Failed to send a batch of ${entries.length} entries to ${sqsUrl}: ${error.message}`);
 
+			return {
+				Failed: entries.map(({ Id }) => ({
+					Id,
+					Code: SqsEmitterError.codes.SQS_ERROR,
+					Message: error.message,
+					SenderFault: !isRetryableError(error),
+					AwsErrorCode: error.Code || error.name
+				}))
+			};
+		}
+	}
+
+	/**
+	 * @param {PublishOptions} [options]
+	 * @returns {import('./helpers/retry').RetryOptions}
+	 */
+	getRetryOptions(options) {
+		return {
+			...DEFAULT_RETRY_OPTIONS,
+			...this.options.retry,
+			...options?.retry
+		};
+	}
+
+	/**
+	 * @param {PublishOptions} [options]
+	 * @returns {S3Settings}
+	 * @throws {SqsEmitterError} If the failure strategy, the compression or the buckets cache TTL are not valid.
+	 */
+	getS3Settings(options) {
+
+		const {
+			s3FailureStrategy = 'fail',
+			s3Compression,
+			inlineCompression,
+			s3Deduplication,
+			s3DeduplicationMaxAge = DEFAULT_DEDUPLICATION_MAX_AGE,
+			s3KeyTemplate = s3Deduplication ? CONTENT_ADDRESSED_KEY_TEMPLATE : DEFAULT_KEY_TEMPLATE,
+			s3KeyPrefix = DEFAULT_KEY_PREFIX
+		} = { ...this.options, ...options };
+
+		if(!S3_FAILURE_STRATEGIES.includes(s3FailureStrategy)) {
+			throw new SqsEmitterError(
+				`Invalid s3FailureStrategy: ${s3FailureStrategy}. It must be one of ${S3_FAILURE_STRATEGIES.join(', ')}`,
+				SqsEmitterError.codes.INVALID_OPTIONS
+			);
+		}
+
+		const { bucketsCacheTtl } = this.options;
+
+		if(typeof bucketsCacheTtl !== 'undefined' && (!Number.isInteger(bucketsCacheTtl) || bucketsCacheTtl <= 0)) {
+			throw new SqsEmitterError(
+				`Invalid bucketsCacheTtl: ${bucketsCacheTtl}. It must be a positive integer`,
+				SqsEmitterError.codes.INVALID_OPTIONS
+			);
+		}
+
+		this.validateCompression('s3Compression', s3Compression);
+		this.validateCompression('inlineCompression', inlineCompression);
+		validateKeyTemplate(s3KeyTemplate);
+		validateKeyPrefix(s3KeyPrefix);
+
+		if(s3Deduplication) {
+
+			validateContentAddressedKeyTemplate(s3KeyTemplate);
+
+			if(!Number.isInteger(s3DeduplicationMaxAge) || s3DeduplicationMaxAge <= 0) {
+				throw new SqsEmitterError(
+					`Invalid s3DeduplicationMaxAge: ${s3DeduplicationMaxAge}. It must be a positive integer`,
+					SqsEmitterError.codes.INVALID_OPTIONS
+				);
 			}
+		}
 
-			let sqsResponse = {};
+		// The object options are merged with the ones of every event later, but they are validated once to reject invalid options early
+		[this.options.s3Object, options?.s3Object].forEach(s3Object => {
+			if(typeof s3Object !== 'undefined')
+				validateS3ObjectOptions(s3Object, 's3Object option');
+		});
 
-			if(formattedSqsBatch.length) {
-				sqsResponse = await this.sqs.send(new SendMessageBatchCommand({
-					Entries: formattedSqsBatch,
-					QueueUrl: sqsUrl
-				}));
+		return {
+			failureStrategy: s3FailureStrategy,
+			...s3Compression && { contentEncoding: s3Compression },
+			...inlineCompression && { inlineEncoding: inlineCompression },
+			keyTemplate: s3KeyTemplate,
+			keyPrefix: s3KeyPrefix,
+			...s3Deduplication && { deduplicationMaxAge: s3DeduplicationMaxAge }
+		};
+	}
+
+	/**
+	 * @param {string} optionName - The name of the option, used in the error message.
+	 * @param {import('./helpers/content-compression').ContentEncoding|false} [compression] - The option value.
+	 * @throws {SqsEmitterError} If the compression is not valid.
+	 */
+	validateCompression(optionName, compression) {
+
+		// A falsy value disables the compression, so a call can override the compression of the emitter
+		if(compression && !CONTENT_ENCODINGS.includes(compression)) {
+			throw new SqsEmitterError(
+				`Invalid ${optionName}: ${compression}. It must be one of ${CONTENT_ENCODINGS.join(', ')}`,
+				SqsEmitterError.codes.INVALID_OPTIONS
+			);
+		}
+	}
+
+	/**
+	 * Compresses the body of a message that exceeds the size limit, so it can be sent without offloading its content to S3.
+	 * The body is compressed and encoded in base64, and the encoding is set in the `content-encoding` attribute.
+	 *
+	 * @param {Object} parsedEvent - The event object that has been parsed previously.
+	 * @param {import('./helpers/content-compression').ContentEncoding} [inlineEncoding] - The encoding of the `inlineCompression` option.
+	 * @param {number} messageSizeLimit - The size in bytes above which the event is sent with an S3 content path.
+	 * @returns {[Object, number]|[]} The compressed event and its size, or an empty array when the compression is disabled,
+	 * the message has no room for another attribute or the compressed message still exceeds the limit.
+	 */
+	compressEventInline(parsedEvent, inlineEncoding, messageSizeLimit) {
+
+		if(!inlineEncoding || Object.keys(parsedEvent.MessageAttributes).length >= MAX_MESSAGE_ATTRIBUTES)
+			return [];
+
+		const compressedEvent = {
+			...parsedEvent,
+			MessageBody: compressContentSync(parsedEvent.MessageBody, inlineEncoding).toString('base64'),
+			MessageAttributes: {
+				...parsedEvent.MessageAttributes,
+				[CONTENT_ENCODING_ATTRIBUTE]: {
+					DataType: 'String',
+					StringValue: inlineEncoding
+				}
 			}
+		};
 
-			sqsResponse.Failed ??= [];
+		const compressedEventSize = getMessageSize(compressedEvent);
 
-			for(const s3FailedEntry of s3Failed)
-				sqsResponse.Failed.push(s3FailedEntry);
+		if(compressedEventSize > messageSizeLimit) {
+			logger.info(`The compressed event size exceeds the ${messageSizeLimit} bytes limit. Its content will be offloaded to S3`);
+			return [];
+		}
 
-			return sqsResponse;
+		return [compressedEvent, compressedEventSize];
+	}
 
-		}, MAX_CONCURRENCY);
+	/**
+	 * Resolves the size and entries limits of a call, validating them and adapting them to the queue's attributes if needed.
+	 *
+	 * @param {string} sqsUrl - The queue URL.
+	 * @param {PublishOptions} [options]
+	 * @returns {Promise<Limits>}
+	 * @throws {SqsEmitterError} If the configured limits are not valid.
+	 */
+	async getLimits(sqsUrl, options) {
 
-		/** @type {import('@aws-sdk/client-sqs').SendMessageBatchCommand[]} */
-		const results = await asyncWithConcurrency.run(parsedEvents);
+		const {
+			messageSizeLimit, maxBatchEntries = SQS_MAX_BATCH_SIZE, useQueueAttributes
+		} = { ...this.options, ...options };
+
+		if(typeof messageSizeLimit !== 'undefined' && !this.isIntegerInRange(messageSizeLimit, SQS_MIN_MESSAGE_LIMIT_SIZE, SQS_MAX_MESSAGE_LIMIT_SIZE)) {
+			throw new SqsEmitterError(
+				`Invalid messageSizeLimit: ${messageSizeLimit}. It must be an integer from ${SQS_MIN_MESSAGE_LIMIT_SIZE} to ${SQS_MAX_MESSAGE_LIMIT_SIZE}`,
+				SqsEmitterError.codes.INVALID_OPTIONS
+			);
+		}
 
-		return this.formatSQSResponse(results);
+		if(!this.isIntegerInRange(maxBatchEntries, 1, SQS_MAX_BATCH_SIZE)) {
+			throw new SqsEmitterError(
+				`Invalid maxBatchEntries: ${maxBatchEntries}. It must be an integer from 1 to ${SQS_MAX_BATCH_SIZE}`,
+				SqsEmitterError.codes.INVALID_OPTIONS
+			);
+		}
+
+		let sizeLimit = messageSizeLimit ?? SQS_MESSAGE_LIMIT_SIZE;
+
+		if(useQueueAttributes) {
+
+			const { maximumMessageSize } = await QueueAttributes.get(sqsUrl, this.awsClients);
+
+			if(maximumMessageSize)
+				sizeLimit = messageSizeLimit ? Math.min(messageSizeLimit, maximumMessageSize) : maximumMessageSize;
+		}
+
+		return {
+			messageSizeLimit: sizeLimit,
+			maxBatchEntries
+		};
+	}
+
+	/**
+	 * Resolves the FIFO settings of a call, reading the queue's content-based deduplication when needed.
+	 *
+	 * @param {string} sqsUrl - The queue URL.
+	 * @param {PublishOptions} [options]
+	 * @returns {Promise<import('./helpers/fifo-message').FifoSettings|undefined>} The FIFO settings, or undefined for standard queues.
+	 */
+	async getFifoSettings(sqsUrl, options) {
+
+		if(!this.isFifoQueue(sqsUrl))
+			return;
+
+		const { defaultMessageGroupId, contentBasedDeduplication, useQueueAttributes } = { ...this.options, ...options };
+
+		if(typeof contentBasedDeduplication !== 'undefined' || !useQueueAttributes)
+			return { defaultMessageGroupId, contentBasedDeduplication: !!contentBasedDeduplication };
+
+		const queueAttributes = await QueueAttributes.get(sqsUrl, this.awsClients);
+
+		return { defaultMessageGroupId, contentBasedDeduplication: !!queueAttributes.contentBasedDeduplication };
+	}
+
+	/**
+	 * @private
+	 */
+	isIntegerInRange(value, min, max) {
+		return Number.isInteger(value) && value >= min && value <= max;
 	}
 
 	formatSQSResponse(results) {
@@ -141,6 +749,8 @@ module.exports = class SqsEmitter {
 			failed: []
 		};
 
+		const dropped = [];
+
 		results.forEach(result => {
 
 			if(result.Successful) {
@@ -150,7 +760,8 @@ module.exports = class SqsEmitter {
 				result.Successful.forEach(success => response.success.push({
 					Id: success.Id,
 					messageId: success.MessageId,
-					...success.SequenceNumber && { sequenceNumber: success.SequenceNumber }
+					...success.SequenceNumber && { sequenceNumber: success.SequenceNumber },
+					attempts: success.Attempts
 				}));
 			}
 
@@ -160,73 +771,189 @@ module.exports = class SqsEmitter {
 
 				result.Failed.sort((a, b) => Number(a.Id) - Number(b.Id));
 
-				response.failed.push(...result.Failed);
+				// Entries that were never sent, for example because they are not valid, took no attempts
+				response.failed.push(...result.Failed.map(({ Attempts = 0, ...failedEntry }) => ({ ...failedEntry, attempts: Attempts })));
 			}
 
+			if(result.Dropped)
+				dropped.push(...result.Dropped);
+
 		});
 
+		// Dropped events are only reported when the drop strategy is used
+		if(dropped.length) {
+			response.droppedCount = dropped.length;
+			response.dropped = dropped.sort((a, b) => Number(a.Id) - Number(b.Id));
+		}
+
 		return response;
 	}
 
-	parseEvents(events, sqsUrl) {
+	/**
+	 * Formats the events and splits them in batches that do not exceed the SQS size and entries limits.
+	 * In FIFO queues every batch contains events of a single message group, keeping the original order of the events.
+	 * Events that cannot be formatted, for example because of invalid attributes, are reported as failed entries and not sent.
+	 *
+	 * @param {Object[]} events - The events to publish.
+	 * @param {string} sqsUrl - The queue URL.
+	 * @param {Limits} limits - The size and entries limits.
+	 * @param {PublishOptions} [options] - The options of the call.
+	 * @param {import('./helpers/fifo-message').FifoSettings} [fifoSettings] - The FIFO settings of the call, for FIFO queues only.
+	 * @param {S3Settings} s3Settings - The S3 settings of the call, used to compress the events inline or estimate the size of the ones offloaded to S3.
+	 * @returns {{ batches: Object[][], failed: Object[] }} The batches of parsed events and the failed entries.
+	 */
+	parseEvents(events, sqsUrl, limits, options, fifoSettings, s3Settings) {
+
+		const sqsName = this.getSqsNameFromUrl(sqsUrl);
+		const isFifo = this.isFifoQueue(sqsUrl);
 
-		const parsedEvents = [
-			[]
-		];
+		const eventGroups = new Map();
 
-		let currentBatchIndex = 0;
-		let currentBatchSize = 0;
+		// In FIFO queues, the next events of a group whose event failed are not sent, so they are never received without it
+		const failedGroupIds = new Set();
 
 		let eventIndex = 0;
 
-		const sqsName = this.getSqsNameFromUrl(sqsUrl);
+		const failed = [];
 
 		for(const event of events) {
 
 			eventIndex++;
 
-			let parsedEvent = this.formatSQSEvent(event, sqsName, eventIndex);
+			const messageGroupId = isFifo ? event.messageGroupId ?? fifoSettings.defaultMessageGroupId : undefined;
+
+			if(failedGroupIds.has(messageGroupId)) {
+				failed.push(this.formatInterruptedEntry({ Id: `${eventIndex}`, MessageGroupId: messageGroupId }));
+				continue;
+			}
+
+			let parsedEvent;
+			let parsedEventSize;
+
+			try {
+				parsedEvent = this.formatSQSEvent(event, sqsName, eventIndex, options, fifoSettings);
+				[parsedEvent, parsedEventSize] = this.handleEventSizeLimit(parsedEvent, getMessageSize(parsedEvent), limits.messageSizeLimit, s3Settings);
+			} catch(error) {
 
-			let parsedEventSize = JSON.stringify(parsedEvent).length;
+				failed.push({ Id: `${eventIndex}`, Code: error.code, Message: error.message });
 
-			[parsedEvent, parsedEventSize] = this.handleEventSizeLimit(parsedEvent, parsedEventSize);
+				if(typeof messageGroupId !== 'undefined')
+					failedGroupIds.add(messageGroupId);
+
+				continue;
+			}
+
+			const groupKey = isFifo ? parsedEvent.MessageGroupId : undefined;
+
+			if(!eventGroups.has(groupKey))
+				eventGroups.set(groupKey, []);
+
+			eventGroups.get(groupKey).push([parsedEvent, parsedEventSize]);
+		}
+
+		return {
+			batches: [...eventGroups.values()].flatMap(eventGroup => this.splitInBatches(eventGroup, limits)),
+			failed
+		};
+	}
 
-			if(currentBatchSize + parsedEventSize > SQS_MESSAGE_LIMIT_SIZE || parsedEvents[currentBatchIndex].length === SQS_MAX_BATCH_SIZE) {
+	/**
+	 * @param {Array<[Object, number]>} parsedEventsWithSize - The parsed events with their sizes.
+	 * @param {Limits} limits - The size and entries limits.
+	 * @returns {Object[][]} The batches of parsed events.
+	 */
+	splitInBatches(parsedEventsWithSize, { messageSizeLimit, maxBatchEntries }) {
+
+		const batches = [
+			[]
+		];
+
+		let currentBatchIndex = 0;
+		let currentBatchSize = 0;
+
+		for(const [parsedEvent, parsedEventSize] of parsedEventsWithSize) {
+
+			if(currentBatchSize + parsedEventSize > messageSizeLimit || batches[currentBatchIndex].length === maxBatchEntries) {
 				currentBatchIndex++;
-				parsedEvents[currentBatchIndex] = [];
+				batches[currentBatchIndex] = [];
 				currentBatchSize = 0;
 			}
 
-			parsedEvents[currentBatchIndex].push(parsedEvent);
+			batches[currentBatchIndex].push(parsedEvent);
 			currentBatchSize += parsedEventSize;
 		}
 
-		return parsedEvents;
+		return batches;
 	}
 
-	async formatAndUploadEventWithS3Content(parsedEvent) {
+	/**
+	 * Uploads the content of the event to S3, compressed when the `s3Compression` option is set, and formats the event with its S3 location.
+	 *
+	 * @param {Object} parsedEvent - The event object that has been parsed previously.
+	 * @param {S3Settings} s3Settings - The failure strategy and the content encoding of the call.
+	 * @param {string} [region] - The region of the queue. Buckets in this region are preferred after the default one.
+	 * @returns {Promise<Object>} The event to send, or an object with the `Dropped` entry when the event is dropped.
+	 * @throws {SqsEmitterError} With the `fail` strategy, with the `S3_ERROR` code if the content cannot be uploaded, or with the code of the error
+	 * of the shared parameter if the buckets cannot be obtained. With the `MISSING_SERVICE_NAME` code, if the key template uses the service
+	 * and the `JANIS_SERVICE_NAME` environment variable is not set.
+	 */
+	async formatAndUploadEventWithS3Content(parsedEvent, s3Settings, region) {
 
-		const { limitExceeded, extraProperties: { payloadFixedProperties, contentS3Path }, ...parsedEventBase } = parsedEvent;
+		const { limitExceeded, extraProperties: { payloadFixedProperties, s3Object }, ...parsedEventBase } = parsedEvent;
+		const { failureStrategy, contentEncoding } = s3Settings;
+		const contentS3Path = this.getContentS3Path(parsedEvent, s3Settings);
 
-		const bucketList = await ParameterStore.getParameterValue();
+		let bucketInfo;
 
-		const bucketInfo = await S3Uploader.uploadContentS3Path(bucketList, contentS3Path, parsedEvent.MessageBody);
+		try {
 
-		if(!bucketInfo) {
-			return {
-				Error: {
-					Id: parsedEvent.Id,
-					Message: 'Failed to upload to all provided s3 buckets',
-					Code: SqsEmitterError.codes.S3_ERROR
-				}
-			};
+			// The buckets are obtained inside the try, so the failure strategy also applies when RAM or SSM fail
+			const bucketList = await this.getBuckets();
+
+			const body = contentEncoding ? await compressContent(parsedEvent.MessageBody, contentEncoding) : parsedEvent.MessageBody;
+
+			bucketInfo = await S3Uploader.uploadContentS3Path(bucketList, contentS3Path, body, {
+				awsClients: this.awsClients,
+				region,
+				contentEncoding,
+				objectParams: getPutObjectParams(s3Object),
+				deduplicationMaxAge: s3Settings.deduplicationMaxAge
+			});
+
+		} catch(error) {
+
+			if(failureStrategy === 'fail')
+				throw error;
+
+			logger.warn(`The content could not be uploaded to S3. Using the ${failureStrategy} strategy: `, contentS3Path);
+
+			if(failureStrategy === 'drop')
+				return { Dropped: { Id: parsedEvent.Id, Code: error.code, Message: error.message } };
+
+			return { ...parsedEventBase, MessageBody: JSON.stringify(this.formatTruncatedBody(parsedEventBase, payloadFixedProperties)) };
 		}
 
-		const sqsFixedContent = this.formatBodyWithContentS3Path(parsedEventBase, payloadFixedProperties, contentS3Path, bucketInfo);
+		const sqsFixedContent = this.formatBodyWithContentS3Path(parsedEventBase, payloadFixedProperties, contentS3Path, bucketInfo, contentEncoding);
 
 		return { ...parsedEventBase, MessageBody: JSON.stringify(sqsFixedContent) };
 	}
 
+	/**
+	 * Formats the body of an event whose content could not be uploaded to S3, keeping only its fixed payload properties.
+	 *
+	 * @param {Object} parsedEvent - The event object that has been parsed previously.
+	 * @param {string[]} [payloadFixedProperties] - The content properties that must be sent.
+	 * @returns {Object} The truncated body, flagged with `contentTruncated` so consumers know the content is incomplete.
+	 */
+	formatTruncatedBody(parsedEvent, payloadFixedProperties) {
+		return {
+			contentTruncated: true,
+			...payloadFixedProperties?.length && {
+				...pickProperties(JSON.parse(parsedEvent.MessageBody), payloadFixedProperties)
+			}
+		};
+	}
+
 	/**
 		* Formats the SQS message body with the content location in S3.
 		* This method generates an object that includes the content location in S3 and, optionally,
@@ -238,13 +965,15 @@ module.exports = class SqsEmitter {
 		* @param {Object} bucketInfo - Information about the S3 bucket.
 		* @param {string} bucketInfo.region - The region of the S3 bucket.
 		* @param {string} bucketInfo.bucketName - The name of the S3 bucket.
+		* @param {import('./helpers/content-compression').ContentEncoding} [contentEncoding] - The encoding of the content, when it is compressed.
 		* @returns {Object} An object containing the content location in S3 and the fixed payload properties (if specified).
 		*/
-	formatBodyWithContentS3Path(parsedEvent, payloadFixedProperties, contentS3Path, bucketInfo) {
+	formatBodyWithContentS3Path(parsedEvent, payloadFixedProperties, contentS3Path, bucketInfo, contentEncoding) {
 		return {
 			contentS3Location: {
 				path: contentS3Path,
-				...bucketInfo && { bucketName: bucketInfo.bucketName, region: bucketInfo.region }
+				...bucketInfo && { bucketName: bucketInfo.bucketName, region: bucketInfo.region },
+				...contentEncoding && { contentEncoding }
 			},
 			...payloadFixedProperties?.length && {
 				...pickProperties(JSON.parse(parsedEvent.MessageBody), payloadFixedProperties)
@@ -252,26 +981,76 @@ module.exports = class SqsEmitter {
 		};
 	}
 
-	formatSQSEvent(event, sqsName, eventIndex) {
+	/**
+	 * @param {Object} event - The event to publish.
+	 * @param {string} sqsName - The queue name, without the `.fifo` suffix.
+	 * @param {number} [eventIndex] - The position of the event in a batch, used as the entry Id.
+	 * @param {PublishOptions} [options] - The options of the call.
+	 * @param {import('./helpers/fifo-message').FifoSettings} [fifoSettings] - The FIFO settings of the call, for FIFO queues only.
+	 * @returns {Object} The SendMessage input or batch entry, with the `extraProperties` needed to offload the content to S3.
+	 * @throws {SqsEmitterError} If the attributes, the delay or the FIFO properties of the event are not valid.
+	 */
+	formatSQSEvent(event, sqsName, eventIndex, options, fifoSettings) {
 
-		const parsedAttributes = this.parseMessageAttributes(event.attributes, sqsName);
-		const extraProperties = this.parseExtraProperties(event, sqsName);
+		const parsedAttributes = this.parseMessageAttributes(this.getEventAttributes(event, options), sqsName, options);
+		const delaySeconds = getDelaySeconds(event, !!fifoSettings);
+		const extraProperties = this.parseExtraProperties(event, sqsName, options);
 
-		return {
+		const parsedEvent = {
 			...eventIndex && { Id: `${eventIndex}` },
 			MessageBody: JSON.stringify(event.content),
 			MessageAttributes: parsedAttributes,
-			...event.subject && { Subject: event.subject },
 			...event.messageDeduplicationId && { MessageDeduplicationId: event.messageDeduplicationId },
 			...event.messageGroupId && { MessageGroupId: event.messageGroupId },
-			...event.messageStructure && { MessageStructure: event.messageStructure },
+			...typeof delaySeconds !== 'undefined' && { DelaySeconds: delaySeconds },
 			extraProperties
 		};
+
+		return fifoSettings ? formatFifoMessage(parsedEvent, fifoSettings) : parsedEvent;
+	}
+
+	/**
+	 * Gets the attributes of an event, adding the SNS-only properties that SQS does not support when the `snsFields` option allows it.
+	 * The event attributes take precedence over these properties.
+	 *
+	 * @param {Object} event - The event to publish.
+	 * @param {PublishOptions} [options] - The options of the call.
+	 * @returns {Object|undefined} The attributes to send.
+	 * @throws {SqsEmitterError} If the event has SNS-only properties and they are rejected, or the `snsFields` option is not valid.
+	 */
+	getEventAttributes(event, options) {
+
+		const snsProperties = SNS_PROPERTIES.filter(property => event[property]);
+
+		if(!snsProperties.length)
+			return event.attributes;
+
+		const { snsFields = 'attributes' } = { ...this.options, ...options };
+
+		if(!SNS_FIELDS_MODES.includes(snsFields)) {
+			throw new SqsEmitterError(
+				`Invalid snsFields: ${snsFields}. It must be one of ${SNS_FIELDS_MODES.join(', ')}`,
+				SqsEmitterError.codes.INVALID_OPTIONS
+			);
+		}
+
+		if(snsFields === 'reject') {
+			throw new SqsEmitterError(
+				`Unsupported event properties: ${snsProperties.join(', ')}. They are only supported by SNS`,
+				SqsEmitterError.codes.UNSUPPORTED_PROPERTY
+			);
+		}
+
+		return {
+			...pickProperties(event, snsProperties),
+			...event.attributes
+		};
 	}
 
 	/**
  	 * Handles the event size limit by formatting the event with an S3 content path.
- 	 * If the event size exceeds the limit, it will be formatted with an S3 content path.
+ 	 * If the event size exceeds the limit, it will be compressed inline when the `inlineCompression` option is set and the compressed event fits
+ 	 * in the limit. Otherwise, it will be formatted with an S3 content path.
 	 *
 	 * estimatedBucketInfoSize: The estimated size of the bucket information (bucketName and region).
 	 * This is calculated only for batch events and overestimated to avoid future issues with larger bucket names or regions.
@@ -285,56 +1064,87 @@ module.exports = class SqsEmitter {
 	 *
  	 * @param {Object} parsedEvent - The event object that has been parsed previously.
  	 * @param {number} parsedEventSize - The size of the parsed event in bytes.
+ 	 * @param {number} messageSizeLimit - The size in bytes above which the event is sent with an S3 content path.
+ 	 * @param {S3Settings} s3Settings - The S3 settings of the call.
  	 * @returns {[Object, number]} - Returns an array where the first element is the modified parsed event,
  	 * and the second element is the updated event size.
+ 	 * @throws {SqsEmitterError} If the S3 key of an event that exceeds the limit cannot be generated.
  	 */
-	handleEventSizeLimit(parsedEvent, parsedEventSize) {
+	handleEventSizeLimit(parsedEvent, parsedEventSize, messageSizeLimit, s3Settings) {
 
 		const {
-			extraProperties: { payloadFixedProperties, contentS3Path }
+			extraProperties: { payloadFixedProperties }
 		} = parsedEvent;
 
-		if(parsedEventSize > SQS_MESSAGE_LIMIT_SIZE) {
+		if(parsedEventSize > messageSizeLimit) {
+
+			const inlineCompressedEvent = this.compressEventInline(parsedEvent, s3Settings.inlineEncoding, messageSizeLimit);
+
+			if(inlineCompressedEvent.length)
+				return inlineCompressedEvent;
+
+			const contentS3Path = this.getContentS3Path(parsedEvent, s3Settings);
 
-			const contentFixed = this.formatBodyWithContentS3Path(parsedEvent, payloadFixedProperties, contentS3Path);
+			const contentFixed = this.formatBodyWithContentS3Path(parsedEvent, payloadFixedProperties, contentS3Path, undefined, s3Settings.contentEncoding);
 
 			const estimatedBucketInfoSize = 90;
 
 			// Recalculate event size after formatting
-			parsedEventSize = JSON.stringify(contentFixed).length + estimatedBucketInfoSize;
+			parsedEventSize = getMessageSize({ ...parsedEvent, MessageBody: JSON.stringify(contentFixed) }) + estimatedBucketInfoSize;
 
 			parsedEvent.limitExceeded = true;
 
-			logger.info('Parsed event size exceeds the 256KB limit. It will be sent with an S3 content path: ', contentS3Path);
+			logger.info(`Parsed event size exceeds the ${messageSizeLimit} bytes limit. It will be sent with an S3 content path: `, contentS3Path);
 		}
 
 		return [parsedEvent, parsedEventSize];
 	}
 
-	getContentS3Path(sqsName) {
-
-		const now = new Date();
-		const extension = 'json';
-
-		return [
-			'sqsContent',
-			`${this.session?.clientCode || 'core'}`,
-			`${process.env.JANIS_SERVICE_NAME}`,
-			sqsName,
-			this.formatDate(now),
-			`${this.randomId}.${extension}`
-		].join('/');
-	}
+	/**
+	 * Gets the S3 key where the content of an event is uploaded, formatting the key template of the call.
+	 * The key is generated once per event and kept in its `extraProperties`, so the same key is used to estimate the size of the event and to upload it.
+	 *
+	 * @param {Object} parsedEvent - The event object that has been parsed previously.
+	 * @param {S3Settings} s3Settings - The S3 settings of the call.
+	 * @returns {string} The S3 key.
+	 * @throws {SqsEmitterError} With the `MISSING_SERVICE_NAME` code, if the template uses the service and the environment variable is not set.
+	 */
+	getContentS3Path({ MessageBody, extraProperties }, { keyTemplate, keyPrefix, contentEncoding }) {
+
+		extraProperties.contentS3Path ??= formatKey(keyTemplate, {
+			prefix: keyPrefix,
+			client: this.session?.clientCode || 'core',
+			service: process.env.JANIS_SERVICE_NAME,
+			queue: extraProperties.sqsName,
+			date: new Date(),
+			messageId: this.randomId,
+			getContentHash: () => {
+
+				// The encoding and the object options are hashed too, so compressed and uncompressed copies of the same content, or copies with other
+				// encryption, tags or metadata, never share a key. The queue name is left out, so the queues with the same options share the objects
+				const { metadata: { 'sqs-name': queueName, ...metadata }, ...s3Object } = extraProperties.s3Object;
+
+				return createHash('sha256')
+					.update(contentEncoding ? `${contentEncoding}:${MessageBody}` : MessageBody)
+					.update(serializeS3ObjectOptions({ ...s3Object, metadata }))
+					.digest('hex');
+			}
+		});
 
-	formatDate(date) {
-		return [
-			date.getFullYear(),
-			String(date.getMonth() + 1).padStart(2, '0'),
-			String(date.getDate()).padStart(2, '0')
-		].join('/');
+		return extraProperties.contentS3Path;
 	}
 
-	parseMessageAttributes(attributes, sqsName) {
+	/**
+	 * Formats the event attributes as SQS message attributes, adding the ones set by the emitter.
+	 * Attributes with undefined or null values are not sent.
+	 *
+	 * @param {Object<string, *>} [attributes] - The event attributes.
+	 * @param {string} sqsName - The queue name.
+	 * @param {PublishOptions} [options] - The options of the call.
+	 * @returns {Object<string, import('@aws-sdk/client-sqs').MessageAttributeValue>}
+	 * @throws {SqsEmitterError} If the attributes are not valid.
+	 */
+	parseMessageAttributes(attributes, sqsName, options) {
 
 		const parsedAttributes = {
 			sqsName: {
@@ -352,50 +1162,116 @@ module.exports = class SqsEmitter {
 
 		if(attributes) {
 
-			Object.entries(attributes).forEach(([key, value]) => {
-
-				let StringValue;
+			const { flattenAttributes, inlineCompression } = { ...this.options, ...options };
 
-				if(Array.isArray(value))
-					StringValue = JSON.stringify(value);
-				else
-					StringValue = String(value);
+			// The content-encoding attribute is only set by the emitter when the messages can be compressed inline
+			const reservedNames = inlineCompression ? [...RESERVED_ATTRIBUTE_NAMES, CONTENT_ENCODING_ATTRIBUTE] : RESERVED_ATTRIBUTE_NAMES;
 
-				parsedAttributes[key] = {
-					DataType: 'String',
-					StringValue
-				};
+			getAttributeEntries(attributes, flattenAttributes).forEach(([key, value]) => {
+				validateAttributeName(key, reservedNames);
+				parsedAttributes[key] = formatMessageAttribute(value);
+				validateAttributeValue(key, parsedAttributes[key]);
 			});
 		}
 
+		validateAttributesCount(parsedAttributes);
+
 		return parsedAttributes;
 	}
 
-	parseExtraProperties(event, sqsName) {
+	/**
+	 * @param {Object} event - The event to publish.
+	 * @param {string} sqsName - The queue name.
+	 * @param {PublishOptions} [options] - The options of the call.
+	 * @returns {Object} The properties needed to offload the content to S3. The S3 key is added only if the content is offloaded.
+	 * @throws {SqsEmitterError} If the S3 object options of the event are not valid.
+	 */
+	parseExtraProperties(event, sqsName, options) {
 		return {
 			...event.payloadFixedProperties && { payloadFixedProperties: event.payloadFixedProperties },
-			contentS3Path: this.getContentS3Path(sqsName)
+			sqsName,
+			s3Object: this.getS3ObjectOptions(event, sqsName, options)
 		};
 	}
 
+	/**
+	 * Gets the options of the object uploaded to S3 if the event exceeds the size limit. The queue name, the client code and the service name
+	 * are set in its metadata by default, and the options of the emitter, the call and the event are merged over them, in that order.
+	 *
+	 * @param {Object} event - The event to publish.
+	 * @param {string} sqsName - The queue name.
+	 * @param {PublishOptions} [options] - The options of the call.
+	 * @returns {import('./helpers/s3-object-options').S3ObjectOptions}
+	 * @throws {SqsEmitterError} If the options of the event, or the merged options, are not valid.
+	 */
+	getS3ObjectOptions(event, sqsName, options) {
+
+		const defaultMetadata = {
+			'sqs-name': sqsName,
+			'client-code': this.session?.clientCode || 'core',
+			...process.env.JANIS_SERVICE_NAME && { 'service-name': process.env.JANIS_SERVICE_NAME }
+		};
+
+		if(typeof event.s3Object !== 'undefined')
+			validateS3ObjectOptions(event.s3Object, 's3Object of the event');
+
+		const s3Object = mergeS3ObjectOptions({ metadata: defaultMetadata }, this.options.s3Object, options?.s3Object, event.s3Object);
+
+		// The merged options are validated too, since they can exceed the S3 limits when combined
+		validateS3ObjectOptions(s3Object, 's3Object');
+
+		return s3Object;
+	}
+
+	/**
+	 * @param {string} queue - The queue URL, ARN, alias or name.
+	 * @returns {string|Promise<string>} The queue URL.
+	 */
+	resolveQueueUrl(queue) {
+		return QueueUrlResolver.resolve(queue, {
+			awsClients: this.awsClients,
+			aliases: this.options.queueAliases
+		});
+	}
+
 	getSqsNameFromUrl(queueUrl) {
 
-		const isValidSqsUrl = this.isValidSqsUrl(queueUrl);
+		const { queueName, isFifo } = this.parseQueueUrl(queueUrl);
+
+		if(isFifo)
+			return queueName.substring(0, queueName.length - 5);
 
-		if(!isValidSqsUrl)
+		return queueName;
+	}
+
+	/**
+	 * @param {string} queueUrl
+	 * @returns {import('./helpers/queue-url-parser').QueueInfo}
+	 * @throws {SqsEmitterError} If the URL is not recognised by any parser.
+	 */
+	parseQueueUrl(queueUrl) {
+
+		const queueInfo = parseQueueUrl(queueUrl, this.options.queueUrlParsers);
+
+		if(!queueInfo)
 			throw new SqsEmitterError(`Invalid SQS URL: ${queueUrl}`, SqsEmitterError.codes.INVALID_QUEUE_URL);
 
-		const queueUrlParts = queueUrl.split('/');
-		const sqsName = queueUrlParts[queueUrlParts.length - 1];
+		return queueInfo;
+	}
 
-		if(sqsName.endsWith('.fifo'))
-			return sqsName.substring(0, sqsName.length - 5);
+	/**
+	 * @param {string} queueUrl
+	 * @returns {string|undefined} The region of the queue, or the Lambda's region if the URL does not include it.
+	 */
+	getQueueRegion(queueUrl) {
+		return this.parseQueueUrl(queueUrl).region || process.env.AWS_REGION;
+	}
 
-		return sqsName;
+	isFifoQueue(queueUrl) {
+		return queueUrl.endsWith('.fifo');
 	}
 
 	isValidSqsUrl(url) {
-		const pattern = /^https:\/\/sqs\.[a-zA-Z0-9-]+\.amazonaws\.com\/\d{12}\/[a-zA-Z0-9_-]+(\.fifo)?$/;
-		return pattern.test(url);
+		return !!parseQueueUrl(url, this.options.queueUrlParsers);
 	}
 };
@@ -0,0 +1,172 @@
+'use strict';
+
+const assert = require('assert');
+const sinon = require('sinon');
+
+const { SQSClient } = require('@aws-sdk/client-sqs');
+const { S3Client } = require('@aws-sdk/client-s3');
+const { SSMClient } = require('@aws-sdk/client-ssm');
+const { RAMClient } = require('@aws-sdk/client-ram');
+const { STSClient } = require('@aws-sdk/client-sts');
+
+const AwsClients = require('../../lib/helpers/aws-clients');
+const RoleCredentials = require('../../lib/helpers/role-credentials');
+
+describe('AwsClients', () => {
+
+	afterEach(() => {
+		sinon.restore();
+	});
+
+	const isInstrumented = client => client.middlewareStack.identify().some(name => name.startsWith('XRaySDKInstrumentation'));
+
+	it('Should create the clients of every service instrumented with X-Ray by default', () => {
+
+		const awsClients = new AwsClients();
+
+		assert(awsClients.sqs instanceof SQSClient);
+		assert(awsClients.ssm instanceof SSMClient);
+		assert(awsClients.ram instanceof RAMClient);
+		assert(awsClients.sts instanceof STSClient);
+		assert(awsClients.getS3Client('us-east-1') instanceof S3Client);
+
+		assert(isInstrumented(awsClients.sqs));
+		assert(isInstrumented(awsClients.ssm));
+		assert(isInstrumented(awsClients.ram));
+		assert(isInstrumented(awsClients.getS3Client('us-east-1')));
+	});
+
+	it('Should not instrument the clients with X-Ray when it is disabled', () => {
+
+		const awsClients = new AwsClients({ xray: false });
+
+		assert(!isInstrumented(awsClients.sqs));
+		assert(!isInstrumented(awsClients.getS3Client('us-east-1')));
+	});
+
+	it('Should reuse the clients already created', () => {
+
+		const awsClients = new AwsClients();
+
+		assert.strictEqual(awsClients.sqs, awsClients.sqs);
+		assert.strictEqual(awsClients.getS3Client('us-east-1'), awsClients.getS3Client('us-east-1'));
+		assert.notStrictEqual(awsClients.getS3Client('us-east-1'), awsClients.getS3Client('us-west-1'));
+	});
+
+	it('Should propagate the region, endpoint, credentials and max attempts to every client', async () => {
+
+		const awsClients = new AwsClients({
+			region: 'eu-west-1',
+			endpoint: 'http://localhost:4566',
+			credentials: { accessKeyId: 'access-key', secretAccessKey: 'secret-key' },
+			maxAttempts: 5
+		});
+
+		for(const client of [awsClients.sqs, awsClients.ssm, awsClients.ram]) {
+
+			assert.strictEqual(await client.config.region(), 'eu-west-1');
+			assert.strictEqual(await client.config.maxAttempts(), 5);
+
+			const { hostname, port } = await client.config.endpoint();
+			assert.deepStrictEqual({ hostname, port }, { hostname: 'localhost', port: 4566 });
+
+			const { accessKeyId } = await client.config.credentials();
+			assert.strictEqual(accessKeyId, 'access-key');
+		}
+	});
+
+	it('Should use the region of the bucket for S3 clients', async () => {
+
+		const awsClients = new AwsClients({ region: 'eu-west-1' });
+
+		assert.strictEqual(await awsClients.getS3Client('us-west-1').config.region(), 'us-west-1');
+	});
+
+	it('Should use the cached role credentials of the bucket for S3 clients, reusing the client when they are renewed', async () => {
+
+		const awsClients = new AwsClients({ region: 'eu-west-1' });
+		const roleArn = 'arn:aws:iam::123456789012:role/internal-storage';
+
+		sinon.stub(RoleCredentials, 'get').resolves({ accessKeyId: 'role-access-key', secretAccessKey: 'role-secret-key', sessionToken: 'role-token' });
+
+		const s3Client = awsClients.getS3Client('us-west-1', roleArn);
+
+		const { accessKeyId } = await s3Client.config.credentials();
+		assert.strictEqual(accessKeyId, 'role-access-key');
+		sinon.assert.calledWithExactly(RoleCredentials.get, roleArn, awsClients);
+
+		assert.strictEqual(awsClients.getS3Client('us-west-1', roleArn), s3Client);
+		assert.notStrictEqual(awsClients.getS3Client('us-west-1'), s3Client);
+		assert.notStrictEqual(awsClients.getS3Client('us-west-1', `${roleArn}-2`), s3Client);
+	});
+
+	it('Should identify the configuration of the clients of every service', () => {
+
+		const credentialsProvider = () => Promise.resolve({});
+		const sts = new STSClient();
+
+		assert.strictEqual(new AwsClients().getConfigKey('sts'), '||');
+
+		assert.strictEqual(new AwsClients({
+			region: 'eu-west-1',
+			endpoint: { sts: 'http://localhost:4566' },
+			credentials: { accessKeyId: 'access-key', secretAccessKey: 'secret-key' }
+		}).getConfigKey('sts'), 'eu-west-1|http://localhost:4566|access-key');
+
+		assert.strictEqual(
+			new AwsClients({ credentials: credentialsProvider }).getConfigKey('sts'),
+			new AwsClients({ credentials: credentialsProvider }).getConfigKey('sts')
+		);
+
+		assert.notStrictEqual(
+			new AwsClients({ credentials: credentialsProvider }).getConfigKey('sts'),
+			new AwsClients({ credentials: () => Promise.resolve({}) }).getConfigKey('sts')
+		);
+
+		assert.strictEqual(new AwsClients({ clients: { sts } }).getConfigKey('sts'), new AwsClients({ clients: { sts } }).getConfigKey('sts'));
+		assert.notStrictEqual(new AwsClients({ clients: { sts } }).getConfigKey('sts'), new AwsClients().getConfigKey('sts'));
+	});
+
+	it('Should use the endpoint of each service when an endpoint per service is received', async () => {
+
+		const awsClients = new AwsClients({
+			region: 'us-east-1',
+			endpoint: { sqs: 'http://localhost:9324' }
+		});
+
+		const { hostname, port } = await awsClients.sqs.config.endpoint();
+		assert.deepStrictEqual({ hostname, port }, { hostname: 'localhost', port: 9324 });
+
+		assert.strictEqual(awsClients.ssm.config.endpoint, undefined);
+	});
+
+	it('Should return the prebuilt clients as they are', () => {
+
+		const sqs = new SQSClient();
+		const s3 = new S3Client();
+		const ssm = new SSMClient();
+		const ram = new RAMClient();
+
+		const awsClients = new AwsClients({
+			clients: {
+				sqs, s3, ssm, ram
+			}
+		});
+
+		assert.strictEqual(awsClients.sqs, sqs);
+		assert.strictEqual(awsClients.ssm, ssm);
+		assert.strictEqual(awsClients.ram, ram);
+		assert.strictEqual(awsClients.getS3Client('us-east-1'), s3);
+		assert(!isInstrumented(sqs));
+	});
+
+	it('Should throw when a prebuilt S3 client is requested with a role', () => {
+
+		const awsClients = new AwsClients({ clients: { s3: new S3Client() } });
+
+		assert.throws(() => awsClients.getS3Client('us-east-1', 'arn:aws:iam::123456789012:role/internal-storage'), {
+			name: 'SqsEmitterError',
+			code: 'ASSUME_ROLE_ERROR'
+		});
+	});
+});
@@ -0,0 +1,36 @@
+'use strict';
+
+const assert = require('assert');
+const zlib = require('zlib');
+
+const { CONTENT_ENCODINGS, compressContent, compressContentSync } = require('../../lib/helpers/content-compression');
+
+describe('Content compression', () => {
+
+	const content = JSON.stringify({ items: Array.from({ length: 100 }, (_, index) => ({ sku: `sku-${index}`, name: 'Café' })) });
+
+	it('Should support gzip and brotli', () => {
+		assert.deepStrictEqual(CONTENT_ENCODINGS, ['gzip', 'br']);
+	});
+
+	it('Should compress the content with gzip', async () => {
+
+		const compressed = await compressContent(content, 'gzip');
+
+		assert.ok(compressed.length < Buffer.byteLength(content));
+		assert.strictEqual(zlib.gunzipSync(compressed).toString(), content);
+	});
+
+	it('Should compress the content with brotli', async () => {
+
+		const compressed = await compressContent(content, 'br');
+
+		assert.ok(compressed.length < Buffer.byteLength(content));
+		assert.strictEqual(zlib.brotliDecompressSync(compressed).toString(), content);
+	});
+
+	it('Should compress the content synchronously', () => {
+		assert.strictEqual(zlib.gunzipSync(compressContentSync(content, 'gzip')).toString(), content);
+		assert.strictEqual(zlib.brotliDecompressSync(compressContentSync(content, 'br')).toString(), content);
+	});
+});
@@ -0,0 +1,98 @@
+'use strict';
+
+const assert = require('assert');
+
+const { formatFifoMessage, getDeduplicationId } = require('../../lib/helpers/fifo-message');
+
+describe('FIFO messages', () => {
+
+	const message = {
+		MessageBody: JSON.stringify({ foo: 'bar' }),
+		MessageAttributes: {
+			sqsName: { DataType: 'String', StringValue: 'MyQueue' },
+			source: { DataType: 'String', StringValue: 'user' }
+		},
+		MessageGroupId: 'group1'
+	};
+
+	describe('getDeduplicationId', () => {
+
+		it('Should generate a SHA-256 hash of the group id, body and attributes', () => {
+			assert.match(getDeduplicationId(message), /^[0-9a-f]{64}$/);
+		});
+
+		it('Should generate the same id for the same message regardless of the attributes order', () => {
+			assert.deepStrictEqual(getDeduplicationId(message), getDeduplicationId({
+				...message,
+				MessageAttributes: {
+					source: { DataType: 'String', StringValue: 'user' },
+					sqsName: { DataType: 'String', StringValue: 'MyQueue' }
+				}
+			}));
+		});
+
+		it('Should generate different ids when the group id, body or attributes change', () => {
+
+			const deduplicationId = getDeduplicationId(message);
+
+			assert.notDeepStrictEqual(getDeduplicationId({ ...message, MessageGroupId: 'group2' }), deduplicationId);
+			assert.notDeepStrictEqual(getDeduplicationId({ ...message, MessageBody: JSON.stringify({ foo: 'baz' }) }), deduplicationId);
+			assert.notDeepStrictEqual(getDeduplicationId({ ...message, MessageAttributes: {} }), deduplicationId);
+		});
+	});
+
+	describe('formatFifoMessage', () => {
+
+		it('Should add a generated deduplication id', () => {
+			assert.deepStrictEqual(formatFifoMessage(message, {}), {
+				...message,
+				MessageDeduplicationId: getDeduplicationId(message)
+			});
+		});
+
+		it('Should keep the deduplication id of the message', () => {
+			assert.deepStrictEqual(formatFifoMessage({ ...message, MessageDeduplicationId: 'dedup1' }, {}), {
+				...message,
+				MessageDeduplicationId: 'dedup1'
+			});
+		});
+
+		it('Should not generate a deduplication id when the queue has content-based deduplication', () => {
+			assert.deepStrictEqual(formatFifoMessage(message, { contentBasedDeduplication: true }), message);
+		});
+
+		it('Should use the default group id when the message does not set one', () => {
+
+			const { MessageGroupId, ...messageWithoutGroup } = message;
+
+			assert.deepStrictEqual(formatFifoMessage(messageWithoutGroup, { defaultMessageGroupId: 'group1', contentBasedDeduplication: true }), message);
+			assert.deepStrictEqual(formatFifoMessage(message, { defaultMessageGroupId: 'other', contentBasedDeduplication: true }), message);
+		});
+
+		it('Should throw when the group id is missing', () => {
+
+			const { MessageGroupId, ...messageWithoutGroup } = message;
+
+			assert.throws(() => formatFifoMessage(messageWithoutGroup, {}), {
+				message: 'The messageGroupId is required in FIFO queues',
+				code: 'MISSING_MESSAGE_GROUP_ID'
+			});
+		});
+
+		it('Should throw when the group id is not valid', () => {
+			['group 1', 'x'.repeat(129), 'grupo-ñ', 10].forEach(MessageGroupId => {
+				assert.throws(() => formatFifoMessage({ ...message, MessageGroupId }, {}), {
+					message: `Invalid messageGroupId: ${MessageGroupId}. It must have from 1 to 128 alphanumeric or punctuation characters`,
+					code: 'INVALID_MESSAGE_GROUP_ID'
+				});
+			});
+		});
+
+		it('Should throw when the deduplication id is not valid', () => {
+			assert.throws(() => formatFifoMessage({ ...message, MessageDeduplicationId: 'dedup 1' }, {}), {
+				message: 'Invalid messageDeduplicationId: dedup 1. It must have from 1 to 128 alphanumeric or punctuation characters',
+				code: 'INVALID_DEDUPLICATION_ID'
+			});
+		});
+	});
+});
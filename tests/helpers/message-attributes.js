@@ -0,0 +1,252 @@
+'use strict';
+
+const assert = require('assert');
+
+const {
+	getAttributeEntries, formatMessageAttribute, validateAttributeName, validateAttributeValue, validateAttributesCount
+} = require('../../lib/helpers/message-attributes');
+
+describe('Message attributes helpers', () => {
+
+	describe('formatMessageAttribute', () => {
+
+		it('Should format strings and other values as String attributes', () => {
+			assert.deepStrictEqual(formatMessageAttribute('foo'), { DataType: 'String', StringValue: 'foo' });
+			assert.deepStrictEqual(formatMessageAttribute(true), { DataType: 'String', StringValue: 'true' });
+		});
+
+		it('Should format arrays as JSON String attributes', () => {
+			assert.deepStrictEqual(formatMessageAttribute(['foo', 'bar']), { DataType: 'String', StringValue: '["foo","bar"]' });
+		});
+
+		it('Should format plain objects as JSON String attributes', () => {
+			assert.deepStrictEqual(formatMessageAttribute({ foo: { bar: 1 } }), { DataType: 'String', StringValue: '{"foo":{"bar":1}}' });
+			assert.deepStrictEqual(formatMessageAttribute({ dataType: 'String', value: { foo: 'bar' } }), {
+				DataType: 'String',
+				StringValue: '{"foo":"bar"}'
+			});
+		});
+
+		it('Should format dates as ISO-8601 String attributes', () => {
+			assert.deepStrictEqual(formatMessageAttribute(new Date(Date.UTC(2025, 2, 6, 10, 30))), {
+				DataType: 'String',
+				StringValue: '2025-03-06T10:30:00.000Z'
+			});
+		});
+
+		it('Should throw for invalid dates', () => {
+			assert.throws(() => formatMessageAttribute(new Date('invalid')), {
+				message: 'Invalid attribute value: invalid date',
+				code: 'INVALID_ATTRIBUTE_VALUE'
+			});
+		});
+
+		it('Should format finite numbers as Number attributes', () => {
+			assert.deepStrictEqual(formatMessageAttribute(10), { DataType: 'Number', StringValue: '10' });
+			assert.deepStrictEqual(formatMessageAttribute(-1.5), { DataType: 'Number', StringValue: '-1.5' });
+			assert.deepStrictEqual(formatMessageAttribute(NaN), { DataType: 'String', StringValue: 'NaN' });
+		});
+
+		it('Should format buffers and typed arrays as Binary attributes', () => {
+
+			const buffer = Buffer.from('foo');
+			const uint8Array = new Uint8Array([1, 2, 3]);
+
+			assert.deepStrictEqual(formatMessageAttribute(buffer), { DataType: 'Binary', BinaryValue: buffer });
+			assert.deepStrictEqual(formatMessageAttribute(uint8Array), { DataType: 'Binary', BinaryValue: uint8Array });
+		});
+
+		it('Should honour explicit descriptors with custom type suffixes', () => {
+
+			assert.deepStrictEqual(formatMessageAttribute({ dataType: 'Number.float', value: 1.5 }), {
+				DataType: 'Number.float',
+				StringValue: '1.5'
+			});
+
+			assert.deepStrictEqual(formatMessageAttribute({ dataType: 'String', value: 10 }), {
+				DataType: 'String',
+				StringValue: '10'
+			});
+
+			assert.deepStrictEqual(formatMessageAttribute({ dataType: 'String.list', value: ['a'] }), {
+				DataType: 'String.list',
+				StringValue: '["a"]'
+			});
+		});
+
+		it('Should convert the value of Binary descriptors to a buffer when needed', () => {
+
+			const buffer = Buffer.from('foo');
+
+			assert.deepStrictEqual(formatMessageAttribute({ dataType: 'Binary.png', value: buffer }), {
+				DataType: 'Binary.png',
+				BinaryValue: buffer
+			});
+
+			assert.deepStrictEqual(formatMessageAttribute({ dataType: 'Binary', value: 'foo' }), {
+				DataType: 'Binary',
+				BinaryValue: buffer
+			});
+		});
+	});
+
+	describe('getAttributeEntries', () => {
+
+		it('Should skip undefined and null values', () => {
+			assert.deepStrictEqual(getAttributeEntries({
+				foo: 'bar',
+				empty: '',
+				zero: 0,
+				isActive: false,
+				undefinedValue: undefined,
+				nullValue: null,
+				nullDescriptor: { dataType: 'String', value: null }
+			}), [
+				['foo', 'bar'],
+				['empty', ''],
+				['zero', 0],
+				['isActive', false]
+			]);
+		});
+
+		it('Should not flatten nested objects by default', () => {
+			assert.deepStrictEqual(getAttributeEntries({ foo: { bar: 1 } }), [['foo', { bar: 1 }]]);
+		});
+
+		it('Should flatten nested plain objects when needed', () => {
+
+			const date = new Date();
+			const buffer = Buffer.from('foo');
+
+			assert.deepStrictEqual(getAttributeEntries({
+				order: {
+					status: 'created',
+					amount: { total: 10, currency: 'USD' },
+					createdAt: date,
+					items: ['a', 'b'],
+					signature: buffer,
+					price: { dataType: 'Number.float', value: 1.5 },
+					removed: null
+				}
+			}, true), [
+				['order.status', 'created'],
+				['order.amount.total', 10],
+				['order.amount.currency', 'USD'],
+				['order.createdAt', date],
+				['order.items', ['a', 'b']],
+				['order.signature', buffer],
+				['order.price', { dataType: 'Number.float', value: 1.5 }]
+			]);
+		});
+	});
+
+	describe('validateAttributeName', () => {
+
+		const reservedNames = ['sqsName'];
+
+		it('Should not throw for valid names', () => {
+			assert.doesNotThrow(() => validateAttributeName('foo', reservedNames));
+			assert.doesNotThrow(() => validateAttributeName('foo.bar-baz_1', reservedNames));
+			assert.doesNotThrow(() => validateAttributeName('awsRegion', reservedNames));
+		});
+
+		it('Should throw for names reserved by the emitter', () => {
+			assert.throws(() => validateAttributeName('sqsName', reservedNames), {
+				message: 'The attribute name sqsName is reserved by the emitter',
+				code: 'RESERVED_ATTRIBUTE_NAME'
+			});
+		});
+
+		it('Should throw for names with the AWS. or Amazon. prefixes', () => {
+
+			assert.throws(() => validateAttributeName('AWS.TraceHeader', reservedNames), {
+				message: 'Invalid attribute name AWS.TraceHeader: the AWS. and Amazon. prefixes are reserved',
+				code: 'RESERVED_ATTRIBUTE_NAME'
+			});
+
+			assert.throws(() => validateAttributeName('amazon.foo', reservedNames), { code: 'RESERVED_ATTRIBUTE_NAME' });
+		});
+
+		it('Should throw for names with invalid characters or length', () => {
+
+			assert.throws(() => validateAttributeName('foo bar', reservedNames), {
+				message: 'Invalid attribute name foo bar: it must have from 1 to 256 alphanumeric characters, hyphens, underscores or periods',
+				code: 'INVALID_ATTRIBUTE_NAME'
+			});
+
+			assert.throws(() => validateAttributeName('', reservedNames), { code: 'INVALID_ATTRIBUTE_NAME' });
+			assert.throws(() => validateAttributeName('a'.repeat(257), reservedNames), { code: 'INVALID_ATTRIBUTE_NAME' });
+		});
+
+		it('Should throw for names with invalid periods', () => {
+
+			assert.throws(() => validateAttributeName('.foo', reservedNames), {
+				message: 'Invalid attribute name .foo: it cannot start or end with a period or have consecutive periods',
+				code: 'INVALID_ATTRIBUTE_NAME'
+			});
+
+			assert.throws(() => validateAttributeName('foo.', reservedNames), { code: 'INVALID_ATTRIBUTE_NAME' });
+			assert.throws(() => validateAttributeName('foo..bar', reservedNames), { code: 'INVALID_ATTRIBUTE_NAME' });
+		});
+	});
+
+	describe('validateAttributeValue', () => {
+
+		it('Should not throw for valid attributes', () => {
+			assert.doesNotThrow(() => validateAttributeValue('foo', { DataType: 'String', StringValue: 'bar' }));
+			assert.doesNotThrow(() => validateAttributeValue('foo', { DataType: 'Number.float', StringValue: '1.5' }));
+			assert.doesNotThrow(() => validateAttributeValue('foo', { DataType: 'Binary', BinaryValue: Buffer.from('bar') }));
+		});
+
+		it('Should throw for invalid data types', () => {
+
+			assert.throws(() => validateAttributeValue('foo', { DataType: 'Boolean', StringValue: 'true' }), {
+				message: 'Invalid data type Boolean for attribute foo',
+				code: 'INVALID_ATTRIBUTE_VALUE'
+			});
+
+			assert.throws(() => validateAttributeValue('foo', { DataType: `String.${'a'.repeat(256)}`, StringValue: 'bar' }), {
+				code: 'INVALID_ATTRIBUTE_VALUE'
+			});
+		});
+
+		it('Should throw for empty values', () => {
+
+			assert.throws(() => validateAttributeValue('foo', { DataType: 'String', StringValue: '' }), {
+				message: 'Invalid value for attribute foo: values cannot be empty',
+				code: 'INVALID_ATTRIBUTE_VALUE'
+			});
+
+			assert.throws(() => validateAttributeValue('foo', { DataType: 'Binary', BinaryValue: Buffer.from('') }), {
+				message: 'Invalid value for attribute foo: binary values cannot be empty',
+				code: 'INVALID_ATTRIBUTE_VALUE'
+			});
+		});
+
+		it('Should throw for Number attributes with values that are not numbers', () => {
+			assert.throws(() => validateAttributeValue('foo', { DataType: 'Number', StringValue: 'bar' }), {
+				message: 'Invalid value for attribute foo: bar is not a number',
+				code: 'INVALID_ATTRIBUTE_VALUE'
+			});
+		});
+	});
+
+	describe('validateAttributesCount', () => {
+
+		const buildAttributes = count => Object.fromEntries(Array.from({ length: count }, (_, index) => [
+			`attribute${index}`,
+			{ DataType: 'String', StringValue: 'foo' }
+		]));
+
+		it('Should not throw for up to 10 attributes', () => {
+			assert.doesNotThrow(() => validateAttributesCount(buildAttributes(10)));
+		});
+
+		it('Should throw for more than 10 attributes', () => {
+			assert.throws(() => validateAttributesCount(buildAttributes(11)), {
+				message: 'The message has 11 attributes, but the maximum is 10, including the ones added by the emitter',
+				code: 'TOO_MANY_ATTRIBUTES'
+			});
+		});
+	});
+});
@@ -0,0 +1,83 @@
+'use strict';
+
+const assert = require('assert');
+const sinon = require('sinon');
+
+const { getDelaySeconds } = require('../../lib/helpers/message-delay');
+
+describe('getDelaySeconds', () => {
+
+	let clock;
+
+	const now = Date.UTC(2025, 2, 6, 10, 0, 0);
+
+	beforeEach(() => {
+		clock = sinon.useFakeTimers(now);
+	});
+
+	afterEach(() => {
+		clock.restore();
+	});
+
+	it('Should return undefined when the event has no delay', () => {
+		assert.deepStrictEqual(getDelaySeconds({}), undefined);
+		assert.deepStrictEqual(getDelaySeconds({ delaySeconds: null, scheduledAt: null }, true), undefined);
+	});
+
+	it('Should return the delaySeconds when they are valid', () => {
+		assert.deepStrictEqual(getDelaySeconds({ delaySeconds: 0 }), 0);
+		assert.deepStrictEqual(getDelaySeconds({ delaySeconds: 60 }), 60);
+		assert.deepStrictEqual(getDelaySeconds({ delaySeconds: 900 }), 900);
+	});
+
+	it('Should throw when the delaySeconds are not valid', () => {
+		[-1, 901, 1.5, '60', NaN].forEach(delaySeconds => {
+			assert.throws(() => getDelaySeconds({ delaySeconds }), {
+				message: `Invalid delaySeconds: ${delaySeconds}. It must be an integer from 0 to 900`,
+				code: 'INVALID_DELAY'
+			});
+		});
+	});
+
+	it('Should convert the scheduledAt date to a delay rounded up to the next second', () => {
+		assert.deepStrictEqual(getDelaySeconds({ scheduledAt: new Date(now + 60000) }), 60);
+		assert.deepStrictEqual(getDelaySeconds({ scheduledAt: now + 1500 }), 2);
+		assert.deepStrictEqual(getDelaySeconds({ scheduledAt: '2025-03-06T10:15:00.000Z' }), 900);
+	});
+
+	it('Should not delay events scheduled in the past', () => {
+		assert.deepStrictEqual(getDelaySeconds({ scheduledAt: new Date(now - 60000) }), 0);
+	});
+
+	it('Should throw when the scheduledAt date is not valid', () => {
+		['not a date', true, {}].forEach(scheduledAt => {
+			assert.throws(() => getDelaySeconds({ scheduledAt }), {
+				message: `Invalid scheduledAt: ${scheduledAt}`,
+				code: 'INVALID_DELAY'
+			});
+		});
+	});
+
+	it('Should throw when the scheduledAt date exceeds the maximum delay', () => {
+		assert.throws(() => getDelaySeconds({ scheduledAt: '2025-03-06T10:15:01.000Z' }), {
+			message: 'Invalid scheduledAt: 2025-03-06T10:15:01.000Z is 901 seconds ahead. SQS supports delays up to 900 seconds',
+			code: 'INVALID_DELAY'
+		});
+	});
+
+	it('Should throw when both delaySeconds and scheduledAt are set', () => {
+		assert.throws(() => getDelaySeconds({ delaySeconds: 10, scheduledAt: new Date(now) }), {
+			message: 'Only one of delaySeconds and scheduledAt can be set',
+			code: 'INVALID_DELAY'
+		});
+	});
+
+	it('Should throw when a delay is set for a FIFO queue', () => {
+		[{ delaySeconds: 0 }, { scheduledAt: new Date(now + 1000) }].forEach(event => {
+			assert.throws(() => getDelaySeconds(event, true), {
+				message: 'Per-message delays are not supported in FIFO queues. Set the DelaySeconds attribute of the queue instead',
+				code: 'UNSUPPORTED_DELAY'
+			});
+		});
+	});
+});
@@ -0,0 +1,29 @@
+'use strict';
+
+const assert = require('assert');
+
+const { getMessageSize } = require('../../lib/helpers/message-size');
+
+describe('getMessageSize', () => {
+
+	it('Should count the UTF-8 bytes of the body', () => {
+		assert.strictEqual(getMessageSize({ MessageBody: 'abc' }), 3);
+		assert.strictEqual(getMessageSize({ MessageBody: 'ñandú' }), 7);
+		assert.strictEqual(getMessageSize({ MessageBody: '東京' }), 6);
+	});
+
+	it('Should count the name, data type and value of every attribute', () => {
+		assert.strictEqual(getMessageSize({
+			MessageBody: 'body',
+			MessageAttributes: {
+				city: { DataType: 'String', StringValue: 'Asunción' },
+				count: { DataType: 'Number', StringValue: '10' },
+				image: { DataType: 'Binary', BinaryValue: Buffer.from([1, 2, 3]) }
+			}
+		}), 4 + (4 + 6 + 9) + (5 + 6 + 2) + (5 + 6 + 3));
+	});
+
+	it('Should return zero for an empty message', () => {
+		assert.strictEqual(getMessageSize({}), 0);
+	});
+});
@@ -0,0 +1,315 @@
+'use strict';
+
+require('lllog')('none');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const assert = require('assert');
+const sinon = require('sinon');
+
+const { mockClient } = require('aws-sdk-client-mock');
+const { SSMClient, GetParameterCommand } = require('@aws-sdk/client-ssm');
+const { RAMClient, ListResourcesCommand } = require('@aws-sdk/client-ram');
+
+const ParameterStore = require('../../lib/helpers/parameter-store');
+const AwsClients = require('../../lib/helpers/aws-clients');
+
+describe('ParameterStore', () => {
+
+	let ssmMock;
+	let ramMock;
+	let clock;
+	let awsClients;
+
+	const parameterArn = 'arn:aws:ssm:us-east-1:123456789012:parameter/shared/internal-storage';
+
+	const buckets = [{ bucketName: 'bucket-us-east-1', region: 'us-east-1', default: true }];
+	const rotatedBuckets = [{ bucketName: 'rotated-bucket-us-east-1', region: 'us-east-1', default: true }];
+
+	const parameterResponse = value => ({ Parameter: { Value: JSON.stringify(value) } });
+
+	// Lets the background refresh finish
+	const flushPromises = () => new Promise(resolve => {
+		setImmediate(resolve);
+	});
+
+	beforeEach(() => {
+		ssmMock = mockClient(SSMClient);
+		ramMock = mockClient(RAMClient);
+		clock = sinon.useFakeTimers({ now: new Date('2025-03-06T10:00:00.000Z'), toFake: ['Date'] });
+		awsClients = new AwsClients();
+
+		ramMock.on(ListResourcesCommand).resolves({ resources: [{ arn: parameterArn }] });
+	});
+
+	afterEach(() => {
+		ssmMock.restore();
+		ramMock.restore();
+		clock.restore();
+		ParameterStore.clearCache();
+	});
+
+	it('Should fetch the parameter once while it is fresh', async () => {
+
+		ssmMock.on(GetParameterCommand).resolves(parameterResponse(buckets));
+
+		const [value, concurrentValue] = await Promise.all([
+			ParameterStore.getParameterValue(awsClients),
+			ParameterStore.getParameterValue(awsClients)
+		]);
+
+		clock.tick(5 * 60 * 1000 - 1);
+
+		assert.deepStrictEqual(value, buckets);
+		assert.deepStrictEqual(concurrentValue, buckets);
+		assert.deepStrictEqual(await ParameterStore.getParameterValue(awsClients), buckets);
+
+		assert.strictEqual(ramMock.commandCalls(ListResourcesCommand).length, 1);
+		assert.strictEqual(ssmMock.commandCalls(GetParameterCommand, { Name: parameterArn, WithDecryption: true }, true).length, 1);
+	});
+
+	it('Should return the stale value and refresh it in the background once the cache TTL expires', async () => {
+
+		ssmMock.on(GetParameterCommand)
+			.resolvesOnce(parameterResponse(buckets))
+			.resolves(parameterResponse(rotatedBuckets));
+
+		await ParameterStore.getParameterValue(awsClients, { cacheTtl: 1000 });
+
+		clock.tick(1000);
+
+		assert.deepStrictEqual(await ParameterStore.getParameterValue(awsClients, { cacheTtl: 1000 }), buckets);
+		assert.deepStrictEqual(await ParameterStore.getParameterValue(awsClients, { cacheTtl: 1000 }), buckets);
+
+		await flushPromises();
+
+		assert.deepStrictEqual(await ParameterStore.getParameterValue(awsClients, { cacheTtl: 1000 }), rotatedBuckets);
+		assert.strictEqual(ssmMock.commandCalls(GetParameterCommand).length, 2);
+	});
+
+	it('Should keep the stale value and wait 30 seconds before refreshing it again when the background refresh fails', async () => {
+
+		ssmMock.on(GetParameterCommand)
+			.resolvesOnce(parameterResponse(buckets))
+			.rejectsOnce(new Error('Throttling'))
+			.resolves(parameterResponse(rotatedBuckets));
+
+		await ParameterStore.getParameterValue(awsClients);
+
+		clock.tick(5 * 60 * 1000);
+
+		assert.deepStrictEqual(await ParameterStore.getParameterValue(awsClients), buckets);
+
+		await flushPromises();
+
+		clock.tick(30 * 1000 - 1);
+
+		assert.deepStrictEqual(await ParameterStore.getParameterValue(awsClients), buckets);
+
+		await flushPromises();
+
+		assert.strictEqual(ssmMock.commandCalls(GetParameterCommand).length, 2);
+
+		clock.tick(1);
+
+		assert.deepStrictEqual(await ParameterStore.getParameterValue(awsClients), buckets);
+
+		await flushPromises();
+
+		assert.deepStrictEqual(await ParameterStore.getParameterValue(awsClients), rotatedBuckets);
+		assert.strictEqual(ssmMock.commandCalls(GetParameterCommand).length, 3);
+	});
+
+	it('Should not cache the failures when there is no cached value', async () => {
+
+		ssmMock.on(GetParameterCommand)
+			.rejectsOnce(new Error('Access Denied'))
+			.resolves(parameterResponse(buckets));
+
+		await assert.rejects(ParameterStore.getParameterValue(awsClients), {
+			name: 'SqsEmitterError',
+			message: `Unable to get parameter with arn ${parameterArn} - Access Denied`,
+			code: 'SSM_ERROR'
+		});
+
+		assert.deepStrictEqual(await ParameterStore.getParameterValue(awsClients), buckets);
+	});
+
+	describe('Bucket list validation', () => {
+
+		const assertInvalidParameter = async (value, message) => {
+
+			ssmMock.on(GetParameterCommand).resolves(parameterResponse(value));
+
+			await assert.rejects(ParameterStore.getParameterValue(awsClients), {
+				name: 'SqsEmitterError',
+				message: `Unable to get parameter with arn ${parameterArn} - ${message}`,
+				code: 'SSM_ERROR'
+			});
+		};
+
+		it('Should reject when the parameter is not an array', async () => {
+			await assertInvalidParameter({ bucketName: 'bucket-us-east-1', region: 'us-east-1' }, 'The bucket list must be an array');
+		});
+
+		it('Should reject when the parameter has no buckets', async () => {
+			await assertInvalidParameter([], 'The bucket list is empty');
+		});
+
+		it('Should reject when a bucket is not an object', async () => {
+			await assertInvalidParameter([...buckets, 'bucket-us-west-2'], 'Invalid bucket at index 1: it must be an object');
+			await assertInvalidParameter([null], 'Invalid bucket at index 0: it must be an object');
+		});
+
+		it('Should reject when a bucket has no bucketName or region', async () => {
+			await assertInvalidParameter([...buckets, { region: 'us-west-2' }], 'Invalid bucket at index 1: bucketName must be a non-empty string');
+			await assertInvalidParameter(
+				[...buckets, { bucketName: 'bucket-us-west-2', region: '' }],
+				'Invalid bucket at index 1 (bucket-us-west-2): region must be a non-empty string'
+			);
+		});
+
+		it('Should reject when a bucket has an invalid roleArn or default flag', async () => {
+			await assertInvalidParameter(
+				[{ bucketName: 'bucket-us-east-1', region: 'us-east-1', roleArn: 123 }],
+				'Invalid bucket at index 0 (bucket-us-east-1): roleArn must be a non-empty string'
+			);
+			await assertInvalidParameter(
+				[{ bucketName: 'bucket-us-east-1', region: 'us-east-1', default: 'true' }],
+				'Invalid bucket at index 0 (bucket-us-east-1): default must be a boolean'
+			);
+		});
+
+		it('Should reject when more than one bucket is the default', async () => {
+			await assertInvalidParameter([...buckets, { ...rotatedBuckets[0] }], 'Only one bucket can be the default');
+		});
+
+		it('Should accept buckets with a roleArn and without default flag', async () => {
+
+			const validBuckets = [
+				{ bucketName: 'bucket-us-east-1', region: 'us-east-1', roleArn: 'arn:aws:iam::123456789012:role/upload' },
+				{ bucketName: 'bucket-us-west-2', region: 'us-west-2' }
+			];
+
+			ssmMock.on(GetParameterCommand).resolves(parameterResponse(validBuckets));
+
+			assert.deepStrictEqual(await ParameterStore.getParameterValue(awsClients), validBuckets);
+		});
+	});
+
+	describe('refresh', () => {
+
+		it('Should fetch the parameter again and replace the cached value', async () => {
+
+			ssmMock.on(GetParameterCommand)
+				.resolvesOnce(parameterResponse(buckets))
+				.resolves(parameterResponse(rotatedBuckets));
+
+			await ParameterStore.getParameterValue(awsClients);
+
+			assert.deepStrictEqual(await ParameterStore.refresh(awsClients), rotatedBuckets);
+			assert.deepStrictEqual(await ParameterStore.getParameterValue(awsClients), rotatedBuckets);
+		});
+
+		it('Should reject and keep the cached value when the parameter cannot be fetched', async () => {
+
+			ssmMock.on(GetParameterCommand)
+				.resolvesOnce(parameterResponse(buckets))
+				.rejects(new Error('Access Denied'));
+
+			await ParameterStore.getParameterValue(awsClients);
+
+			await assert.rejects(ParameterStore.refresh(awsClients), { code: 'SSM_ERROR' });
+
+			assert.deepStrictEqual(await ParameterStore.getParameterValue(awsClients), buckets);
+		});
+	});
+
+	describe('getLocalValue', () => {
+
+		const localFile = path.join(os.tmpdir(), `sqs-emitter-buckets-${process.pid}.json`);
+
+		afterEach(() => {
+			delete process.env.SQS_EMITTER_BUCKETS;
+			delete process.env.SQS_EMITTER_BUCKETS_FILE;
+
+			if(fs.existsSync(localFile))
+				fs.unlinkSync(localFile);
+		});
+
+		it('Should return undefined when there is no local bucket list', () => {
+			assert.deepStrictEqual(ParameterStore.getLocalValue(), undefined);
+		});
+
+		it('Should return the received buckets or parse their JSON', () => {
+			assert.deepStrictEqual(ParameterStore.getLocalValue(buckets), buckets);
+			assert.deepStrictEqual(ParameterStore.getLocalValue(JSON.stringify(buckets)), buckets);
+		});
+
+		it('Should read the buckets from the environment variable', () => {
+
+			process.env.SQS_EMITTER_BUCKETS = JSON.stringify(buckets);
+
+			assert.deepStrictEqual(ParameterStore.getLocalValue(), buckets);
+
+			// The received buckets take precedence
+			assert.deepStrictEqual(ParameterStore.getLocalValue(rotatedBuckets), rotatedBuckets);
+		});
+
+		it('Should read the buckets from the file of the environment variable', () => {
+
+			fs.writeFileSync(localFile, JSON.stringify(buckets));
+
+			process.env.SQS_EMITTER_BUCKETS_FILE = localFile;
+
+			assert.deepStrictEqual(ParameterStore.getLocalValue(), buckets);
+
+			// The environment variable with the JSON takes precedence
+			process.env.SQS_EMITTER_BUCKETS = JSON.stringify(rotatedBuckets);
+
+			assert.deepStrictEqual(ParameterStore.getLocalValue(), rotatedBuckets);
+		});
+
+		it('Should throw when the local buckets are not valid JSON', () => {
+
+			process.env.SQS_EMITTER_BUCKETS = '[{';
+
+			assert.throws(() => ParameterStore.getLocalValue(), {
+				name: 'SqsEmitterError',
+				message: /^Invalid local buckets in the SQS_EMITTER_BUCKETS environment variable - /,
+				code: 'INVALID_OPTIONS'
+			});
+		});
+
+		it('Should throw when the local buckets are not a valid bucket list', () => {
+
+			assert.throws(() => ParameterStore.getLocalValue([]), {
+				name: 'SqsEmitterError',
+				message: 'Invalid local buckets in the buckets option - The bucket list is empty',
+				code: 'INVALID_OPTIONS'
+			});
+
+			process.env.SQS_EMITTER_BUCKETS = JSON.stringify([{ bucketName: 'bucket-us-east-1' }]);
+
+			assert.throws(() => ParameterStore.getLocalValue(), {
+				name: 'SqsEmitterError',
+				message: 'Invalid local buckets in the SQS_EMITTER_BUCKETS environment variable - '
+					+ 'Invalid bucket at index 0 (bucket-us-east-1): region must be a non-empty string',
+				code: 'INVALID_OPTIONS'
+			});
+		});
+
+		it('Should throw when the file cannot be read', () => {
+
+			process.env.SQS_EMITTER_BUCKETS_FILE = localFile;
+
+			assert.throws(() => ParameterStore.getLocalValue(), {
+				name: 'SqsEmitterError',
+				message: new RegExp(`^Invalid local buckets in the file ${localFile} - ENOENT`),
+				code: 'INVALID_OPTIONS'
+			});
+		});
+	});
+});
@@ -0,0 +1,66 @@
+'use strict';
+
+const assert = require('assert');
+const sinon = require('sinon');
+
+const PromiseCache = require('../../lib/helpers/promise-cache');
+
+describe('PromiseCache', () => {
+
+	let promiseCache;
+
+	beforeEach(() => {
+		promiseCache = new PromiseCache();
+	});
+
+	it('Should fetch every key only once and share the promise between concurrent calls', async () => {
+
+		const fetch = sinon.stub().resolves('value');
+
+		const [first, second] = await Promise.all([promiseCache.get('key', fetch), promiseCache.get('key', fetch)]);
+
+		assert.strictEqual(first, 'value');
+		assert.strictEqual(second, 'value');
+		assert.strictEqual(await promiseCache.get('key', fetch), 'value');
+		sinon.assert.calledOnce(fetch);
+	});
+
+	it('Should not cache rejected promises', async () => {
+
+		const fetch = sinon.stub()
+			.onFirstCall()
+			.rejects(new Error('Failed'))
+			.resolves('value');
+
+		await assert.rejects(() => promiseCache.get('key', fetch), { message: 'Failed' });
+
+		assert.strictEqual(await promiseCache.get('key', fetch), 'value');
+		sinon.assert.calledTwice(fetch);
+	});
+
+	it('Should delete a key only when it still has the received promise', async () => {
+
+		const firstPromise = promiseCache.get('key', () => Promise.resolve('first'));
+
+		promiseCache.delete('key');
+
+		const secondPromise = promiseCache.get('key', () => Promise.resolve('second'));
+
+		promiseCache.delete('key', firstPromise);
+
+		assert.strictEqual(promiseCache.get('key', () => Promise.resolve('third')), secondPromise);
+
+		promiseCache.delete('key', secondPromise);
+
+		assert.strictEqual(await promiseCache.get('key', () => Promise.resolve('third')), 'third');
+	});
+
+	it('Should clear every key', async () => {
+
+		await promiseCache.get('key', () => Promise.resolve('first'));
+
+		promiseCache.clear();
+
+		assert.strictEqual(await promiseCache.get('key', () => Promise.resolve('second')), 'second');
+	});
+});
@@ -0,0 +1,81 @@
+'use strict';
+
+require('lllog')('none');
+
+const assert = require('assert');
+
+const { mockClient } = require('aws-sdk-client-mock');
+const { SQSClient, GetQueueAttributesCommand } = require('@aws-sdk/client-sqs');
+
+const QueueAttributes = require('../../lib/helpers/queue-attributes');
+const AwsClients = require('../../lib/helpers/aws-clients');
+
+describe('QueueAttributes', () => {
+
+	let sqsMock;
+	let awsClients;
+
+	const queueUrl = 'https://sqs.us-east-1.amazonaws.com/123456789012/MyQueue';
+
+	beforeEach(() => {
+		sqsMock = mockClient(SQSClient);
+		awsClients = new AwsClients();
+	});
+
+	afterEach(() => {
+		sqsMock.restore();
+		QueueAttributes.clearCache();
+	});
+
+	it('Should get the attributes of the queue only once', async () => {
+
+		sqsMock.on(GetQueueAttributesCommand).resolves({
+			Attributes: { MaximumMessageSize: '1048576' }
+		});
+
+		assert.deepStrictEqual(await QueueAttributes.get(queueUrl, awsClients), { maximumMessageSize: 1048576 });
+		assert.deepStrictEqual(await QueueAttributes.get(queueUrl, awsClients), { maximumMessageSize: 1048576 });
+
+		assert.strictEqual(sqsMock.commandCalls(GetQueueAttributesCommand).length, 1);
+		assert.strictEqual(sqsMock.commandCalls(GetQueueAttributesCommand, {
+			QueueUrl: queueUrl,
+			AttributeNames: ['MaximumMessageSize']
+		}, true).length, 1);
+	});
+
+	it('Should get the content-based deduplication of FIFO queues', async () => {
+
+		sqsMock.on(GetQueueAttributesCommand).resolves({
+			Attributes: { MaximumMessageSize: '262144', ContentBasedDeduplication: 'true' }
+		});
+
+		assert.deepStrictEqual(await QueueAttributes.get(`${queueUrl}.fifo`, awsClients), {
+			maximumMessageSize: 262144,
+			contentBasedDeduplication: true
+		});
+
+		assert.strictEqual(sqsMock.commandCalls(GetQueueAttributesCommand, {
+			QueueUrl: `${queueUrl}.fifo`,
+			AttributeNames: ['MaximumMessageSize', 'ContentBasedDeduplication']
+		}, true).length, 1);
+	});
+
+	it('Should return an empty object if the queue does not return the attributes', async () => {
+
+		sqsMock.on(GetQueueAttributesCommand).resolves({});
+
+		assert.deepStrictEqual(await QueueAttributes.get(queueUrl, awsClients), {});
+	});
+
+	it('Should return an empty object if the attributes cannot be obtained and not cache the failure', async () => {
+
+		sqsMock.on(GetQueueAttributesCommand)
+			.rejectsOnce(new Error('Access Denied'))
+			.resolves({ Attributes: { MaximumMessageSize: '1024' } });
+
+		assert.deepStrictEqual(await QueueAttributes.get(queueUrl, awsClients), {});
+		assert.deepStrictEqual(await QueueAttributes.get(queueUrl, awsClients), { maximumMessageSize: 1024 });
+
+		assert.strictEqual(sqsMock.commandCalls(GetQueueAttributesCommand).length, 2);
+	});
+});
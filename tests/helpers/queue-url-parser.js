@@ -0,0 +1,119 @@
+'use strict';
+
+const assert = require('assert');
+
+const { parseQueueUrl } = require('../../lib/helpers/queue-url-parser');
+
+describe('parseQueueUrl', () => {
+
+	const assertParsedUrl = (url, expected) => {
+		assert.deepStrictEqual(parseQueueUrl(url), { url, ...expected });
+	};
+
+	it('Should parse standard AWS queue URLs', () => {
+		assertParsedUrl('https://sqs.us-east-1.amazonaws.com/123456789012/MyQueue', {
+			queueName: 'MyQueue',
+			accountId: '123456789012',
+			region: 'us-east-1',
+			isFifo: false
+		});
+	});
+
+	it('Should parse FIFO queue URLs', () => {
+		assertParsedUrl('https://sqs.us-east-1.amazonaws.com/123456789012/MyQueue.fifo', {
+			queueName: 'MyQueue.fifo',
+			accountId: '123456789012',
+			region: 'us-east-1',
+			isFifo: true
+		});
+	});
+
+	it('Should parse China regions queue URLs', () => {
+		assertParsedUrl('https://sqs.cn-north-1.amazonaws.com.cn/123456789012/MyQueue', {
+			queueName: 'MyQueue',
+			accountId: '123456789012',
+			region: 'cn-north-1',
+			isFifo: false
+		});
+	});
+
+	it('Should parse VPC endpoint queue URLs', () => {
+		assertParsedUrl('https://vpce-0123456789abcdef-abcdefgh.sqs.us-west-2.vpce.amazonaws.com/123456789012/MyQueue', {
+			queueName: 'MyQueue',
+			accountId: '123456789012',
+			region: 'us-west-2',
+			isFifo: false
+		});
+	});
+
+	it('Should parse legacy queue URLs', () => {
+
+		assertParsedUrl('https://us-west-2.queue.amazonaws.com/123456789012/MyQueue', {
+			queueName: 'MyQueue',
+			accountId: '123456789012',
+			region: 'us-west-2',
+			isFifo: false
+		});
+
+		assertParsedUrl('https://queue.amazonaws.com/123456789012/MyQueue', {
+			queueName: 'MyQueue',
+			accountId: '123456789012',
+			region: 'us-east-1',
+			isFifo: false
+		});
+	});
+
+	it('Should parse local stand-in queue URLs', () => {
+
+		assertParsedUrl('http://localhost:9324/000000000000/MyQueue', {
+			queueName: 'MyQueue',
+			accountId: '000000000000',
+			isFifo: false
+		});
+
+		assertParsedUrl('http://sqs.us-east-1.localhost.localstack.cloud:4566/000000000000/MyQueue.fifo', {
+			queueName: 'MyQueue.fifo',
+			accountId: '000000000000',
+			region: 'us-east-1',
+			isFifo: true
+		});
+	});
+
+	it('Should return undefined for invalid queue URLs', () => {
+		assert.strictEqual(parseQueueUrl('https://invalid-url'), undefined);
+		assert.strictEqual(parseQueueUrl('https://sqs.us-east-1.amazonaws.com/1234/MyQueue'), undefined);
+		assert.strictEqual(parseQueueUrl('http://sqs.us-east-1.amazonaws.com/123456789012/MyQueue'), undefined);
+		assert.strictEqual(parseQueueUrl('https://example.com/123456789012/MyQueue'), undefined);
+		assert.strictEqual(parseQueueUrl(undefined), undefined);
+	});
+
+	it('Should use custom regular expression parsers', () => {
+
+		const url = 'https://sqs.internal.example.com/123456789012/MyQueue';
+
+		assert.deepStrictEqual(parseQueueUrl(url, [
+			/^https:\/\/sqs\.internal\.example\.com\/(?<accountId>\d{12})\/(?<queueName>[\w-]+)$/
+		]), {
+			url,
+			queueName: 'MyQueue',
+			accountId: '123456789012',
+			isFifo: false
+		});
+	});
+
+	it('Should use custom function parsers before the default ones', () => {
+
+		const url = 'https://sqs.us-east-1.amazonaws.com/123456789012/MyQueue';
+
+		assert.deepStrictEqual(parseQueueUrl(url, [
+			() => undefined,
+			() => ({ queueName: 'OtherQueue', accountId: '000000000000', region: 'eu-west-1' })
+		]), {
+			url,
+			queueName: 'OtherQueue',
+			accountId: '000000000000',
+			region: 'eu-west-1',
+			isFifo: false
+		});
+	});
+});
@@ -0,0 +1,142 @@
+'use strict';
+
+const assert = require('assert');
+
+const { mockClient } = require('aws-sdk-client-mock');
+const { SQSClient, GetQueueUrlCommand } = require('@aws-sdk/client-sqs');
+
+const QueueUrlResolver = require('../../lib/helpers/queue-url-resolver');
+const AwsClients = require('../../lib/helpers/aws-clients');
+
+describe('QueueUrlResolver', () => {
+
+	let sqsMock;
+	let awsClients;
+
+	const queueUrl = 'https://sqs.us-east-1.amazonaws.com/123456789012/MyQueue';
+
+	beforeEach(() => {
+		sqsMock = mockClient(SQSClient);
+		awsClients = new AwsClients();
+	});
+
+	afterEach(() => {
+		sqsMock.restore();
+		QueueUrlResolver.clearCache();
+		delete process.env.ORDER_CREATED_SQS_QUEUE_URL;
+	});
+
+	describe('resolve', () => {
+
+		it('Should return the queue URL as it is', async () => {
+			assert.strictEqual(await QueueUrlResolver.resolve(queueUrl, { awsClients }), queueUrl);
+			assert.strictEqual(sqsMock.commandCalls(GetQueueUrlCommand).length, 0);
+		});
+
+		it('Should build the queue URL from a queue ARN', async () => {
+
+			assert.strictEqual(await QueueUrlResolver.resolve('arn:aws:sqs:us-east-1:123456789012:MyQueue', { awsClients }), queueUrl);
+
+			assert.strictEqual(
+				await QueueUrlResolver.resolve('arn:aws-cn:sqs:cn-north-1:123456789012:MyQueue.fifo', { awsClients }),
+				'https://sqs.cn-north-1.amazonaws.com.cn/123456789012/MyQueue.fifo'
+			);
+		});
+
+		it('Should throw if the queue ARN is not valid', () => {
+			assert.throws(() => QueueUrlResolver.resolve('arn:aws:sns:us-east-1:123456789012:MyTopic', { awsClients }), {
+				message: 'Invalid SQS ARN: arn:aws:sns:us-east-1:123456789012:MyTopic',
+				code: 'INVALID_QUEUE_URL'
+			});
+		});
+
+		it('Should resolve the queue URL of the received aliases', async () => {
+
+			const aliases = {
+				orderCreated: queueUrl,
+				orderUpdated: 'arn:aws:sqs:us-east-1:123456789012:OrderUpdated'
+			};
+
+			assert.strictEqual(await QueueUrlResolver.resolve('orderCreated', { awsClients, aliases }), queueUrl);
+
+			assert.strictEqual(
+				await QueueUrlResolver.resolve('orderUpdated', { awsClients, aliases }),
+				'https://sqs.us-east-1.amazonaws.com/123456789012/OrderUpdated'
+			);
+		});
+
+		it('Should resolve the queue URL of aliases from environment variables', async () => {
+
+			process.env.ORDER_CREATED_SQS_QUEUE_URL = queueUrl;
+
+			assert.strictEqual(await QueueUrlResolver.resolve('orderCreated', { awsClients }), queueUrl);
+			assert.strictEqual(await QueueUrlResolver.resolve('order-created', { awsClients }), queueUrl);
+			assert.strictEqual(sqsMock.commandCalls(GetQueueUrlCommand).length, 0);
+		});
+
+		it('Should get the URL of a queue name only once', async () => {
+
+			sqsMock.on(GetQueueUrlCommand).resolves({ QueueUrl: queueUrl });
+
+			assert.strictEqual(await QueueUrlResolver.resolve('MyQueue', { awsClients }), queueUrl);
+			assert.strictEqual(await QueueUrlResolver.resolve('MyQueue', { awsClients }), queueUrl);
+
+			assert.strictEqual(sqsMock.commandCalls(GetQueueUrlCommand).length, 1);
+			assert.strictEqual(sqsMock.commandCalls(GetQueueUrlCommand, { QueueName: 'MyQueue' }, true).length, 1);
+		});
+
+		it('Should get the URL of a queue name again for clients with another configuration', async () => {
+
+			const euQueueUrl = 'https://sqs.eu-west-1.amazonaws.com/123456789012/MyQueue';
+
+			sqsMock.on(GetQueueUrlCommand)
+				.resolvesOnce({ QueueUrl: queueUrl })
+				.resolves({ QueueUrl: euQueueUrl });
+
+			const euAwsClients = new AwsClients({ region: 'eu-west-1' });
+
+			assert.strictEqual(await QueueUrlResolver.resolve('MyQueue', { awsClients }), queueUrl);
+			assert.strictEqual(await QueueUrlResolver.resolve('MyQueue', { awsClients: euAwsClients }), euQueueUrl);
+			assert.strictEqual(await QueueUrlResolver.resolve('MyQueue', { awsClients: new AwsClients({ region: 'eu-west-1' }) }), euQueueUrl);
+
+			assert.strictEqual(sqsMock.commandCalls(GetQueueUrlCommand).length, 2);
+		});
+
+		it('Should reject if the URL of the queue name cannot be obtained and not cache the failure', async () => {
+
+			sqsMock.on(GetQueueUrlCommand)
+				.rejectsOnce(new Error('The specified queue does not exist'))
+				.resolves({ QueueUrl: queueUrl });
+
+			await assert.rejects(QueueUrlResolver.resolve('MyQueue', { awsClients }), {
+				message: 'Unable to get the URL of the queue MyQueue - The specified queue does not exist',
+				code: 'SQS_ERROR'
+			});
+
+			assert.strictEqual(await QueueUrlResolver.resolve('MyQueue', { awsClients }), queueUrl);
+			assert.strictEqual(sqsMock.commandCalls(GetQueueUrlCommand).length, 2);
+		});
+
+		it('Should throw if the queue is not valid', () => {
+
+			assert.throws(() => QueueUrlResolver.resolve('invalid queue', { awsClients }), {
+				message: 'Invalid SQS queue: invalid queue',
+				code: 'INVALID_QUEUE_URL'
+			});
+
+			assert.throws(() => QueueUrlResolver.resolve(undefined, { awsClients }), {
+				message: 'Invalid SQS queue: undefined',
+				code: 'INVALID_QUEUE_URL'
+			});
+		});
+	});
+
+	describe('getAliasEnvironmentVariable', () => {
+
+		it('Should convert the alias to constant case', () => {
+			assert.strictEqual(QueueUrlResolver.getAliasEnvironmentVariable('orderCreated'), 'ORDER_CREATED_SQS_QUEUE_URL');
+			assert.strictEqual(QueueUrlResolver.getAliasEnvironmentVariable('order-created'), 'ORDER_CREATED_SQS_QUEUE_URL');
+			assert.strictEqual(QueueUrlResolver.getAliasEnvironmentVariable('ORDER_CREATED'), 'ORDER_CREATED_SQS_QUEUE_URL');
+		});
+	});
+});
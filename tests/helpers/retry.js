@@ -0,0 +1,71 @@
+'use strict';
+
+const assert = require('assert');
+const sinon = require('sinon');
+
+const { getBackoffDelay, isRetryableFailure, isRetryableError } = require('../../lib/helpers/retry');
+
+describe('Retry helpers', () => {
+
+	afterEach(() => {
+		sinon.restore();
+	});
+
+	describe('getBackoffDelay', () => {
+
+		const retryOptions = { baseDelay: 100, maxDelay: 1000 };
+
+		it('Should double the delay window for every attempt', () => {
+
+			sinon.stub(Math, 'random').returns(1);
+
+			assert.strictEqual(getBackoffDelay(1, retryOptions), 100);
+			assert.strictEqual(getBackoffDelay(2, retryOptions), 200);
+			assert.strictEqual(getBackoffDelay(3, retryOptions), 400);
+		});
+
+		it('Should not exceed the max delay', () => {
+
+			sinon.stub(Math, 'random').returns(1);
+
+			assert.strictEqual(getBackoffDelay(10, retryOptions), 1000);
+		});
+
+		it('Should apply a random jitter to the delay', () => {
+
+			sinon.stub(Math, 'random').returns(0.25);
+
+			assert.strictEqual(getBackoffDelay(3, retryOptions), 100);
+		});
+	});
+
+	describe('isRetryableFailure', () => {
+
+		it('Should return true only when the failure is explicitly not caused by the sender', () => {
+			assert.strictEqual(isRetryableFailure({ SenderFault: false }), true);
+			assert.strictEqual(isRetryableFailure({ SenderFault: true }), false);
+			assert.strictEqual(isRetryableFailure({}), false);
+		});
+	});
+
+	describe('isRetryableError', () => {
+
+		const createError = (name, properties) => Object.assign(new Error('Request failed'), { name, ...properties });
+
+		it('Should return true for server and network errors', () => {
+			assert.strictEqual(isRetryableError(createError('InternalError', { $fault: 'server' })), true);
+			assert.strictEqual(isRetryableError(createError('TimeoutError')), true);
+		});
+
+		it('Should return true for throttling and retryable client errors', () => {
+			assert.strictEqual(isRetryableError(createError('ThrottlingException', { $fault: 'client' })), true);
+			assert.strictEqual(isRetryableError(createError('Error', { $fault: 'client', Code: 'RequestThrottled' })), true);
+			assert.strictEqual(isRetryableError(createError('Error', { $fault: 'client', $metadata: { httpStatusCode: 429 } })), true);
+			assert.strictEqual(isRetryableError(createError('OverLimit', { $fault: 'client', $retryable: {} })), true);
+		});
+
+		it('Should return false for other client errors', () => {
+			assert.strictEqual(isRetryableError(createError('AccessDenied', { $fault: 'client', $metadata: { httpStatusCode: 403 } })), false);
+		});
+	});
+});
@@ -0,0 +1,126 @@
+'use strict';
+
+const assert = require('assert');
+const sinon = require('sinon');
+
+const { mockClient } = require('aws-sdk-client-mock');
+const { STSClient, AssumeRoleCommand } = require('@aws-sdk/client-sts');
+
+const RoleCredentials = require('../../lib/helpers/role-credentials');
+const AwsClients = require('../../lib/helpers/aws-clients');
+
+describe('RoleCredentials', () => {
+
+	let stsMock;
+	let clock;
+	let awsClients;
+
+	const roleArn = 'arn:aws:iam::123456789012:role/internal-storage';
+	const now = new Date('2025-03-06T10:00:00.000Z');
+
+	const assumeRoleResponse = {
+		Credentials: {
+			AccessKeyId: 'access-key',
+			SecretAccessKey: 'secret-key',
+			SessionToken: 'session-token',
+			Expiration: new Date('2025-03-06T11:00:00.000Z')
+		}
+	};
+
+	const expectedCredentials = {
+		accessKeyId: 'access-key',
+		secretAccessKey: 'secret-key',
+		sessionToken: 'session-token',
+		expiration: new Date('2025-03-06T11:00:00.000Z')
+	};
+
+	beforeEach(() => {
+		stsMock = mockClient(STSClient);
+		clock = sinon.useFakeTimers(now.getTime());
+		awsClients = new AwsClients();
+	});
+
+	afterEach(() => {
+		stsMock.restore();
+		clock.restore();
+		RoleCredentials.clearCache();
+	});
+
+	it('Should assume the role and cache the credentials', async () => {
+
+		stsMock.on(AssumeRoleCommand).resolves(assumeRoleResponse);
+
+		const [credentials, concurrentCredentials] = await Promise.all([
+			RoleCredentials.get(roleArn, awsClients),
+			RoleCredentials.get(roleArn, awsClients)
+		]);
+
+		assert.deepStrictEqual(credentials, expectedCredentials);
+		assert.deepStrictEqual(concurrentCredentials, expectedCredentials);
+		assert.deepStrictEqual(await RoleCredentials.get(roleArn, awsClients), expectedCredentials);
+
+		assert.strictEqual(stsMock.commandCalls(AssumeRoleCommand).length, 1);
+		assert.strictEqual(stsMock.commandCalls(AssumeRoleCommand, {
+			RoleArn: roleArn,
+			RoleSessionName: 'janis-sqs-emitter'
+		}, true).length, 1);
+	});
+
+	it('Should not share the credentials between clients with different configurations', async () => {
+
+		stsMock.on(AssumeRoleCommand).resolves(assumeRoleResponse);
+
+		await RoleCredentials.get(roleArn, awsClients);
+		await RoleCredentials.get(roleArn, new AwsClients());
+		await RoleCredentials.get(roleArn, new AwsClients({ endpoint: 'http://localhost:4566' }));
+
+		assert.strictEqual(stsMock.commandCalls(AssumeRoleCommand).length, 2);
+	});
+
+	it('Should renew the credentials 5 minutes before they expire', async () => {
+
+		stsMock.on(AssumeRoleCommand).resolves(assumeRoleResponse);
+
+		await RoleCredentials.get(roleArn, awsClients);
+
+		clock.tick(54 * 60 * 1000);
+		await RoleCredentials.get(roleArn, awsClients);
+
+		assert.strictEqual(stsMock.commandCalls(AssumeRoleCommand).length, 1);
+
+		clock.tick(60 * 1000);
+		await RoleCredentials.get(roleArn, awsClients);
+
+		assert.strictEqual(stsMock.commandCalls(AssumeRoleCommand).length, 2);
+	});
+
+	it('Should keep the credentials without expiration', async () => {
+
+		const { Expiration, ...credentials } = assumeRoleResponse.Credentials;
+
+		stsMock.on(AssumeRoleCommand).resolves({ Credentials: credentials });
+
+		await RoleCredentials.get(roleArn, awsClients);
+
+		clock.tick(24 * 60 * 60 * 1000);
+		await RoleCredentials.get(roleArn, awsClients);
+
+		assert.strictEqual(stsMock.commandCalls(AssumeRoleCommand).length, 1);
+	});
+
+	it('Should reject with an ASSUME_ROLE_ERROR and not cache the failure', async () => {
+
+		stsMock.on(AssumeRoleCommand)
+			.rejectsOnce(new Error('Access Denied'))
+			.resolves(assumeRoleResponse);
+
+		await assert.rejects(RoleCredentials.get(roleArn, awsClients), {
+			name: 'SqsEmitterError',
+			message: `Unable to assume the role ${roleArn} - Access Denied`,
+			code: 'ASSUME_ROLE_ERROR'
+		});
+
+		assert.deepStrictEqual(await RoleCredentials.get(roleArn, awsClients), expectedCredentials);
+		assert.strictEqual(stsMock.commandCalls(AssumeRoleCommand).length, 2);
+	});
+});
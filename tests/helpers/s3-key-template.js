@@ -0,0 +1,137 @@
+'use strict';
+
+const assert = require('assert');
+
+const {
+	DEFAULT_KEY_PREFIX,
+	DEFAULT_KEY_TEMPLATE,
+	CONTENT_ADDRESSED_KEY_TEMPLATE,
+	validateKeyPrefix,
+	validateKeyTemplate,
+	validateContentAddressedKeyTemplate,
+	formatKey
+} = require('../../lib/helpers/s3-key-template');
+
+describe('S3 key template', () => {
+
+	const values = {
+		prefix: 'sqsContent',
+		client: 'defaultClient',
+		service: 'service-name',
+		queue: 'MySQSName',
+		date: new Date('2025-03-06T23:30:00.000Z'),
+		messageId: 'fake-id',
+		getContentHash: () => 'content-hash'
+	};
+
+	describe('validateKeyTemplate', () => {
+
+		const assertInvalid = (template, message) => {
+			assert.throws(() => validateKeyTemplate(template), {
+				name: 'SqsEmitterError',
+				message,
+				code: 'INVALID_OPTIONS'
+			});
+		};
+
+		it('Should accept the default template and templates with every placeholder', () => {
+			validateKeyTemplate(DEFAULT_KEY_TEMPLATE);
+			validateKeyTemplate('{prefix}/{client}/{service}/{queue}/{year}/{month}/{day}/{hour}/{messageId}-{contentHash}.json');
+			validateKeyTemplate('offloaded/{contentHash}');
+		});
+
+		it('Should throw when the template is not a non-empty string', () => {
+			assertInvalid('', 'Invalid s3KeyTemplate: . It must be a non-empty string');
+			assertInvalid(10, 'Invalid s3KeyTemplate: 10. It must be a non-empty string');
+		});
+
+		it('Should throw when the template has an unknown placeholder', () => {
+			assertInvalid(
+				'{prefix}/{date}/{messageId}.json',
+				'Invalid s3KeyTemplate: {prefix}/{date}/{messageId}.json. Unknown placeholder {date}, '
+					+ 'it must be one of prefix, client, service, queue, year, month, day, hour, messageId, contentHash'
+			);
+		});
+
+		it('Should throw when the template has no placeholder that makes the keys unique', () => {
+			assertInvalid(
+				'{prefix}/{queue}/content.json',
+				'Invalid s3KeyTemplate: {prefix}/{queue}/content.json. It must have the {messageId} or {contentHash} placeholder'
+			);
+		});
+	});
+
+	describe('validateContentAddressedKeyTemplate', () => {
+
+		it('Should accept templates with the content hash and without the message id', () => {
+			validateContentAddressedKeyTemplate(CONTENT_ADDRESSED_KEY_TEMPLATE);
+			validateContentAddressedKeyTemplate('{prefix}/{queue}/{contentHash}.json');
+		});
+
+		it('Should throw when the template is not content-addressed', () => {
+			['{prefix}/{messageId}.json', '{contentHash}/{messageId}.json'].forEach(template => {
+				assert.throws(() => validateContentAddressedKeyTemplate(template), {
+					name: 'SqsEmitterError',
+					message: `Invalid s3KeyTemplate: ${template}. It must have the {contentHash} placeholder and not the {messageId} one to deduplicate the uploads`,
+					code: 'INVALID_OPTIONS'
+				});
+			});
+		});
+	});
+
+	describe('validateKeyPrefix', () => {
+
+		it('Should accept strings', () => {
+			validateKeyPrefix(DEFAULT_KEY_PREFIX);
+			validateKeyPrefix('');
+		});
+
+		it('Should throw when the prefix is not a string', () => {
+			assert.throws(() => validateKeyPrefix(null), {
+				name: 'SqsEmitterError',
+				message: 'Invalid s3KeyPrefix: null. It must be a string',
+				code: 'INVALID_OPTIONS'
+			});
+		});
+	});
+
+	describe('formatKey', () => {
+
+		it('Should format the default template with the UTC date', () => {
+			assert.strictEqual(formatKey(DEFAULT_KEY_TEMPLATE, values), 'sqsContent/defaultClient/service-name/MySQSName/2025/03/06/fake-id.json');
+		});
+
+		it('Should replace every placeholder', () => {
+			assert.strictEqual(
+				formatKey('{prefix}/{client}/{service}/{queue}/{year}-{month}-{day}T{hour}/{messageId}/{contentHash}.json', values),
+				'sqsContent/defaultClient/service-name/MySQSName/2025-03-06T23/fake-id/content-hash.json'
+			);
+		});
+
+		it('Should only calculate the content hash when the template uses it', () => {
+
+			let hashCalls = 0;
+
+			const getContentHash = () => {
+				hashCalls++;
+				return 'content-hash';
+			};
+
+			formatKey(DEFAULT_KEY_TEMPLATE, { ...values, getContentHash });
+
+			assert.strictEqual(hashCalls, 0);
+		});
+
+		it('Should throw when the template uses the service and it is not set', () => {
+			assert.throws(() => formatKey(DEFAULT_KEY_TEMPLATE, { ...values, service: undefined }), {
+				name: 'SqsEmitterError',
+				message: 'The JANIS_SERVICE_NAME environment variable is required to offload the content to S3',
+				code: 'MISSING_SERVICE_NAME'
+			});
+		});
+
+		it('Should not require the service when the template does not use it', () => {
+			assert.strictEqual(formatKey('{queue}/{messageId}.json', { ...values, service: undefined }), 'MySQSName/fake-id.json');
+		});
+	});
+});
@@ -0,0 +1,122 @@
+'use strict';
+
+const assert = require('assert');
+
+const {
+	validateS3ObjectOptions, mergeS3ObjectOptions, getPutObjectParams, serializeS3ObjectOptions
+} = require('../../lib/helpers/s3-object-options');
+
+describe('S3 object options', () => {
+
+	describe('validateS3ObjectOptions', () => {
+
+		const assertInvalid = (s3Object, message) => {
+			assert.throws(() => validateS3ObjectOptions(s3Object, 's3Object option'), {
+				name: 'SqsEmitterError',
+				message: `Invalid s3Object option: ${message}`,
+				code: 'INVALID_OPTIONS'
+			});
+		};
+
+		it('Should accept valid options', () => {
+			validateS3ObjectOptions({}, 's3Object option');
+			validateS3ObjectOptions({
+				serverSideEncryption: 'aws:kms',
+				kmsKeyId: 'alias/offload',
+				tags: { expiration: '7-days' },
+				metadata: { source: 'orders' }
+			}, 's3Object option');
+		});
+
+		it('Should throw when the options are not an object', () => {
+			assertInvalid('AES256', 'it must be an object');
+			assertInvalid(null, 'it must be an object');
+			assertInvalid([], 'it must be an object');
+		});
+
+		it('Should throw when the encryption is not valid', () => {
+			assertInvalid({ serverSideEncryption: 'AES128' }, 'serverSideEncryption must be one of AES256, aws:kms, aws:kms:dsse');
+			assertInvalid({ kmsKeyId: '' }, 'kmsKeyId must be a non-empty string');
+			assertInvalid({ serverSideEncryption: 'AES256', kmsKeyId: 'alias/offload' }, 'kmsKeyId cannot be used with the AES256 encryption');
+		});
+
+		it('Should throw when the tags are not valid', () => {
+
+			const tooManyTags = Object.fromEntries(Array.from({ length: 11 }, (_, index) => [`tag${index}`, 'value']));
+
+			assertInvalid({ tags: 'expiration' }, 'tags must be an object');
+			assertInvalid({ tags: tooManyTags }, 'tags can have up to 10 tags, but it has 11');
+			assertInvalid({ tags: { ['k'.repeat(129)]: 'value' } }, `the tag key ${'k'.repeat(129)} exceeds 128 characters`);
+			assertInvalid({ tags: { expiration: 7 } }, 'the tag expiration must be a string of up to 256 characters');
+			assertInvalid({ tags: { expiration: 'v'.repeat(257) } }, 'the tag expiration must be a string of up to 256 characters');
+		});
+
+		it('Should throw when the metadata is not valid', () => {
+			assertInvalid({ metadata: 'orders' }, 'metadata must be an object');
+			assertInvalid({ metadata: { source: 1 } }, 'the metadata source must be a string');
+			assertInvalid({ metadata: { source: 'x'.repeat(2048) } }, 'metadata cannot exceed 2048 bytes, but it has 2054');
+		});
+	});
+
+	describe('mergeS3ObjectOptions', () => {
+
+		it('Should merge the options, with the tags and metadata of every options', () => {
+			assert.deepStrictEqual(mergeS3ObjectOptions(
+				{ metadata: { 'sqs-name': 'orders' } },
+				undefined,
+				{ serverSideEncryption: 'aws:kms', kmsKeyId: 'alias/emitter', tags: { expiration: '7-days' } },
+				{ kmsKeyId: 'alias/event', tags: { expiration: '1-day', team: 'oms' }, metadata: { 'order-id': '123' } }
+			), {
+				serverSideEncryption: 'aws:kms',
+				kmsKeyId: 'alias/event',
+				tags: { expiration: '1-day', team: 'oms' },
+				metadata: { 'sqs-name': 'orders', 'order-id': '123' }
+			});
+		});
+	});
+
+	describe('getPutObjectParams', () => {
+
+		it('Should return no parameters when there are no options', () => {
+			assert.deepStrictEqual(getPutObjectParams({ tags: {}, metadata: {} }), {});
+		});
+
+		it('Should format the options as PutObject parameters', () => {
+			assert.deepStrictEqual(getPutObjectParams({
+				serverSideEncryption: 'aws:kms:dsse',
+				kmsKeyId: 'alias/offload',
+				tags: { expiration: '7 days', team: 'oms' },
+				metadata: { 'sqs-name': 'orders' }
+			}), {
+				ServerSideEncryption: 'aws:kms:dsse',
+				SSEKMSKeyId: 'alias/offload',
+				Tagging: 'expiration=7%20days&team=oms',
+				Metadata: { 'sqs-name': 'orders' }
+			});
+		});
+
+		it('Should use the aws:kms encryption when only the KMS key is set', () => {
+			assert.deepStrictEqual(getPutObjectParams({ kmsKeyId: 'alias/offload' }), {
+				ServerSideEncryption: 'aws:kms',
+				SSEKMSKeyId: 'alias/offload'
+			});
+		});
+	});
+
+	describe('serializeS3ObjectOptions', () => {
+
+		it('Should serialize the same options to the same value regardless of the order of their tags and metadata', () => {
+			assert.strictEqual(
+				serializeS3ObjectOptions({ kmsKeyId: 'alias/offload', tags: { team: 'oms', expiration: '7-days' }, metadata: { b: '2', a: '1' } }),
+				serializeS3ObjectOptions({ tags: { expiration: '7-days', team: 'oms' }, kmsKeyId: 'alias/offload', metadata: { a: '1', b: '2' } })
+			);
+		});
+
+		it('Should serialize different options to different values', () => {
+			assert.notStrictEqual(
+				serializeS3ObjectOptions({ kmsKeyId: 'alias/offload', tags: {}, metadata: {} }),
+				serializeS3ObjectOptions({ kmsKeyId: 'alias/other', tags: {}, metadata: {} })
+			);
+		});
+	});
+});
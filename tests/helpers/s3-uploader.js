@@ -0,0 +1,288 @@
+'use strict';
+
+const lllog = require('lllog');
+
+lllog('none');
+
+const assert = require('assert');
+const sinon = require('sinon');
+
+const { mockClient } = require('aws-sdk-client-mock');
+const { S3Client, HeadObjectCommand, PutObjectCommand } = require('@aws-sdk/client-s3');
+const { STSClient, AssumeRoleCommand } = require('@aws-sdk/client-sts');
+
+const S3Uploader = require('../../lib/helpers/s3-uploader');
+const RoleCredentials = require('../../lib/helpers/role-credentials');
+const AwsClients = require('../../lib/helpers/aws-clients');
+
+describe('S3Uploader', () => {
+
+	describe('sortBuckets', () => {
+
+		const westBucket = { bucketName: 'bucket-us-west-1', region: 'us-west-1' };
+		const eastBucket = { bucketName: 'bucket-us-east-1', region: 'us-east-1' };
+		const otherEastBucket = { bucketName: 'other-bucket-us-east-1', region: 'us-east-1' };
+		const defaultBucket = { bucketName: 'bucket-sa-east-1', region: 'sa-east-1', default: true };
+
+		it('Should sort the default bucket first, then the buckets in the preferred region and then the rest', () => {
+			assert.deepStrictEqual(S3Uploader.sortBuckets([westBucket, eastBucket, defaultBucket, otherEastBucket], 'us-east-1'), [
+				defaultBucket,
+				eastBucket,
+				otherEastBucket,
+				westBucket
+			]);
+		});
+
+		it('Should keep the original order when there is no preferred region', () => {
+			assert.deepStrictEqual(S3Uploader.sortBuckets([westBucket, eastBucket, defaultBucket]), [
+				defaultBucket,
+				westBucket,
+				eastBucket
+			]);
+		});
+
+		it('Should not modify the received buckets', () => {
+
+			const buckets = [westBucket, defaultBucket];
+
+			S3Uploader.sortBuckets(buckets, 'us-east-1');
+
+			assert.deepStrictEqual(buckets, [westBucket, defaultBucket]);
+		});
+	});
+
+	describe('uploadContentS3Path', () => {
+
+		let s3Mock;
+		let stsMock;
+		let awsClients;
+
+		const roleArn = 'arn:aws:iam::123456789012:role/internal-storage';
+
+		const roleBucket = { bucketName: 'bucket-us-east-1', region: 'us-east-1', roleArn };
+		const bucket = { bucketName: 'bucket-us-west-1', region: 'us-west-1' };
+
+		beforeEach(() => {
+			s3Mock = mockClient(S3Client);
+			stsMock = mockClient(STSClient);
+			awsClients = new AwsClients();
+		});
+
+		afterEach(() => {
+			s3Mock.restore();
+			stsMock.restore();
+			RoleCredentials.clearCache();
+			S3Uploader.clearCache();
+		});
+
+		it('Should assume the role of the bucket to upload the content', async () => {
+
+			stsMock.on(AssumeRoleCommand).resolves({
+				Credentials: {
+					AccessKeyId: 'role-access-key',
+					SecretAccessKey: 'role-secret-key',
+					SessionToken: 'role-session-token'
+				}
+			});
+
+			s3Mock.on(PutObjectCommand).resolves({ ETag: 'etag' });
+
+			assert.deepStrictEqual(await S3Uploader.uploadContentS3Path([roleBucket], 'path/file.json', '{}', { awsClients }), roleBucket);
+
+			assert.strictEqual(stsMock.commandCalls(AssumeRoleCommand, { RoleArn: roleArn }).length, 1);
+
+			const [putObjectCall] = s3Mock.commandCalls(PutObjectCommand);
+			const { accessKeyId } = await putObjectCall.thisValue.config.credentials();
+
+			assert.strictEqual(accessKeyId, 'role-access-key');
+		});
+
+		it('Should upload the content as JSON with its content encoding', async () => {
+
+			const body = Buffer.from('compressed');
+
+			s3Mock.on(PutObjectCommand).resolves({ ETag: 'etag' });
+
+			await S3Uploader.uploadContentS3Path([bucket], 'path/file.json', '{}', { awsClients });
+			await S3Uploader.uploadContentS3Path([bucket], 'path/file.json', body, { awsClients, contentEncoding: 'gzip' });
+
+			assert.strictEqual(s3Mock.commandCalls(PutObjectCommand, {
+				Bucket: bucket.bucketName,
+				Key: 'path/file.json',
+				Body: '{}',
+				ContentType: 'application/json'
+			}, true).length, 1);
+
+			assert.strictEqual(s3Mock.commandCalls(PutObjectCommand, {
+				Bucket: bucket.bucketName,
+				Key: 'path/file.json',
+				Body: body,
+				ContentType: 'application/json',
+				ContentEncoding: 'gzip'
+			}, true).length, 1);
+		});
+
+		it('Should try the next bucket when the role cannot be assumed', async () => {
+
+			stsMock.on(AssumeRoleCommand).rejects(new Error('Access Denied'));
+			s3Mock.on(PutObjectCommand).resolves({ ETag: 'etag' });
+
+			assert.deepStrictEqual(await S3Uploader.uploadContentS3Path([roleBucket, bucket], 'path/file.json', '{}', { awsClients }), bucket);
+
+			assert.strictEqual(s3Mock.commandCalls(PutObjectCommand).length, 1);
+			assert.strictEqual(s3Mock.commandCalls(PutObjectCommand, { Bucket: bucket.bucketName }).length, 1);
+		});
+
+		it('Should reject with the ASSUME_ROLE_ERROR of the bucket when every upload fails', async () => {
+
+			stsMock.on(AssumeRoleCommand).rejects(new Error('Access Denied'));
+
+			await assert.rejects(S3Uploader.uploadContentS3Path([roleBucket], 'path/file.json', '{}', { awsClients }), {
+				code: 'S3_ERROR',
+				details: [{
+					bucketName: roleBucket.bucketName,
+					region: roleBucket.region,
+					code: 'ASSUME_ROLE_ERROR',
+					message: `Unable to assume the role ${roleArn} - Access Denied`
+				}]
+			});
+
+			assert.strictEqual(s3Mock.commandCalls(PutObjectCommand).length, 0);
+		});
+
+		it('Should not use a prebuilt S3 client for the buckets with a role and try the next bucket', async () => {
+
+			s3Mock.on(PutObjectCommand).resolves({ ETag: 'etag' });
+
+			const prebuiltClients = new AwsClients({ clients: { s3: new S3Client() } });
+
+			const uploadedBucket = await S3Uploader.uploadContentS3Path([roleBucket, bucket], 'path/file.json', '{}', { awsClients: prebuiltClients });
+
+			assert.deepStrictEqual(uploadedBucket, bucket);
+
+			await assert.rejects(S3Uploader.uploadContentS3Path([roleBucket], 'path/file.json', '{}', { awsClients: prebuiltClients }), {
+				code: 'S3_ERROR',
+				details: [{
+					bucketName: roleBucket.bucketName,
+					region: roleBucket.region,
+					code: 'ASSUME_ROLE_ERROR',
+					message: `Unable to assume the role ${roleArn} - The prebuilt S3 client cannot use the credentials of a role`
+				}]
+			});
+
+			assert.strictEqual(stsMock.commandCalls(AssumeRoleCommand).length, 0);
+			assert.strictEqual(s3Mock.commandCalls(PutObjectCommand, { Bucket: roleBucket.bucketName }).length, 0);
+		});
+
+		describe('Deduplication', () => {
+
+			const deduplicationMaxAge = 60 * 60 * 1000;
+
+			let clock;
+
+			const notFoundError = () => Object.assign(new Error('NotFound'), { name: 'NotFound' });
+
+			beforeEach(() => {
+				clock = sinon.useFakeTimers({ now: new Date('2025-03-06T10:00:00.000Z'), toFake: ['Date'] });
+			});
+
+			afterEach(() => {
+				clock.restore();
+				sinon.restore();
+			});
+
+			it('Should not check if the object exists when the uploads are not deduplicated', async () => {
+
+				s3Mock.on(PutObjectCommand).resolves({ ETag: 'etag' });
+
+				await S3Uploader.uploadContentS3Path([bucket], 'path/hash.json', '{}', { awsClients });
+
+				assert.strictEqual(s3Mock.commandCalls(HeadObjectCommand).length, 0);
+				assert.strictEqual(s3Mock.commandCalls(PutObjectCommand).length, 1);
+			});
+
+			it('Should upload the object once and reuse it while it is recent', async () => {
+
+				s3Mock.on(HeadObjectCommand).rejects(notFoundError());
+				s3Mock.on(PutObjectCommand).resolves({ ETag: 'etag' });
+
+				const options = { awsClients, deduplicationMaxAge };
+
+				assert.deepStrictEqual(await S3Uploader.uploadContentS3Path([bucket], 'path/hash.json', '{}', options), bucket);
+				assert.deepStrictEqual(await S3Uploader.uploadContentS3Path([bucket], 'path/hash.json', '{}', options), bucket);
+
+				assert.strictEqual(s3Mock.commandCalls(HeadObjectCommand, { Bucket: bucket.bucketName, Key: 'path/hash.json' }, true).length, 1);
+				assert.strictEqual(s3Mock.commandCalls(PutObjectCommand).length, 1);
+
+				// Once the upload is old, the object is checked again
+				clock.tick(deduplicationMaxAge);
+
+				await S3Uploader.uploadContentS3Path([bucket], 'path/hash.json', '{}', options);
+
+				assert.strictEqual(s3Mock.commandCalls(HeadObjectCommand).length, 2);
+				assert.strictEqual(s3Mock.commandCalls(PutObjectCommand).length, 2);
+			});
+
+			it('Should not upload the object when it was recently uploaded by another process', async () => {
+
+				s3Mock.on(HeadObjectCommand).resolves({ LastModified: new Date(Date.now() - 60000) });
+
+				assert.deepStrictEqual(await S3Uploader.uploadContentS3Path([bucket], 'path/hash.json', '{}', { awsClients, deduplicationMaxAge }), bucket);
+
+				assert.strictEqual(s3Mock.commandCalls(PutObjectCommand).length, 0);
+			});
+
+			it('Should upload the object when it cannot be checked, logging the error unless the object does not exist', async () => {
+
+				// Every call of lllog creates a logger, so the spy is set in their prototype
+				const warnSpy = sinon.spy(Object.getPrototypeOf(lllog()), 'warn');
+
+				s3Mock.on(HeadObjectCommand)
+					.rejectsOnce(Object.assign(new Error('UnknownError'), { name: 'Unknown', $metadata: { httpStatusCode: 404 } }))
+					.rejectsOnce(notFoundError())
+					.rejects(Object.assign(new Error('Forbidden'), { name: '403', $metadata: { httpStatusCode: 403 } }));
+
+				s3Mock.on(PutObjectCommand).resolves({ ETag: 'etag' });
+
+				await S3Uploader.uploadContentS3Path([bucket], 'path/hash-1.json', '{}', { awsClients, deduplicationMaxAge });
+				await S3Uploader.uploadContentS3Path([bucket], 'path/hash-2.json', '{}', { awsClients, deduplicationMaxAge });
+
+				sinon.assert.notCalled(warnSpy);
+
+				await S3Uploader.uploadContentS3Path([bucket], 'path/hash-3.json', '{}', { awsClients, deduplicationMaxAge });
+
+				sinon.assert.calledOnceWithExactly(warnSpy,
+					`Unable to check the object path/hash-3.json of the bucket ${bucket.bucketName}. It will be uploaded - Forbidden`);
+
+				assert.strictEqual(s3Mock.commandCalls(PutObjectCommand).length, 3);
+			});
+
+			it('Should upload the object again when it is old', async () => {
+
+				s3Mock.on(HeadObjectCommand).resolves({ LastModified: new Date(Date.now() - deduplicationMaxAge) });
+				s3Mock.on(PutObjectCommand).resolves({ ETag: 'etag' });
+
+				await S3Uploader.uploadContentS3Path([bucket], 'path/hash.json', '{}', { awsClients, deduplicationMaxAge });
+
+				assert.strictEqual(s3Mock.commandCalls(PutObjectCommand).length, 1);
+			});
+
+			it('Should forget the oldest uploads when the cache is full', async () => {
+
+				s3Mock.on(HeadObjectCommand).rejects(notFoundError());
+				s3Mock.on(PutObjectCommand).resolves({ ETag: 'etag' });
+
+				const options = { awsClients, deduplicationMaxAge };
+
+				for(let index = 0; index <= 1000; index++)
+					await S3Uploader.uploadContentS3Path([bucket], `path/hash-${index}.json`, '{}', options);
+
+				// The last uploads are still cached, but the first one is checked and uploaded again
+				await S3Uploader.uploadContentS3Path([bucket], 'path/hash-1000.json', '{}', options);
+				await S3Uploader.uploadContentS3Path([bucket], 'path/hash-0.json', '{}', options);
+
+				assert.strictEqual(s3Mock.commandCalls(PutObjectCommand).length, 1002);
+			});
+		});
+	});
+});
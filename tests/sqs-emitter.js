@@ -4,15 +4,24 @@ require('lllog')('none');
 
 const sinon = require('sinon');
 const assert = require('assert');
+const crypto = require('crypto');
+const zlib = require('zlib');
 
 const { mockClient } = require('aws-sdk-client-mock');
-const { S3Client, PutObjectCommand } = require('@aws-sdk/client-s3');
+const { S3Client, HeadObjectCommand, PutObjectCommand } = require('@aws-sdk/client-s3');
 const { SSMClient, GetParameterCommand } = require('@aws-sdk/client-ssm');
 const { RAMClient, ListResourcesCommand } = require('@aws-sdk/client-ram');
-const { SQSClient, SendMessageBatchCommand, SendMessageCommand } = require('@aws-sdk/client-sqs');
+const {
+	SQSClient, SendMessageBatchCommand, SendMessageCommand, GetQueueUrlCommand, GetQueueAttributesCommand
+} = require('@aws-sdk/client-sqs');
 
 const { SqsEmitter } = require('../lib');
 const ParameterStore = require('../lib/helpers/parameter-store');
+const QueueUrlResolver = require('../lib/helpers/queue-url-resolver');
+const QueueAttributes = require('../lib/helpers/queue-attributes');
+const S3Uploader = require('../lib/helpers/s3-uploader');
+const { getDeduplicationId } = require('../lib/helpers/fifo-message');
+const { serializeS3ObjectOptions } = require('../lib/helpers/s3-object-options');
 
 describe('SqsEmitter', () => {
 
@@ -22,7 +31,7 @@ describe('SqsEmitter', () => {
 	let s3Mock;
 	let clock;
 
-	const fakeDate = new Date(2025, 2, 6);
+	const fakeDate = new Date('2025-03-06T00:00:00.000Z');
 	const randomId = 'fake-id';
 	const parameterName = 'shared/internal-storage';
 	const sqsName = 'MySQSName';
@@ -56,11 +65,30 @@ describe('SqsEmitter', () => {
 		}, true).length, 1);
 	};
 
-	const assertS3PutObjectCommand = (body, bucketName = buckets[0].bucketName, key = contentS3Path) => {
+	const s3Metadata = {
+		'sqs-name': sqsName,
+		'client-code': 'defaultClient',
+		'service-name': 'service-name'
+	};
+
+	// The content is hashed with the options of the object, except the queue name
+	const hashedS3Object = {
+		tags: {},
+		metadata: { 'client-code': 'defaultClient', 'service-name': 'service-name' }
+	};
+
+	const getContentHash = (body, s3Object = hashedS3Object) => crypto.createHash('sha256')
+		.update(body)
+		.update(serializeS3ObjectOptions(s3Object))
+		.digest('hex');
+
+	const assertS3PutObjectCommand = (body, bucketName = buckets[0].bucketName, key = contentS3Path, metadata = s3Metadata) => {
 		assert.deepStrictEqual(s3Mock.commandCalls(PutObjectCommand, {
 			Bucket: bucketName,
 			Key: key,
-			Body: JSON.stringify(body)
+			Body: JSON.stringify(body),
+			ContentType: 'application/json',
+			Metadata: metadata
 		}, true).length, 1);
 	};
 
@@ -86,6 +114,337 @@ describe('SqsEmitter', () => {
 		clock.restore();
 		sinon.restore();
 		ParameterStore.clearCache();
+		QueueUrlResolver.clearCache();
+		QueueAttributes.clearCache();
+		S3Uploader.clearCache();
+	});
+
+	describe('Client options', () => {
+
+		it('Should use the prebuilt clients received in the constructor', async () => {
+
+			const sqsClient = new SQSClient();
+			const s3Client = new S3Client();
+
+			ramMock.on(ListResourcesCommand).resolves({
+				resources: [{ arn: parameterNameStoreArn }]
+			});
+
+			ssmMock.on(GetParameterCommand).resolves({
+				Parameter: {
+					Value: JSON.stringify(buckets)
+				}
+			});
+
+			s3Mock.on(PutObjectCommand).resolves({});
+			sqsMock.on(SendMessageCommand).resolves({ MessageId: 'msg-1' });
+
+			this.sqsEmitter = new SqsEmitter({ clients: { sqs: sqsClient, s3: s3Client } });
+			sinon.stub(this.sqsEmitter, 'randomId').get(() => randomId);
+
+			await this.sqsEmitter.publishEvent(sampleSqsUrl, {
+				content: { foo: 'x'.repeat(256 * 1024) }
+			});
+
+			assert.strictEqual(sqsMock.commandCalls(SendMessageCommand)[0].thisValue, sqsClient);
+			assert.strictEqual(s3Mock.commandCalls(PutObjectCommand)[0].thisValue, s3Client);
+		});
+
+		it('Should create the clients with the configuration received in the constructor', async () => {
+
+			sqsMock.on(SendMessageCommand).resolves({ MessageId: 'msg-1' });
+
+			this.sqsEmitter = new SqsEmitter({ region: 'eu-west-1', endpoint: 'http://localhost:9324' });
+
+			await this.sqsEmitter.publishEvent(sampleSqsUrl, { content: { foo: 'bar' } });
+
+			const { thisValue: client } = sqsMock.commandCalls(SendMessageCommand)[0];
+
+			assert.strictEqual(await client.config.region(), 'eu-west-1');
+			assert.strictEqual((await client.config.endpoint()).port, 9324);
+		});
+	});
+
+	describe('Limits', () => {
+
+		const mockBuckets = () => {
+
+			ramMock.on(ListResourcesCommand).resolves({
+				resources: [{ arn: parameterNameStoreArn }]
+			});
+
+			ssmMock.on(GetParameterCommand).resolves({
+				Parameter: {
+					Value: JSON.stringify(buckets)
+				}
+			});
+
+			s3Mock.on(PutObjectCommand).resolves({});
+		};
+
+		beforeEach(() => {
+
+			sqsMock.on(SendMessageCommand).resolves({ MessageId: 'msg-1' });
+
+			sqsMock.on(SendMessageBatchCommand).callsFake(input => ({
+				Successful: input.Entries.map(({ Id }) => ({ Id, MessageId: `msg-${Id}` }))
+			}));
+		});
+
+		it('Should not offload messages under the message size limit of the emitter', async () => {
+
+			this.sqsEmitter = new SqsEmitter({ messageSizeLimit: 1024 * 1024 });
+
+			await this.sqsEmitter.publishEvent(sampleSqsUrl, {
+				content: { foo: 'x'.repeat(512 * 1024) }
+			});
+
+			assert.deepStrictEqual(s3Mock.commandCalls(PutObjectCommand).length, 0);
+			assert.deepStrictEqual(sqsMock.commandCalls(SendMessageCommand, {
+				MessageBody: JSON.stringify({ foo: 'x'.repeat(512 * 1024) })
+			}).length, 1);
+		});
+
+		it('Should offload messages over the message size limit received in the call', async () => {
+
+			mockBuckets();
+
+			await this.sqsEmitter.publishEvent(sampleSqsUrl, {
+				content: { foo: 'x'.repeat(2048) }
+			}, { messageSizeLimit: 1024 });
+
+			assertS3PutObjectCommand({ foo: 'x'.repeat(2048) });
+		});
+
+		it('Should split batches using the size and entries limits received in the call', async () => {
+
+			const events = Array.from({ length: 12 }, (_, index) => ({
+				content: { message: `Event ${index + 1}` }
+			}));
+
+			const result = await this.sqsEmitter.publishEvents(sampleSqsUrl, events, { maxBatchEntries: 5 });
+
+			assert.deepStrictEqual(result.successCount, 12);
+			assert.deepStrictEqual(sqsMock.commandCalls(SendMessageBatchCommand).map(({ args }) => args[0].input.Entries.length), [5, 5, 2]);
+
+			sqsMock.resetHistory();
+
+			await this.sqsEmitter.publishEvents(sampleSqsUrl, [
+				{ content: { foo: 'x'.repeat(600 * 1024) } },
+				{ content: { foo: 'y'.repeat(300 * 1024) } }
+			], { messageSizeLimit: 1024 * 1024 });
+
+			assert.deepStrictEqual(s3Mock.commandCalls(PutObjectCommand).length, 0);
+			assert.deepStrictEqual(sqsMock.commandCalls(SendMessageBatchCommand).length, 1);
+		});
+
+		it('Should use the maximum message size of the queue when reading the queue attributes', async () => {
+
+			mockBuckets();
+
+			sqsMock.on(GetQueueAttributesCommand).resolves({
+				Attributes: { MaximumMessageSize: '1024' }
+			});
+
+			this.sqsEmitter = new SqsEmitter({ useQueueAttributes: true });
+			sinon.stub(this.sqsEmitter, 'randomId').get(() => randomId);
+
+			await this.sqsEmitter.publishEvent(sampleSqsUrl, {
+				content: { foo: 'x'.repeat(2048) }
+			});
+
+			assert.deepStrictEqual(sqsMock.commandCalls(GetQueueAttributesCommand, {
+				QueueUrl: sampleSqsUrl,
+				AttributeNames: ['MaximumMessageSize']
+			}, true).length, 1);
+
+			assert.deepStrictEqual(s3Mock.commandCalls(PutObjectCommand).length, 1);
+		});
+
+		it('Should not exceed the maximum message size of the queue with the configured limit', async () => {
+
+			sqsMock.on(GetQueueAttributesCommand).resolves({
+				Attributes: { MaximumMessageSize: '262144' }
+			});
+
+			this.sqsEmitter = new SqsEmitter({ useQueueAttributes: true, messageSizeLimit: 1024 * 1024 });
+
+			assert.deepStrictEqual(await this.sqsEmitter.getLimits(sampleSqsUrl), {
+				messageSizeLimit: 262144,
+				maxBatchEntries: 10
+			});
+
+			assert.deepStrictEqual(await this.sqsEmitter.getLimits(sampleSqsUrl, { messageSizeLimit: 2048 }), {
+				messageSizeLimit: 2048,
+				maxBatchEntries: 10
+			});
+		});
+
+		it('Should use the configured limits if the queue attributes cannot be obtained', async () => {
+
+			sqsMock.on(GetQueueAttributesCommand).rejects(new Error('Access Denied'));
+
+			this.sqsEmitter = new SqsEmitter({ useQueueAttributes: true });
+
+			assert.deepStrictEqual(await this.sqsEmitter.getLimits(sampleSqsUrl), {
+				messageSizeLimit: 256 * 1024,
+				maxBatchEntries: 10
+			});
+		});
+
+		it('Should reject if the limits are not valid', async () => {
+
+			await assert.rejects(this.sqsEmitter.publishEvent(sampleSqsUrl, { content: {} }, { messageSizeLimit: 2 * 1024 * 1024 }), {
+				message: 'Invalid messageSizeLimit: 2097152. It must be an integer from 1024 to 1048576',
+				code: 'INVALID_OPTIONS'
+			});
+
+			await assert.rejects(this.sqsEmitter.publishEvents(sampleSqsUrl, [{ content: {} }], { maxBatchEntries: 11 }), {
+				message: 'Invalid maxBatchEntries: 11. It must be an integer from 1 to 10',
+				code: 'INVALID_OPTIONS'
+			});
+
+			assert.deepStrictEqual(sqsMock.commandCalls(SendMessageCommand).length, 0);
+			assert.deepStrictEqual(sqsMock.commandCalls(SendMessageBatchCommand).length, 0);
+		});
+	});
+
+	describe('S3 buckets cache', () => {
+
+		const rotatedBuckets = [{ bucketName: 'rotated-bucket-us-east-1', region: 'us-east-1', default: true }];
+
+		const largeEvent = {
+			content: {
+				bar: 'bar',
+				foo: 'x'.repeat(256 * 1024)
+			}
+		};
+
+		beforeEach(() => {
+
+			ramMock.on(ListResourcesCommand).resolves({
+				resources: [{ arn: parameterNameStoreArn }]
+			});
+
+			ssmMock.on(GetParameterCommand)
+				.resolvesOnce({ Parameter: { Value: JSON.stringify(buckets) } })
+				.resolves({ Parameter: { Value: JSON.stringify(rotatedBuckets) } });
+
+			s3Mock.on(PutObjectCommand).resolves({ ETag: '5d41402abc4b2a76b9719d911017c590' });
+
+			sqsMock.on(SendMessageCommand).resolves({ MessageId: 'msg-1' });
+		});
+
+		const getUploadedBuckets = () => s3Mock.commandCalls(PutObjectCommand).map(call => call.args[0].input.Bucket);
+
+		it('Should use the rotated buckets after refreshing them', async () => {
+
+			await this.sqsEmitter.publishEvent(sampleSqsUrl, largeEvent);
+
+			assert.deepStrictEqual(await this.sqsEmitter.refreshBuckets(), rotatedBuckets);
+
+			await this.sqsEmitter.publishEvent(sampleSqsUrl, largeEvent);
+
+			assert.deepStrictEqual(getUploadedBuckets(), [buckets[0].bucketName, rotatedBuckets[0].bucketName]);
+		});
+
+		it('Should fetch the buckets again in the background after the configured cache TTL', async () => {
+
+			this.sqsEmitter = new SqsEmitter({ bucketsCacheTtl: 60000 });
+			sinon.stub(this.sqsEmitter, 'randomId').get(() => randomId);
+
+			await this.sqsEmitter.publishEvent(sampleSqsUrl, largeEvent);
+
+			clock.tick(60000);
+
+			// The stale buckets are used while the new ones are fetched
+			await this.sqsEmitter.publishEvent(sampleSqsUrl, largeEvent);
+			await clock.runAllAsync();
+			await this.sqsEmitter.publishEvent(sampleSqsUrl, largeEvent);
+
+			assert.deepStrictEqual(getUploadedBuckets(), [buckets[0].bucketName, buckets[0].bucketName, rotatedBuckets[0].bucketName]);
+			assert.deepStrictEqual(ssmMock.commandCalls(GetParameterCommand).length, 2);
+		});
+
+		it('Should read the local buckets once and read them again when they are refreshed', async () => {
+
+			const localBuckets = [{ bucketName: 'local-bucket', region: 'us-east-1' }];
+			const rotatedLocalBuckets = [{ bucketName: 'rotated-local-bucket', region: 'us-east-1' }];
+
+			process.env.SQS_EMITTER_BUCKETS = JSON.stringify(localBuckets);
+
+			sinon.spy(ParameterStore, 'getLocalValue');
+
+			this.sqsEmitter = new SqsEmitter();
+			sinon.stub(this.sqsEmitter, 'randomId').get(() => randomId);
+
+			try {
+
+				await this.sqsEmitter.publishEvent(sampleSqsUrl, largeEvent);
+				await this.sqsEmitter.publishEvent(sampleSqsUrl, largeEvent);
+
+				sinon.assert.calledOnce(ParameterStore.getLocalValue);
+
+				process.env.SQS_EMITTER_BUCKETS = JSON.stringify(rotatedLocalBuckets);
+
+				await this.sqsEmitter.publishEvent(sampleSqsUrl, largeEvent);
+
+				assert.deepStrictEqual(await this.sqsEmitter.refreshBuckets(), rotatedLocalBuckets);
+
+				await this.sqsEmitter.publishEvent(sampleSqsUrl, largeEvent);
+
+			} finally {
+				delete process.env.SQS_EMITTER_BUCKETS;
+			}
+
+			sinon.assert.calledTwice(ParameterStore.getLocalValue);
+			assert.deepStrictEqual(getUploadedBuckets(), ['local-bucket', 'local-bucket', 'local-bucket', 'rotated-local-bucket']);
+			assert.deepStrictEqual(ssmMock.commandCalls(GetParameterCommand).length, 0);
+		});
+
+		it('Should read the local buckets again when they are not valid', async () => {
+
+			sinon.spy(ParameterStore, 'getLocalValue');
+
+			this.sqsEmitter = new SqsEmitter({ buckets: '[{' });
+
+			await assert.rejects(this.sqsEmitter.publishEvent(sampleSqsUrl, largeEvent), { code: 'INVALID_OPTIONS' });
+			await assert.rejects(this.sqsEmitter.publishEvent(sampleSqsUrl, largeEvent), { code: 'INVALID_OPTIONS' });
+
+			sinon.assert.calledTwice(ParameterStore.getLocalValue);
+		});
+
+		it('Should reject when the buckets cache TTL is not a positive integer', async () => {
+
+			this.sqsEmitter = new SqsEmitter({ bucketsCacheTtl: '60000' });
+
+			await assert.rejects(this.sqsEmitter.publishEvent(sampleSqsUrl, largeEvent), {
+				name: 'SqsEmitterError',
+				code: 'INVALID_OPTIONS',
+				message: 'Invalid bucketsCacheTtl: 60000. It must be a positive integer'
+			});
+
+			this.sqsEmitter = new SqsEmitter({ bucketsCacheTtl: 0 });
+
+			await assert.rejects(this.sqsEmitter.publishEvents(sampleSqsUrl, [largeEvent]), { code: 'INVALID_OPTIONS' });
+
+			assert.deepStrictEqual(sqsMock.commandCalls(SendMessageCommand).length, 0);
+		});
+
+		it('Should use the local buckets without calling RAM or SSM', async () => {
+
+			const localBuckets = [{ bucketName: 'local-bucket', region: 'us-east-1' }];
+
+			this.sqsEmitter = new SqsEmitter({ buckets: localBuckets });
+			sinon.stub(this.sqsEmitter, 'randomId').get(() => randomId);
+
+			await this.sqsEmitter.publishEvent(sampleSqsUrl, largeEvent);
+
+			assert.deepStrictEqual(await this.sqsEmitter.refreshBuckets(), localBuckets);
+			assert.deepStrictEqual(getUploadedBuckets(), ['local-bucket']);
+			assert.deepStrictEqual(ramMock.commandCalls(ListResourcesCommand).length, 0);
+			assert.deepStrictEqual(ssmMock.commandCalls(GetParameterCommand).length, 0);
+		});
 	});
 
 	describe('publishEvent', () => {
@@ -127,6 +486,64 @@ describe('SqsEmitter', () => {
 			}, true).length, 1);
 		});
 
+		it('Should publish a single event to a queue name resolving its URL', async () => {
+
+			sqsMock.on(GetQueueUrlCommand).resolves({ QueueUrl: sampleSqsUrl });
+			sqsMock.on(SendMessageCommand).resolves({
+				MessageId: singleEventResponse.messageId
+			});
+
+			const result = await this.sqsEmitter.publishEvent(sqsName, {
+				content: { foo: 'bar' }
+			});
+
+			assert.deepStrictEqual(result, singleEventResponse);
+			assert.deepStrictEqual(sqsMock.commandCalls(GetQueueUrlCommand, { QueueName: sqsName }, true).length, 1);
+			assert.deepStrictEqual(sqsMock.commandCalls(SendMessageCommand, { QueueUrl: sampleSqsUrl }).length, 1);
+		});
+
+		it('Should resolve the URL of a queue name for every region of the emitters', async () => {
+
+			const euSqsUrl = sampleSqsUrl.replace('us-east-1', 'eu-west-1');
+
+			sqsMock.on(GetQueueUrlCommand)
+				.resolvesOnce({ QueueUrl: sampleSqsUrl })
+				.resolves({ QueueUrl: euSqsUrl });
+
+			sqsMock.on(SendMessageCommand).resolves({
+				MessageId: singleEventResponse.messageId
+			});
+
+			const usSqsEmitter = new SqsEmitter({ region: 'us-east-1' });
+			const euSqsEmitter = new SqsEmitter({ region: 'eu-west-1' });
+
+			await usSqsEmitter.publishEvent(sqsName, { content: { foo: 'bar' } });
+			await euSqsEmitter.publishEvent(sqsName, { content: { foo: 'bar' } });
+
+			assert.deepStrictEqual(sqsMock.commandCalls(GetQueueUrlCommand, { QueueName: sqsName }, true).length, 2);
+			assert.deepStrictEqual(sqsMock.commandCalls(SendMessageCommand, { QueueUrl: sampleSqsUrl }).length, 1);
+			assert.deepStrictEqual(sqsMock.commandCalls(SendMessageCommand, { QueueUrl: euSqsUrl }).length, 1);
+		});
+
+		it('Should publish a single event to a queue alias of the emitter', async () => {
+
+			sqsMock.on(SendMessageCommand).resolves({
+				MessageId: singleEventResponse.messageId
+			});
+
+			this.sqsEmitter = new SqsEmitter({
+				queueAliases: { myQueue: `arn:aws:sqs:us-east-1:123456789012:${sqsName}` }
+			});
+
+			const result = await this.sqsEmitter.publishEvent('myQueue', {
+				content: { foo: 'bar' }
+			});
+
+			assert.deepStrictEqual(result, singleEventResponse);
+			assert.deepStrictEqual(sqsMock.commandCalls(GetQueueUrlCommand).length, 0);
+			assert.deepStrictEqual(sqsMock.commandCalls(SendMessageCommand, { QueueUrl: sampleSqsUrl }).length, 1);
+		});
+
 		it('Should publish a single event with s3 content path if it is greater than 256KB (FIFO SQS)', async () => {
 
 			ramMock.on(ListResourcesCommand).resolves({
@@ -153,9 +570,21 @@ describe('SqsEmitter', () => {
 					bar: 'bar',
 					foo: 'x'.repeat(256 * 1024)
 				},
+				messageGroupId: 'group1',
 				payloadFixedProperties: ['bar']
 			});
 
+			const messageAttributes = {
+				sqsName: {
+					DataType: 'String',
+					StringValue: sqsName
+				},
+				'janis-client': {
+					DataType: 'String',
+					StringValue: 'defaultClient'
+				}
+			};
+
 			assert.deepStrictEqual(result, singleEventFifoResponse);
 			assert.deepStrictEqual(sqsMock.commandCalls(SendMessageCommand).length, 1);
 			assert.deepStrictEqual(ramMock.commandCalls(ListResourcesCommand).length, 1);
@@ -179,45 +608,91 @@ describe('SqsEmitter', () => {
 					},
 					bar: 'bar'
 				}),
-				MessageAttributes: {
-					'janis-client': {
-						DataType: 'String',
-						StringValue: 'defaultClient'
-					},
-					sqsName: {
-						DataType: 'String',
-						StringValue: sqsName
-					}
-				}
+				MessageAttributes: messageAttributes,
+				MessageGroupId: 'group1',
+				// The deduplication id is generated from the original content, not from the S3 location
+				MessageDeduplicationId: getDeduplicationId({
+					MessageGroupId: 'group1',
+					MessageBody: JSON.stringify({ bar: 'bar', foo: 'x'.repeat(256 * 1024) }),
+					MessageAttributes: messageAttributes
+				})
 			}, true).length, 1);
 		});
 
-		it('Should publish a single event with content only as minimal requirement (FIFO SQS)', async () => {
+		it('Should publish a single event with s3 content path if its UTF-8 size is greater than 256KB', async () => {
 
-			sqsMock.on(SendMessageCommand).resolves({
-				MessageId: singleEventFifoResponse.messageId,
-				SequenceNumber: singleEventFifoResponse.sequenceNumber
+			ramMock.on(ListResourcesCommand).resolves({
+				resources: [{ arn: parameterNameStoreArn }]
 			});
 
-			const result = await this.sqsEmitter.publishEvent(sampleSqsUrlFifo, {
-				content: { foo: 'bar' }
+			ssmMock.on(GetParameterCommand).resolves({
+				Parameter: {
+					Value: JSON.stringify(buckets)
+				}
 			});
 
-			assert.deepStrictEqual(result, singleEventFifoResponse);
-			assert.deepStrictEqual(sqsMock.commandCalls(SendMessageCommand).length, 1);
-			assert.deepStrictEqual(sqsMock.commandCalls(SendMessageCommand, {
-				QueueUrl: sampleSqsUrlFifo,
-				MessageBody: JSON.stringify({ foo: 'bar' }),
-				MessageAttributes: {
-					'janis-client': {
-						DataType: 'String',
-						StringValue: 'defaultClient'
-					},
-					sqsName: {
-						DataType: 'String',
-						StringValue: sqsName
+			s3Mock.on(PutObjectCommand).resolves({
+				ETag: '5d41402abc4b2a76b9719d911017c590'
+			});
+
+			sqsMock.on(SendMessageCommand).resolves({
+				MessageId: singleEventResponse.messageId
+			});
+
+			// 150K characters but 300KB
+			const content = { name: 'ñ'.repeat(150 * 1024) };
+
+			const result = await this.sqsEmitter.publishEvent(sampleSqsUrl, { content });
+
+			assert.deepStrictEqual(result, singleEventResponse);
+			assertS3PutObjectCommand(content);
+			assert.deepStrictEqual(sqsMock.commandCalls(SendMessageCommand, {
+				QueueUrl: sampleSqsUrl,
+				MessageBody: JSON.stringify({
+					contentS3Location: {
+						path: contentS3Path,
+						bucketName: buckets[0].bucketName,
+						region: buckets[0].region
 					}
+				})
+			}).length, 1);
+		});
+
+		it('Should publish a single event with content only as minimal requirement (FIFO SQS)', async () => {
+
+			sqsMock.on(SendMessageCommand).resolves({
+				MessageId: singleEventFifoResponse.messageId,
+				SequenceNumber: singleEventFifoResponse.sequenceNumber
+			});
+
+			const result = await this.sqsEmitter.publishEvent(sampleSqsUrlFifo, {
+				content: { foo: 'bar' },
+				messageGroupId: 'group1'
+			});
+
+			const messageAttributes = {
+				sqsName: {
+					DataType: 'String',
+					StringValue: sqsName
+				},
+				'janis-client': {
+					DataType: 'String',
+					StringValue: 'defaultClient'
 				}
+			};
+
+			assert.deepStrictEqual(result, singleEventFifoResponse);
+			assert.deepStrictEqual(sqsMock.commandCalls(SendMessageCommand).length, 1);
+			assert.deepStrictEqual(sqsMock.commandCalls(SendMessageCommand, {
+				QueueUrl: sampleSqsUrlFifo,
+				MessageBody: JSON.stringify({ foo: 'bar' }),
+				MessageAttributes: messageAttributes,
+				MessageGroupId: 'group1',
+				MessageDeduplicationId: getDeduplicationId({
+					MessageGroupId: 'group1',
+					MessageBody: JSON.stringify({ foo: 'bar' }),
+					MessageAttributes: messageAttributes
+				})
 			}, true).length, 1);
 		});
 
@@ -251,9 +726,12 @@ describe('SqsEmitter', () => {
 					foo: {
 						DataType: 'String',
 						StringValue: 'bar'
+					},
+					subject: {
+						DataType: 'String',
+						StringValue: 'test'
 					}
-				},
-				Subject: 'test'
+				}
 			}, true).length, 1);
 
 			assert.deepStrictEqual(result, singleEventResponse);
@@ -298,749 +776,2687 @@ describe('SqsEmitter', () => {
 					mobile: {
 						DataType: 'String',
 						StringValue: JSON.stringify(['foo', 'bar'])
+					},
+					subject: {
+						DataType: 'String',
+						StringValue: 'test'
+					},
+					messageStructure: {
+						DataType: 'String',
+						StringValue: 'json'
 					}
 				},
-				Subject: 'test',
 				MessageGroupId: 'group1',
-				MessageDeduplicationId: 'dedup1',
-				MessageStructure: 'json'
+				MessageDeduplicationId: 'dedup1'
 			}, true).length, 1);
 
 			assert.deepStrictEqual(result, singleEventResponse);
 		});
 
-		it('Should emit event with s3 content path if it is greater than 256KB and the session is missing', async () => {
+		it('Should keep the event attributes over the SNS-only properties', async () => {
 
-			const partiallySentResponse = {
-				successCount: 1,
-				failedCount: 0,
-				success: [
-					{
-						Id: '1',
-						messageId: '4ac0a219-1122-33b3-4445-5556666d734d'
-					}
-				],
-				failed: []
-			};
+			sqsMock.on(SendMessageCommand).resolves({
+				MessageId: singleEventResponse.messageId
+			});
 
-			ramMock.on(ListResourcesCommand).resolves({
-				resources: [{ arn: parameterNameStoreArn }]
+			await this.sqsEmitter.publishEvent(sampleSqsUrl, {
+				content: { foo: 'bar' },
+				attributes: { subject: 'from-attributes' },
+				subject: 'from-event'
 			});
 
-			ssmMock.on(GetParameterCommand).resolves({
-				Parameter: {
-					Value: JSON.stringify(buckets)
-				}
+			assert.deepStrictEqual(sqsMock.commandCalls(SendMessageCommand)[0].args[0].input.MessageAttributes.subject, {
+				DataType: 'String',
+				StringValue: 'from-attributes'
 			});
+		});
 
-			s3Mock.on(PutObjectCommand).resolves({
-				ETag: '5d41402abc4b2a76b9719d911017c590'
+		it('Should reject the SNS-only properties when configured', async () => {
+
+			this.sqsEmitter = new SqsEmitter({ snsFields: 'reject' });
+
+			await assert.rejects(this.sqsEmitter.publishEvent(sampleSqsUrl, {
+				content: { foo: 'bar' },
+				subject: 'test',
+				messageStructure: 'json'
+			}), {
+				name: 'SqsEmitterError',
+				message: 'Unsupported event properties: subject, messageStructure. They are only supported by SNS',
+				code: 'UNSUPPORTED_PROPERTY'
 			});
 
-			sqsMock.on(SendMessageBatchCommand).resolves({
-				Successful: [
-					{ Id: '1', MessageId: '4ac0a219-1122-33b3-4445-5556666d734d' }
-				]
+			await assert.rejects(this.sqsEmitter.publishEvent(sampleSqsUrl, {
+				content: { foo: 'bar' },
+				subject: 'test'
+			}, { snsFields: 'ignore' }), {
+				name: 'SqsEmitterError',
+				message: 'Invalid snsFields: ignore. It must be one of attributes, reject',
+				code: 'INVALID_OPTIONS'
 			});
 
-			const content = {
-				bar: 'bar',
-				foo: 'x'.repeat(256 * 1024)
-			};
+			assert.deepStrictEqual(sqsMock.commandCalls(SendMessageCommand).length, 0);
+		});
 
-			const customS3ContentPath = `sqsContent/core/service-name/MySQSName/2025/03/06/${randomId}.json`;
+		it('Should publish a single event with typed message attributes', async () => {
 
-			this.sqsEmitter.session = null;
+			sqsMock.on(SendMessageCommand).resolves({
+				MessageId: singleEventResponse.messageId
+			});
 
-			const result = await this.sqsEmitter.publishEvents(sampleSqsUrl, [
-				{
-					payloadFixedProperties: ['bar'],
-					content
-				}
-			]);
+			const image = Buffer.from('image');
 
-			assert.deepStrictEqual(result, partiallySentResponse);
-			assert.deepStrictEqual(ramMock.commandCalls(ListResourcesCommand).length, 1);
-			assert.deepStrictEqual(ssmMock.commandCalls(GetParameterCommand).length, 1);
-			assert.deepStrictEqual(s3Mock.commandCalls(PutObjectCommand).length, 1);
-			assert.deepStrictEqual(sqsMock.commandCalls(SendMessageBatchCommand).length, 1);
+			await this.sqsEmitter.publishEvent(sampleSqsUrl, {
+				content: { foo: 'bar' },
+				attributes: {
+					amount: 10.5,
+					image,
+					price: { dataType: 'Number.float', value: 99.9 },
+					code: { dataType: 'String', value: 123 }
+				}
+			});
 
-			assertRamListResourceCommand();
-			assertSsmGetParameterCommand();
-			assertS3PutObjectCommand(content, buckets[0].bucketName, customS3ContentPath);
-			assert.deepStrictEqual(sqsMock.commandCalls(SendMessageBatchCommand, {
+			assert.deepStrictEqual(sqsMock.commandCalls(SendMessageCommand, {
 				QueueUrl: sampleSqsUrl,
-				Entries: [
-					{
-						Id: '1',
-						MessageBody: JSON.stringify({
-							contentS3Location: {
-								path: customS3ContentPath,
-								bucketName: buckets[0].bucketName,
-								region: buckets[0].region
-							},
-							bar: 'bar'
-						}),
-						MessageAttributes: {
-							sqsName: {
-								DataType: 'String',
-								StringValue: 'MySQSName'
-							}
-						}
-					}]
+				MessageBody: JSON.stringify({ foo: 'bar' }),
+				MessageAttributes: {
+					'janis-client': {
+						DataType: 'String',
+						StringValue: 'defaultClient'
+					},
+					sqsName: {
+						DataType: 'String',
+						StringValue: sqsName
+					},
+					amount: {
+						DataType: 'Number',
+						StringValue: '10.5'
+					},
+					image: {
+						DataType: 'Binary',
+						BinaryValue: image
+					},
+					price: {
+						DataType: 'Number.float',
+						StringValue: '99.9'
+					},
+					code: {
+						DataType: 'String',
+						StringValue: '123'
+					}
+				}
 			}, true).length, 1);
-
 		});
 
-	});
+		it('Should publish a single event serializing objects and dates and skipping empty attributes', async () => {
 
-	describe('publishEvents', () => {
+			sqsMock.on(SendMessageCommand).resolves({
+				MessageId: singleEventResponse.messageId
+			});
 
-		afterEach(() => {
-			sinon.restore();
-			ParameterStore.clearCache();
+			await this.sqsEmitter.publishEvent(sampleSqsUrl, {
+				content: { foo: 'bar' },
+				attributes: {
+					customer: { id: 1, type: 'vip' },
+					createdAt: new Date(Date.UTC(2025, 2, 6)),
+					deletedAt: null,
+					updatedAt: undefined
+				}
+			});
+
+			assert.deepStrictEqual(sqsMock.commandCalls(SendMessageCommand)[0].args[0].input.MessageAttributes, {
+				sqsName: {
+					DataType: 'String',
+					StringValue: sqsName
+				},
+				'janis-client': {
+					DataType: 'String',
+					StringValue: 'defaultClient'
+				},
+				customer: {
+					DataType: 'String',
+					StringValue: '{"id":1,"type":"vip"}'
+				},
+				createdAt: {
+					DataType: 'String',
+					StringValue: '2025-03-06T00:00:00.000Z'
+				}
+			});
 		});
 
-		const messageId = '4ac0a219-1122-33b3-4445-5556666d734d';
+		it('Should publish a single event flattening nested attributes when configured', async () => {
 
-		const eventResponse = {
-			successCount: 1,
-			failedCount: 0,
-			success: [{ Id: '1', messageId }],
-			failed: []
-		};
+			sqsMock.on(SendMessageCommand).resolves({
+				MessageId: singleEventResponse.messageId
+			});
 
-		const multiEventResponse = {
-			successCount: 1,
-			failedCount: 1,
-			success: [
-				{ Id: '1', messageId }
-			],
-			failed: [
-				{
-					Id: '2',
-					Code: 'SQS001',
-					Message: 'SQS Failed'
+			this.sqsEmitter = new SqsEmitter({ flattenAttributes: true });
+
+			await this.sqsEmitter.publishEvent(sampleSqsUrl, {
+				content: { foo: 'bar' },
+				attributes: {
+					customer: { id: 1, type: 'vip' }
 				}
-			]
-		};
+			});
 
-		const multiEventFifoResponse = {
-			successCount: 1,
-			failedCount: 1,
-			success: [
-				{
-					Id: '1',
-					messageId: '4ac0a219-1122-33b3-4445-5556666d734d',
-					sequenceNumber: '222222222222222222222222'
+			await this.sqsEmitter.publishEvent(sampleSqsUrl, {
+				content: { foo: 'bar' },
+				attributes: {
+					customer: { id: 1, type: 'vip' }
 				}
-			],
-			failed: [
-				{
-					Id: '2',
-					Code: 'SQS001',
-					Message: 'SQS Failed'
+			}, { flattenAttributes: false });
+
+			const [flattenedCall, notFlattenedCall] = sqsMock.commandCalls(SendMessageCommand);
+
+			assert.deepStrictEqual(flattenedCall.args[0].input.MessageAttributes, {
+				sqsName: {
+					DataType: 'String',
+					StringValue: sqsName
+				},
+				'customer.id': {
+					DataType: 'Number',
+					StringValue: '1'
+				},
+				'customer.type': {
+					DataType: 'String',
+					StringValue: 'vip'
 				}
-			]
-		};
+			});
 
-		it('Should publish multiple events with content only as minimal requirement (Standard SQS)', async () => {
+			assert.deepStrictEqual(notFlattenedCall.args[0].input.MessageAttributes.customer, {
+				DataType: 'String',
+				StringValue: '{"id":1,"type":"vip"}'
+			});
+		});
 
-			sqsMock.on(SendMessageBatchCommand).resolves({
-				Successful: [
-					{ Id: '1', MessageId: messageId }
-				]
+		it('Should reject without sending the event if the attributes are not valid', async () => {
+
+			sqsMock.on(SendMessageCommand).resolves({
+				MessageId: singleEventResponse.messageId
 			});
 
-			const result = await this.sqsEmitter.publishEvents(sampleSqsUrl, [
-				{
-					content: { foo: 'bar' }
-				}
-			]);
+			const attributes = Object.fromEntries(Array.from({ length: 9 }, (_, index) => [`attribute${index}`, 'foo']));
 
-			assert.deepStrictEqual(result, eventResponse);
-			assert.deepStrictEqual(sqsMock.commandCalls(SendMessageBatchCommand).length, 1);
+			await assert.rejects(this.sqsEmitter.publishEvent(sampleSqsUrl, {
+				content: { foo: 'bar' },
+				attributes
+			}), {
+				name: 'SqsEmitterError',
+				code: 'TOO_MANY_ATTRIBUTES'
+			});
 
-			assert.deepStrictEqual(sqsMock.commandCalls(SendMessageBatchCommand, {
-				Entries: [
-					{
-						Id: '1',
-						MessageBody: JSON.stringify({ foo: 'bar' }),
-						MessageAttributes: {
-							'janis-client': {
-								DataType: 'String',
-								StringValue: 'defaultClient'
-							},
-							sqsName: {
-								DataType: 'String',
-								StringValue: sqsName
-							}
-						}
-					}
-				],
-				QueueUrl: sampleSqsUrl
-			}, true).length, 1);
+			await assert.rejects(this.sqsEmitter.publishEvent(sampleSqsUrl, {
+				content: { foo: 'bar' },
+				attributes: { 'janis-client': 'otherClient' }
+			}), {
+				name: 'SqsEmitterError',
+				code: 'RESERVED_ATTRIBUTE_NAME'
+			});
 
+			assert.deepStrictEqual(sqsMock.commandCalls(SendMessageCommand).length, 0);
 		});
 
-		it('Should publish multiple events with content only as minimal requirement (FIFO SQS)', async () => {
+		it('Should publish a single event with delaySeconds or scheduledAt', async () => {
 
-			sqsMock.on(SendMessageBatchCommand).resolves({
-				Successful: [
-					{
-						Id: '1',
-						MessageId: '4ac0a219-1122-33b3-4445-5556666d734d',
-						SequenceNumber: '222222222222222222222222'
-					}
-				],
-				Failed: [
-					{
-						Id: '2',
-						Code: 'SQS001',
-						Message: 'SQS Failed'
-					}
-				]
+			sqsMock.on(SendMessageCommand).resolves({
+				MessageId: singleEventResponse.messageId
 			});
 
-			const result = await this.sqsEmitter.publishEvents(sampleSqsUrlFifo, [
-				{
-					content: { foo: 'bar' }
-				},
-				{
-					content: { foo: 'baz' }
-				}
-			]);
+			await this.sqsEmitter.publishEvent(sampleSqsUrl, {
+				content: { foo: 'bar' },
+				delaySeconds: 30
+			});
 
-			assert.deepStrictEqual(result, multiEventFifoResponse);
-			assert.deepStrictEqual(sqsMock.commandCalls(SendMessageBatchCommand).length, 1);
-			assert.deepStrictEqual(sqsMock.commandCalls(SendMessageBatchCommand, {
-				QueueUrl: sampleSqsUrlFifo,
-				Entries: [
-					{
-						Id: '1',
-						MessageBody: JSON.stringify({ foo: 'bar' }),
-						MessageAttributes: {
-							'janis-client': {
-								DataType: 'String',
-								StringValue: 'defaultClient'
-							},
-							sqsName: {
-								DataType: 'String',
-								StringValue: sqsName
-							}
-						}
-					},
-					{
-						Id: '2',
-						MessageBody: JSON.stringify({ foo: 'baz' }),
-						MessageAttributes: {
-							'janis-client': {
-								DataType: 'String',
-								StringValue: 'defaultClient'
-							},
-							sqsName: {
-								DataType: 'String',
-								StringValue: sqsName
-							}
-						}
-					}
-				]
-			}, true).length, 1);
+			await this.sqsEmitter.publishEvent(sampleSqsUrl, {
+				content: { foo: 'bar' },
+				scheduledAt: new Date(fakeDate.getTime() + 120000)
+			});
+
+			const [delayedCall, scheduledCall] = sqsMock.commandCalls(SendMessageCommand);
+
+			assert.deepStrictEqual(delayedCall.args[0].input.DelaySeconds, 30);
+			assert.deepStrictEqual(scheduledCall.args[0].input.DelaySeconds, 120);
 		});
 
-		it('Should reject if fails retrieve parameter name from ram resources', async () => {
+		it('Should reject without sending the event if the delay is not valid', async () => {
 
-			s3Mock.on(PutObjectCommand);
-			sqsMock.on(SendMessageBatchCommand);
-			ssmMock.on(GetParameterCommand);
-			ramMock.on(ListResourcesCommand).rejects(new Error('RAM Internal Error'));
+			await assert.rejects(this.sqsEmitter.publishEvent(sampleSqsUrl, {
+				content: { foo: 'bar' },
+				scheduledAt: new Date(fakeDate.getTime() + 3600000)
+			}), {
+				name: 'SqsEmitterError',
+				code: 'INVALID_DELAY'
+			});
 
-			const result = await assert.rejects(this.sqsEmitter.publishEvents(sampleSqsUrl, [
-				{
-					payloadFixedProperties: ['bar'],
-					content: {
-						bar: 'bar',
-						foo: 'x'.repeat(256 * 1024)
-					}
-				}
-			]), { message: 'Resource Access Manager Error: RAM Internal Error' });
+			await assert.rejects(this.sqsEmitter.publishEvent(sampleSqsUrlFifo, {
+				content: { foo: 'bar' },
+				messageGroupId: 'group-a',
+				delaySeconds: 10
+			}), {
+				name: 'SqsEmitterError',
+				code: 'UNSUPPORTED_DELAY'
+			});
 
-			assert.deepStrictEqual(result, undefined);
-			assert.deepStrictEqual(ramMock.commandCalls(ListResourcesCommand).length, 1);
-			assert.deepStrictEqual(ssmMock.commandCalls(GetParameterCommand).length, 0);
-			assert.deepStrictEqual(s3Mock.commandCalls(PutObjectCommand).length, 0);
-			assert.deepStrictEqual(sqsMock.commandCalls(SendMessageBatchCommand).length, 0);
-			assertRamListResourceCommand();
+			assert.deepStrictEqual(sqsMock.commandCalls(SendMessageCommand).length, 0);
 		});
 
-		it('Should reject if fails retrieve parameter from ssm parameter store', async () => {
+		describe('S3 upload failures', () => {
 
-			s3Mock.on(PutObjectCommand);
-			sqsMock.on(SendMessageBatchCommand);
+			const largeEvent = {
+				content: {
+					bar: 'bar',
+					foo: 'x'.repeat(256 * 1024)
+				},
+				payloadFixedProperties: ['bar']
+			};
 
-			ramMock.on(ListResourcesCommand).resolves({
-				resources: [{ arn: parameterNameStoreArn }]
+			beforeEach(() => {
+				ramMock.on(ListResourcesCommand).resolves({
+					resources: [{ arn: parameterNameStoreArn }]
+				});
+
+				ssmMock.on(GetParameterCommand).resolves({
+					Parameter: {
+						Value: JSON.stringify(buckets)
+					}
+				});
+
+				s3Mock.on(PutObjectCommand).rejects(new Error('Error fetching S3'));
 			});
 
-			ssmMock.on(GetParameterCommand).rejects(new Error('SSM Internal Error'));
+			afterEach(() => {
+				delete process.env.AWS_REGION;
+			});
 
-			const result = await assert.rejects(this.sqsEmitter.publishEvents(sampleSqsUrl, [
-				{
-					payloadFixedProperties: ['bar'],
-					content: {
-						bar: 'bar',
-						foo: 'x'.repeat(256 * 1024)
-					}
-				}
-			]), { message: `Unable to get parameter with arn ${parameterNameStoreArn} - SSM Internal Error` });
+			it('Should reject with the error of every bucket without sending the event', async () => {
 
-			assert.deepStrictEqual(result, undefined);
-			assert.deepStrictEqual(ramMock.commandCalls(ListResourcesCommand).length, 1);
-			assert.deepStrictEqual(ssmMock.commandCalls(GetParameterCommand).length, 1);
-			assert.deepStrictEqual(s3Mock.commandCalls(PutObjectCommand).length, 0);
-			assert.deepStrictEqual(sqsMock.commandCalls(SendMessageBatchCommand).length, 0);
-			assert.deepEqual(s3Mock.commandCalls(PutObjectCommand).length, 0);
+				sqsMock.on(SendMessageCommand).resolves({
+					MessageId: singleEventResponse.messageId
+				});
 
-			assertRamListResourceCommand();
-			assertSsmGetParameterCommand();
+				await assert.rejects(this.sqsEmitter.publishEvent(sampleSqsUrl, largeEvent), {
+					name: 'SqsEmitterError',
+					message: 'Failed to upload to all provided s3 buckets',
+					code: 'S3_ERROR',
+					details: buckets.map(({ bucketName, region }) => ({
+						bucketName,
+						region,
+						code: 'Error',
+						message: 'Error fetching S3'
+					}))
+				});
 
-		});
+				assert.deepStrictEqual(s3Mock.commandCalls(PutObjectCommand).length, 2);
+				assert.deepStrictEqual(sqsMock.commandCalls(SendMessageCommand).length, 0);
+			});
 
-		it('Should not reject if cannot upload a payload to provided S3 buckets', async () => {
+			it('Should drop the event when using the drop strategy', async () => {
 
-			sqsMock.on(SendMessageBatchCommand);
+				sqsMock.on(SendMessageCommand).resolves({
+					MessageId: singleEventResponse.messageId
+				});
 
-			s3Mock.on(PutObjectCommand)
-				.rejectsOnce(new Error('Error fetching S3'))
-				.rejectsOnce(new Error('Error fetching S3'));
+				const result = await this.sqsEmitter.publishEvent(sampleSqsUrl, largeEvent, { s3FailureStrategy: 'drop' });
 
-			ramMock.on(ListResourcesCommand).resolves({
-				resources: [{ arn: parameterNameStoreArn }]
+				assert.deepStrictEqual(result, { dropped: true });
+				assert.deepStrictEqual(sqsMock.commandCalls(SendMessageCommand).length, 0);
 			});
 
-			ssmMock.on(GetParameterCommand).resolves({
-				Parameter: {
-					Value: JSON.stringify(buckets)
-				}
+			it('Should send only the fixed payload properties when using the truncate strategy', async () => {
+
+				sqsMock.on(SendMessageCommand).resolves({
+					MessageId: singleEventResponse.messageId
+				});
+
+				this.sqsEmitter = new SqsEmitter({ s3FailureStrategy: 'truncate' });
+
+				const result = await this.sqsEmitter.publishEvent(sampleSqsUrl, largeEvent);
+				await this.sqsEmitter.publishEvent(sampleSqsUrl, { content: largeEvent.content });
+
+				assert.deepStrictEqual(result, singleEventResponse);
+
+				const [withFixedProperties, withoutFixedProperties] = sqsMock.commandCalls(SendMessageCommand);
+
+				assert.deepStrictEqual(withFixedProperties.args[0].input.MessageBody, JSON.stringify({ contentTruncated: true, bar: 'bar' }));
+				assert.deepStrictEqual(withoutFixedProperties.args[0].input.MessageBody, JSON.stringify({ contentTruncated: true }));
 			});
 
-			const expectedResult = {
-				successCount: 0,
-				failedCount: 1,
-				success: [],
-				failed: [
-					{
-						Id: '1',
-						Code: 'S3_ERROR',
-						Message: 'Failed to upload to all provided s3 buckets'
+			it('Should reject if the strategy is not valid', async () => {
+
+				await assert.rejects(this.sqsEmitter.publishEvent(sampleSqsUrl, largeEvent, { s3FailureStrategy: 'ignore' }), {
+					name: 'SqsEmitterError',
+					message: 'Invalid s3FailureStrategy: ignore. It must be one of fail, drop, truncate',
+					code: 'INVALID_OPTIONS'
+				});
+
+				assert.deepStrictEqual(s3Mock.commandCalls(PutObjectCommand).length, 0);
+			});
+
+			it('Should try the default bucket first and then the buckets in the region of the queue', async () => {
+
+				const regionBuckets = [
+					{ bucketName: 'bucket-us-west-1', region: 'us-west-1' },
+					{ bucketName: 'bucket-sa-east-1', region: 'sa-east-1', default: true },
+					{ bucketName: 'bucket-eu-west-1', region: 'eu-west-1' }
+				];
+
+				ssmMock.on(GetParameterCommand).resolves({
+					Parameter: {
+						Value: JSON.stringify(regionBuckets)
 					}
-				]
-			};
+				});
 
-			const result = await this.sqsEmitter.publishEvents(sampleSqsUrl, [
-				{
-					payloadFixedProperties: ['bar'],
-					content: {
-						bar: 'bar',
-						foo: 'x'.repeat(256 * 1024)
+				await assert.rejects(this.sqsEmitter.publishEvent('https://sqs.eu-west-1.amazonaws.com/123456789012/MySQSName', largeEvent), {
+					code: 'S3_ERROR'
+				});
+
+				assert.deepStrictEqual(s3Mock.commandCalls(PutObjectCommand).map(call => call.args[0].input.Bucket), [
+					'bucket-sa-east-1',
+					'bucket-eu-west-1',
+					'bucket-us-west-1'
+				]);
+			});
+
+			it('Should prefer the buckets in the Lambda region when the queue URL has no region', async () => {
+
+				ssmMock.on(GetParameterCommand).resolves({
+					Parameter: {
+						Value: JSON.stringify(buckets.map(({ default: isDefault, ...bucket }) => bucket))
 					}
-				}
-			]);
+				});
 
-			assert.deepStrictEqual(result, expectedResult);
-			assert.deepStrictEqual(ramMock.commandCalls(ListResourcesCommand).length, 1);
-			assert.deepStrictEqual(ssmMock.commandCalls(GetParameterCommand).length, 1);
-			assert.deepStrictEqual(s3Mock.commandCalls(PutObjectCommand).length, 2);
-			assert.deepStrictEqual(sqsMock.commandCalls(SendMessageBatchCommand).length, 0);
-		});
+				process.env.AWS_REGION = 'us-west-1';
 
-		it('Should handle S3 upload failure for multiple payloads and return failure result without rejecting', async () => {
+				const result = await this.sqsEmitter.publishEvents('http://localhost:4566/000000000000/MySQSName', [largeEvent]);
 
-			// Use to restore the stubbed randomId
-			sinon.restore();
+				assert.deepStrictEqual(result.failed[0].Code, 'S3_ERROR');
+				assert.deepStrictEqual(s3Mock.commandCalls(PutObjectCommand).map(call => call.args[0].input.Bucket), [
+					'sample-bucket-name-us-west-1',
+					'sample-bucket-name-us-east-1'
+				]);
+			});
 
-			sqsMock
-				.on(SendMessageBatchCommand)
-				.resolvesOnce({
-					Failed: [
-						{ Id: '1', Code: 'SQS001', Message: 'SQS Failed' }
-					]
-				})
-				.resolvesOnce({
-					Successful: [
-						{ Id: '2', MessageId: 'msg-2' }
+			it('Should report the dropped and truncated events of multiple events', async () => {
+
+				sqsMock.on(SendMessageBatchCommand).callsFake(input => ({
+					Successful: input.Entries.map(({ Id }) => ({ Id, MessageId: `msg-${Id}` }))
+				}));
+
+				const dropResult = await this.sqsEmitter.publishEvents(sampleSqsUrl, [
+					largeEvent,
+					{ content: { id: 2 } },
+					largeEvent
+				], { s3FailureStrategy: 'drop' });
+
+				assert.deepStrictEqual(dropResult, {
+					successCount: 1,
+					failedCount: 0,
+					success: [{ Id: '2', messageId: 'msg-2', attempts: 1 }],
+					failed: [],
+					droppedCount: 2,
+					dropped: [
+						{ Id: '1', Code: 'S3_ERROR', Message: 'Failed to upload to all provided s3 buckets' },
+						{ Id: '3', Code: 'S3_ERROR', Message: 'Failed to upload to all provided s3 buckets' }
 					]
 				});
 
-			s3Mock
-				.on(PutObjectCommand)
-				.rejectsOnce(new Error('Error fetching S3'))
-				.rejectsOnce(new Error('Error fetching S3'))
-				.resolvesOnce({ ETag: '5d41402abc4b2a76b9719d911017c591' });
+				const truncateResult = await this.sqsEmitter.publishEvents(sampleSqsUrl, [largeEvent], { s3FailureStrategy: 'truncate' });
 
-			ramMock.on(ListResourcesCommand).resolves({
-				resources: [{ arn: parameterNameStoreArn }]
-			});
+				assert.deepStrictEqual(truncateResult, {
+					successCount: 1,
+					failedCount: 0,
+					success: [{ Id: '1', messageId: 'msg-1', attempts: 1 }],
+					failed: []
+				});
 
-			ssmMock.on(GetParameterCommand).resolves({
-				Parameter: {
-					Value: JSON.stringify(buckets)
-				}
+				const { Entries } = sqsMock.commandCalls(SendMessageBatchCommand).at(-1).args[0].input;
+
+				assert.deepStrictEqual(Entries[0].MessageBody, JSON.stringify({ contentTruncated: true, bar: 'bar' }));
 			});
+		});
 
-			const expectedResult = {
-				successCount: 0,
-				failedCount: 2,
-				success: [],
-				failed: [
-					{ Id: '1', Code: 'SQS001', Message: 'SQS Failed' },
-					{
-						Id: '3',
-						Message: 'Failed to upload to all provided s3 buckets',
-						Code: 'S3_ERROR'
-					}
-				]
+		describe('S3 compression', () => {
+
+			const content = {
+				bar: 'bar',
+				foo: 'x'.repeat(256 * 1024)
 			};
 
-			const result = await this.sqsEmitter.publishEvents(sampleSqsUrl, [
-				{
-					payloadFixedProperties: ['foo'],
-					content: {
-						foo: 'bar',
-						bar: 'bar'
-					}
-				},
-				{
-					payloadFixedProperties: ['bar'],
-					content: {
-						bar: 'bar',
-						foo: 'x'.repeat(256 * 1024)
-					}
-				},
-				{
-					payloadFixedProperties: ['foo'],
-					content: {
-						foo: 'foo',
-						bar: 'x'.repeat(256 * 1024)
-					}
-				}
-			]);
+			const largeEvent = { content, payloadFixedProperties: ['bar'] };
 
-			assert.deepStrictEqual(result, expectedResult);
-			assert.deepStrictEqual(ramMock.commandCalls(ListResourcesCommand).length, 1);
-			assert.deepStrictEqual(ssmMock.commandCalls(GetParameterCommand).length, 1);
-			assert.deepStrictEqual(s3Mock.commandCalls(PutObjectCommand).length, 4);
-			assert.deepStrictEqual(sqsMock.commandCalls(SendMessageBatchCommand).length, 1);
-		});
+			const getUploadedObject = () => s3Mock.commandCalls(PutObjectCommand)[0].args[0].input;
 
-		it('Should reject if the queue url format is not valid', async () => {
+			const getSentBody = () => JSON.parse(sqsMock.commandCalls(SendMessageCommand)[0].args[0].input.MessageBody);
 
-			s3Mock.on(PutObjectCommand);
-			sqsMock.on(SendMessageBatchCommand);
-			ssmMock.on(GetParameterCommand);
-			ramMock.on(ListResourcesCommand);
+			beforeEach(() => {
 
-			const invalidSqsUrl = 'https://invalid-url';
+				ramMock.on(ListResourcesCommand).resolves({
+					resources: [{ arn: parameterNameStoreArn }]
+				});
 
-			const result = await assert.rejects(this.sqsEmitter.publishEvents(invalidSqsUrl, [
-				{
-					payloadFixedProperties: ['bar'],
-					content: {
-						bar: 'bar',
-						foo: 'x'.repeat(256 * 1024)
+				ssmMock.on(GetParameterCommand).resolves({
+					Parameter: {
+						Value: JSON.stringify(buckets)
 					}
-				}
-			]), { message: `Invalid SQS URL: ${invalidSqsUrl}` });
+				});
 
-			assert.deepStrictEqual(result, undefined);
-			assert.deepStrictEqual(ramMock.commandCalls(ListResourcesCommand).length, 0);
-			assert.deepStrictEqual(ssmMock.commandCalls(GetParameterCommand).length, 0);
-			assert.deepStrictEqual(s3Mock.commandCalls(PutObjectCommand).length, 0);
-			assert.deepStrictEqual(sqsMock.commandCalls(SendMessageBatchCommand).length, 0);
+				s3Mock.on(PutObjectCommand).resolves({ ETag: '5d41402abc4b2a76b9719d911017c590' });
 
-		});
+				sqsMock.on(SendMessageCommand).resolves({ MessageId: singleEventResponse.messageId });
+			});
 
-		it('Should reject if cannot find resources with the parameter name in the ARN', async () => {
+			it('Should upload the content compressed with gzip and set its encoding in the S3 location', async () => {
 
-			s3Mock.on(PutObjectCommand);
-			sqsMock.on(SendMessageBatchCommand);
-			ssmMock.on(GetParameterCommand);
+				this.sqsEmitter = new SqsEmitter({ s3Compression: 'gzip' });
+				this.sqsEmitter.session = { clientCode: 'defaultClient' };
+				sinon.stub(this.sqsEmitter, 'randomId').get(() => randomId);
 
-			ramMock.on(ListResourcesCommand).resolves({
-				resources: [{ arn: 'other-arn-without-the-parameter-name' }]
+				await this.sqsEmitter.publishEvent(sampleSqsUrl, largeEvent);
+
+				const { Body, ContentType, ContentEncoding } = getUploadedObject();
+
+				assert.strictEqual(zlib.gunzipSync(Body).toString(), JSON.stringify(content));
+				assert.strictEqual(ContentType, 'application/json');
+				assert.strictEqual(ContentEncoding, 'gzip');
+
+				assert.deepStrictEqual(getSentBody(), {
+					contentS3Location: {
+						path: contentS3Path,
+						bucketName: buckets[0].bucketName,
+						region: buckets[0].region,
+						contentEncoding: 'gzip'
+					},
+					bar: 'bar'
+				});
 			});
 
-			const result = await assert.rejects(this.sqsEmitter.publishEvents(sampleSqsUrl, [
-				{
-					payloadFixedProperties: ['bar'],
-					content: {
-						bar: 'bar',
-						foo: 'x'.repeat(256 * 1024)
-					}
-				}
-			]), { message: `Resource Access Manager Error: Unable to find resources with parameter /${parameterName} in the ARN` });
+			it('Should upload the content compressed with brotli when the call sets it', async () => {
 
-			assert.deepEqual(result, undefined);
-			assert.deepEqual(ramMock.commandCalls(ListResourcesCommand).length, 1);
-			assert.deepEqual(ssmMock.commandCalls(GetParameterCommand).length, 0);
-			assert.deepEqual(s3Mock.commandCalls(PutObjectCommand).length, 0);
-			assert.deepEqual(sqsMock.commandCalls(SendMessageBatchCommand).length, 0);
-			assert.deepEqual(s3Mock.commandCalls(PutObjectCommand).length, 0);
-			assertRamListResourceCommand();
+				await this.sqsEmitter.publishEvent(sampleSqsUrl, largeEvent, { s3Compression: 'br' });
+
+				const { Body, ContentEncoding } = getUploadedObject();
+
+				assert.strictEqual(zlib.brotliDecompressSync(Body).toString(), JSON.stringify(content));
+				assert.strictEqual(ContentEncoding, 'br');
+				assert.strictEqual(getSentBody().contentS3Location.contentEncoding, 'br');
+			});
+
+			it('Should not compress the content when the call disables the compression of the emitter', async () => {
+
+				this.sqsEmitter = new SqsEmitter({ s3Compression: 'gzip' });
+				this.sqsEmitter.session = { clientCode: 'defaultClient' };
+				sinon.stub(this.sqsEmitter, 'randomId').get(() => randomId);
+
+				await this.sqsEmitter.publishEvent(sampleSqsUrl, largeEvent, { s3Compression: false });
+
+				assertS3PutObjectCommand(content);
+				assert.strictEqual(getSentBody().contentS3Location.contentEncoding, undefined);
+			});
+
+			it('Should reject when the compression is not valid', async () => {
+
+				await assert.rejects(this.sqsEmitter.publishEvent(sampleSqsUrl, largeEvent, { s3Compression: 'zip' }), {
+					name: 'SqsEmitterError',
+					message: 'Invalid s3Compression: zip. It must be one of gzip, br',
+					code: 'INVALID_OPTIONS'
+				});
+
+				assert.deepStrictEqual(s3Mock.commandCalls(PutObjectCommand).length, 0);
+				assert.deepStrictEqual(sqsMock.commandCalls(SendMessageCommand).length, 0);
+			});
+
+			it('Should upload the content of batch events compressed', async () => {
+
+				sqsMock.on(SendMessageBatchCommand).resolves({
+					Successful: [{ Id: '1', MessageId: singleEventResponse.messageId }]
+				});
+
+				await this.sqsEmitter.publishEvents(sampleSqsUrl, [largeEvent], { s3Compression: 'gzip' });
 
+				const { Body, ContentEncoding } = getUploadedObject();
+				const [entry] = sqsMock.commandCalls(SendMessageBatchCommand)[0].args[0].input.Entries;
+
+				assert.strictEqual(zlib.gunzipSync(Body).toString(), JSON.stringify(content));
+				assert.strictEqual(ContentEncoding, 'gzip');
+				assert.strictEqual(JSON.parse(entry.MessageBody).contentS3Location.contentEncoding, 'gzip');
+			});
 		});
 
-		it('Should upload a payload to some provisional S3 bucket if the default bucket upload fails', async () => {
+		describe('S3 keys', () => {
 
 			const content = {
 				bar: 'bar',
 				foo: 'x'.repeat(256 * 1024)
 			};
 
-			const partiallySentResponse = {
-				successCount: 1,
-				failedCount: 0,
-				success: [
-					{
-						Id: '1',
-						messageId: '4ac0a219-1122-33b3-4445-5556666d734d'
-					}
-				],
-				failed: []
-			};
+			const getUploadedKey = () => s3Mock.commandCalls(PutObjectCommand)[0].args[0].input.Key;
 
-			ramMock.on(ListResourcesCommand).resolves({
-				resources: [{ arn: parameterNameStoreArn }]
-			});
+			beforeEach(() => {
 
-			ssmMock.on(GetParameterCommand).resolves({
-				Parameter: {
-					Value: JSON.stringify(buckets)
-				}
-			});
+				ramMock.on(ListResourcesCommand).resolves({
+					resources: [{ arn: parameterNameStoreArn }]
+				});
 
-			s3Mock.on(PutObjectCommand)
-				.rejectsOnce(new Error('Error fetching S3'))
-				.resolvesOnce({
-					ETag: '5d41402abc4b2a76b9719d911017c590'
+				ssmMock.on(GetParameterCommand).resolves({
+					Parameter: {
+						Value: JSON.stringify(buckets)
+					}
 				});
 
-			sqsMock.on(SendMessageBatchCommand).resolves({
-				Successful: [
-					{ Id: '1', MessageId: '4ac0a219-1122-33b3-4445-5556666d734d' }
-				]
+				s3Mock.on(PutObjectCommand).resolves({ ETag: '5d41402abc4b2a76b9719d911017c590' });
+
+				sqsMock.on(SendMessageCommand).resolves({ MessageId: singleEventResponse.messageId });
 			});
 
-			this.sqsEmitter.session = { clientCode: 'defaultClient' };
+			it('Should upload the content to the key of the template, with the UTC date', async () => {
 
-			const result = await this.sqsEmitter.publishEvents(sampleSqsUrl, [
-				{
-					content,
-					payloadFixedProperties: ['bar']
-				}
-			]);
+				clock.setSystemTime(new Date('2025-03-06T23:30:00.000Z'));
 
-			assert.deepStrictEqual(result, partiallySentResponse);
-			assert.deepStrictEqual(ramMock.commandCalls(ListResourcesCommand).length, 1);
-			assert.deepStrictEqual(ssmMock.commandCalls(GetParameterCommand).length, 1);
-			assert.deepStrictEqual(s3Mock.commandCalls(PutObjectCommand).length, 2);
-			assert.deepStrictEqual(sqsMock.commandCalls(SendMessageBatchCommand).length, 1);
+				this.sqsEmitter = new SqsEmitter({ s3KeyTemplate: '{prefix}/{service}/{year}/{month}/{day}/{hour}/{queue}-{contentHash}.json' });
+				this.sqsEmitter.session = { clientCode: 'defaultClient' };
 
-			assertRamListResourceCommand();
-			assertSsmGetParameterCommand();
-			assertS3PutObjectCommand(content, buckets[0].bucketName);
-			assertS3PutObjectCommand(content, buckets[1].bucketName);
+				await this.sqsEmitter.publishEvent(sampleSqsUrl, { content }, { s3KeyPrefix: 'offloaded' });
 
-			assert.deepStrictEqual(sqsMock.commandCalls(SendMessageBatchCommand, {
-				QueueUrl: sampleSqsUrl,
-				Entries: [
-					{
-						Id: '1',
-						MessageBody: JSON.stringify({
-							contentS3Location: {
-								path: contentS3Path,
-								bucketName: buckets[1].bucketName,
-								region: buckets[1].region
-							},
-							bar: 'bar'
-						}),
-						MessageAttributes: {
-							'janis-client': {
-								DataType: 'String',
-								StringValue: 'defaultClient'
-							},
-							sqsName: {
-								DataType: 'String',
-								StringValue: 'MySQSName'
-							}
-						}
-					}]
-			}, true).length, 1);
+				const contentHash = getContentHash(JSON.stringify(content));
 
-		});
+				const expectedKey = `offloaded/service-name/2025/03/06/23/MySQSName-${contentHash}.json`;
 
-		it('Should emit event with s3 content path if it is greater than 256KB', async () => {
+				assert.strictEqual(getUploadedKey(), expectedKey);
 
-			const partiallySentResponse = {
-				successCount: 1,
-				failedCount: 0,
-				success: [
-					{
-						Id: '1',
-						messageId: '4ac0a219-1122-33b3-4445-5556666d734d'
-					}
-				],
-				failed: []
-			};
+				const { MessageBody } = sqsMock.commandCalls(SendMessageCommand)[0].args[0].input;
 
-			ramMock.on(ListResourcesCommand).resolves({
-				resources: [{ arn: parameterNameStoreArn }]
+				assert.strictEqual(JSON.parse(MessageBody).contentS3Location.path, expectedKey);
 			});
 
-			ssmMock.on(GetParameterCommand).resolves({
-				Parameter: {
-					Value: JSON.stringify(buckets)
-				}
+			it('Should reject when the key template is not valid', async () => {
+
+				await assert.rejects(this.sqsEmitter.publishEvent(sampleSqsUrl, { content }, { s3KeyTemplate: '{prefix}/{queue}.json' }), {
+					name: 'SqsEmitterError',
+					message: 'Invalid s3KeyTemplate: {prefix}/{queue}.json. It must have the {messageId} or {contentHash} placeholder',
+					code: 'INVALID_OPTIONS'
+				});
+
+				assert.deepStrictEqual(sqsMock.commandCalls(SendMessageCommand).length, 0);
 			});
 
-			s3Mock.on(PutObjectCommand).resolves({
-				ETag: '5d41402abc4b2a76b9719d911017c590'
+			it('Should reject when the key prefix is not valid', async () => {
+
+				await assert.rejects(this.sqsEmitter.publishEvent(sampleSqsUrl, { content }, { s3KeyPrefix: 10 }), {
+					name: 'SqsEmitterError',
+					message: 'Invalid s3KeyPrefix: 10. It must be a string',
+					code: 'INVALID_OPTIONS'
+				});
 			});
 
-			sqsMock.on(SendMessageBatchCommand).resolves({
-				Successful: [
-					{ Id: '1', MessageId: '4ac0a219-1122-33b3-4445-5556666d734d' }
-				]
+			it('Should reject the events offloaded to S3 when the service name is missing, without uploading them', async () => {
+
+				delete process.env.JANIS_SERVICE_NAME;
+
+				await assert.rejects(this.sqsEmitter.publishEvent(sampleSqsUrl, { content }), {
+					name: 'SqsEmitterError',
+					message: 'The JANIS_SERVICE_NAME environment variable is required to offload the content to S3',
+					code: 'MISSING_SERVICE_NAME'
+				});
+
+				assert.deepStrictEqual(s3Mock.commandCalls(PutObjectCommand).length, 0);
+				assert.deepStrictEqual(sqsMock.commandCalls(SendMessageCommand).length, 0);
+
+				// The events that are not offloaded do not need the service name
+				await this.sqsEmitter.publishEvent(sampleSqsUrl, { content: { bar: 'bar' } });
+
+				assert.deepStrictEqual(sqsMock.commandCalls(SendMessageCommand).length, 1);
+			});
+
+			it('Should report the batch events offloaded to S3 as failed when the service name is missing', async () => {
+
+				delete process.env.JANIS_SERVICE_NAME;
+
+				sqsMock.on(SendMessageBatchCommand).resolves({
+					Successful: [{ Id: '2', MessageId: singleEventResponse.messageId }]
+				});
+
+				const result = await this.sqsEmitter.publishEvents(sampleSqsUrl, [{ content }, { content: { bar: 'bar' } }]);
+
+				assert.deepStrictEqual(result.failed, [{
+					Id: '1',
+					Code: 'MISSING_SERVICE_NAME',
+					Message: 'The JANIS_SERVICE_NAME environment variable is required to offload the content to S3',
+					attempts: 0
+				}]);
+
+				assert.deepStrictEqual(result.successCount, 1);
+				assert.deepStrictEqual(s3Mock.commandCalls(PutObjectCommand).length, 0);
 			});
+		});
+
+		describe('S3 deduplication', () => {
 
 			const content = {
 				bar: 'bar',
 				foo: 'x'.repeat(256 * 1024)
 			};
 
-			const result = await this.sqsEmitter.publishEvents(sampleSqsUrl, [
-				{
-					payloadFixedProperties: ['bar'],
-					content
-				}
-			]);
-
-			assert.deepStrictEqual(result, partiallySentResponse);
-			assert.deepStrictEqual(ramMock.commandCalls(ListResourcesCommand).length, 1);
-			assert.deepStrictEqual(ssmMock.commandCalls(GetParameterCommand).length, 1);
-			assert.deepStrictEqual(s3Mock.commandCalls(PutObjectCommand).length, 1);
-			assert.deepStrictEqual(sqsMock.commandCalls(SendMessageBatchCommand).length, 1);
-
-			assertRamListResourceCommand();
-			assertSsmGetParameterCommand();
-			assertS3PutObjectCommand(content);
-			assert.deepStrictEqual(sqsMock.commandCalls(SendMessageBatchCommand, {
-				QueueUrl: sampleSqsUrl,
-				Entries: [
-					{
-						Id: '1',
-						MessageBody: JSON.stringify({
-							contentS3Location: {
-								path: contentS3Path,
-								bucketName: buckets[0].bucketName,
-								region: buckets[0].region
-							},
-							bar: 'bar'
-						}),
-						MessageAttributes: {
-							'janis-client': {
-								DataType: 'String',
-								StringValue: 'defaultClient'
-							},
-							sqsName: {
-								DataType: 'String',
-								StringValue: 'MySQSName'
-							}
-						}
-					}]
-			}, true).length, 1);
+			const contentAddressedPath = `sqsContent/defaultClient/service-name/${getContentHash(JSON.stringify(content))}.json`;
 
-		});
+			const getSentPaths = () => sqsMock.commandCalls(SendMessageCommand)
+				.map(call => JSON.parse(call.args[0].input.MessageBody).contentS3Location.path);
 
-		it('Should split events in batches not greater than 256KB', async () => {
+			beforeEach(() => {
 
-			sqsMock.on(SendMessageBatchCommand)
-				.resolvesOnce({
-					Successful: [
-						{ Id: '1', MessageId: '4ac0a219-1122-33b3-4445-5556666d734d' }
-					]
-				})
-				.resolvesOnce({
-					Failed: [{
-						Id: '2',
-						Code: 'SQS001',
-						Message: 'SQS Failed'
-					}]
+				ramMock.on(ListResourcesCommand).resolves({
+					resources: [{ arn: parameterNameStoreArn }]
 				});
 
-			const result = await this.sqsEmitter.publishEvents(sampleSqsUrl, [
-				{
-					content: {
-						foo: 'x'.repeat(150 * 1024)
-					}
-				},
-				{
-					content: {
-						foo: 'y'.repeat(150 * 1024)
+				ssmMock.on(GetParameterCommand).resolves({
+					Parameter: {
+						Value: JSON.stringify(buckets)
 					}
-				}
-			]);
+				});
 
-			assert.deepStrictEqual(result, multiEventResponse);
-			assert.deepStrictEqual(ramMock.commandCalls(ListResourcesCommand).length, 0);
-			assert.deepStrictEqual(ssmMock.commandCalls(GetParameterCommand).length, 0);
-			assert.deepStrictEqual(s3Mock.commandCalls(PutObjectCommand).length, 0);
-			assert.deepStrictEqual(sqsMock.commandCalls(SendMessageBatchCommand).length, 2);
+				s3Mock.on(HeadObjectCommand).rejects(Object.assign(new Error('NotFound'), { name: 'NotFound' }));
+				s3Mock.on(PutObjectCommand).resolves({ ETag: '5d41402abc4b2a76b9719d911017c590' });
 
-			assert.deepStrictEqual(sqsMock.commandCalls(SendMessageBatchCommand, {
-				QueueUrl: sampleSqsUrl,
-				Entries: [
-					{
-						Id: '1',
-						MessageBody: JSON.stringify({
-							foo: 'x'.repeat(150 * 1024)
-						}),
-						MessageAttributes: {
-							'janis-client': {
-								DataType: 'String',
-								StringValue: 'defaultClient'
-							},
-							sqsName: {
-								DataType: 'String',
-								StringValue: 'MySQSName'
-							}
-						}
+				sqsMock.on(SendMessageCommand).resolves({ MessageId: singleEventResponse.messageId });
+			});
+
+			it('Should upload the same content once to a content-addressed key when publishing it to several queues', async () => {
+
+				this.sqsEmitter = new SqsEmitter({ s3Deduplication: true });
+				this.sqsEmitter.session = { clientCode: 'defaultClient' };
+
+				await this.sqsEmitter.publishEvent(sampleSqsUrl, { content });
+				await this.sqsEmitter.publishEvent(`${sampleSqsUrl}-other`, { content });
+
+				assert.deepStrictEqual(s3Mock.commandCalls(HeadObjectCommand).length, 1);
+				assert.deepStrictEqual(s3Mock.commandCalls(PutObjectCommand).length, 1);
+				assertS3PutObjectCommand(content, buckets[0].bucketName, contentAddressedPath);
+
+				assert.deepStrictEqual(getSentPaths(), [contentAddressedPath, contentAddressedPath]);
+			});
+
+			it('Should not upload the content when the object was recently uploaded', async () => {
+
+				s3Mock.on(HeadObjectCommand).resolves({ LastModified: new Date(fakeDate.getTime() - 60000) });
+
+				await this.sqsEmitter.publishEvent(sampleSqsUrl, { content }, { s3Deduplication: true });
+
+				assert.deepStrictEqual(s3Mock.commandCalls(PutObjectCommand).length, 0);
+				assert.deepStrictEqual(getSentPaths(), [contentAddressedPath]);
+			});
+
+			it('Should use a different key for the content uploaded with other object options', async () => {
+
+				this.sqsEmitter = new SqsEmitter({ s3Deduplication: true });
+				this.sqsEmitter.session = { clientCode: 'defaultClient' };
+
+				await this.sqsEmitter.publishEvent(sampleSqsUrl, { content });
+				await this.sqsEmitter.publishEvent(`${sampleSqsUrl}-other`, { content }, { s3Object: { kmsKeyId: 'alias/other' } });
+
+				const kmsPath = `sqsContent/defaultClient/service-name/${getContentHash(JSON.stringify(content), {
+					...hashedS3Object,
+					kmsKeyId: 'alias/other'
+				})}.json`;
+
+				assert.deepStrictEqual(getSentPaths(), [contentAddressedPath, kmsPath]);
+				assert.deepStrictEqual(s3Mock.commandCalls(PutObjectCommand).length, 2);
+				assert.deepStrictEqual(s3Mock.commandCalls(PutObjectCommand, { Key: kmsPath, SSEKMSKeyId: 'alias/other' }).length, 1);
+			});
+
+			it('Should use a different key for the compressed content', async () => {
+
+				await this.sqsEmitter.publishEvent(sampleSqsUrl, { content }, { s3Deduplication: true, s3Compression: 'gzip' });
+
+				const compressedPath = `sqsContent/defaultClient/service-name/${getContentHash(`gzip:${JSON.stringify(content)}`)}.json`;
+
+				assert.deepStrictEqual(getSentPaths(), [compressedPath]);
+			});
+
+			it('Should use the key template when it is content-addressed', async () => {
+
+				await this.sqsEmitter.publishEvent(sampleSqsUrl, { content }, {
+					s3Deduplication: true,
+					s3KeyTemplate: '{prefix}/{queue}/{contentHash}.json'
+				});
+
+				assert.deepStrictEqual(getSentPaths(), [`sqsContent/${sqsName}/${getContentHash(JSON.stringify(content))}.json`]);
+			});
+
+			it('Should reject when the key template is not content-addressed', async () => {
+
+				const options = { s3Deduplication: true, s3KeyTemplate: '{contentHash}/{messageId}' };
+
+				await assert.rejects(this.sqsEmitter.publishEvent(sampleSqsUrl, { content }, options), {
+					name: 'SqsEmitterError',
+					message: 'Invalid s3KeyTemplate: {contentHash}/{messageId}. '
+						+ 'It must have the {contentHash} placeholder and not the {messageId} one to deduplicate the uploads',
+					code: 'INVALID_OPTIONS'
+				});
+			});
+
+			it('Should reject when the max age is not valid', async () => {
+
+				await assert.rejects(this.sqsEmitter.publishEvent(sampleSqsUrl, { content }, { s3Deduplication: true, s3DeduplicationMaxAge: 0 }), {
+					name: 'SqsEmitterError',
+					message: 'Invalid s3DeduplicationMaxAge: 0. It must be a positive integer',
+					code: 'INVALID_OPTIONS'
+				});
+			});
+
+			it('Should upload the same content of a batch to a single content-addressed key', async () => {
+
+				sqsMock.on(SendMessageBatchCommand).resolves({
+					Successful: [
+						{ Id: '1', MessageId: singleEventResponse.messageId },
+						{ Id: '2', MessageId: singleEventResponse.messageId }
+					]
+				});
+
+				await this.sqsEmitter.publishEvents(sampleSqsUrl, [{ content }], { s3Deduplication: true });
+				await this.sqsEmitter.publishEvents(sampleSqsUrl, [{ content }], { s3Deduplication: true });
+
+				assert.deepStrictEqual(s3Mock.commandCalls(PutObjectCommand).length, 1);
+
+				const sentPaths = sqsMock.commandCalls(SendMessageBatchCommand)
+					.map(call => JSON.parse(call.args[0].input.Entries[0].MessageBody).contentS3Location.path);
+
+				assert.deepStrictEqual(sentPaths, [contentAddressedPath, contentAddressedPath]);
+			});
+		});
+
+		describe('S3 object options', () => {
+
+			const content = {
+				bar: 'bar',
+				foo: 'x'.repeat(256 * 1024)
+			};
+
+			const getUploadedObject = () => s3Mock.commandCalls(PutObjectCommand)[0].args[0].input;
+
+			beforeEach(() => {
+
+				ramMock.on(ListResourcesCommand).resolves({
+					resources: [{ arn: parameterNameStoreArn }]
+				});
+
+				ssmMock.on(GetParameterCommand).resolves({
+					Parameter: {
+						Value: JSON.stringify(buckets)
+					}
+				});
+
+				s3Mock.on(PutObjectCommand).resolves({ ETag: '5d41402abc4b2a76b9719d911017c590' });
+
+				sqsMock.on(SendMessageCommand).resolves({ MessageId: singleEventResponse.messageId });
+			});
+
+			it('Should upload the object with the encryption, tags and metadata of the emitter, the call and the event', async () => {
+
+				this.sqsEmitter = new SqsEmitter({
+					s3Object: {
+						serverSideEncryption: 'aws:kms',
+						kmsKeyId: 'alias/emitter',
+						tags: { expiration: '7-days', team: 'oms' }
+					}
+				});
+				this.sqsEmitter.session = { clientCode: 'defaultClient' };
+
+				await this.sqsEmitter.publishEvent(sampleSqsUrl, {
+					content,
+					s3Object: { metadata: { 'order-id': '123' } }
+				}, {
+					s3Object: { kmsKeyId: 'alias/call', tags: { expiration: '1-day' } }
+				});
+
+				const { ServerSideEncryption, SSEKMSKeyId, Tagging, Metadata } = getUploadedObject();
+
+				assert.strictEqual(ServerSideEncryption, 'aws:kms');
+				assert.strictEqual(SSEKMSKeyId, 'alias/call');
+				assert.strictEqual(Tagging, 'expiration=1-day&team=oms');
+				assert.deepStrictEqual(Metadata, { ...s3Metadata, 'order-id': '123' });
+			});
+
+			it('Should upload the object with the default metadata only when there are no options', async () => {
+
+				process.env.JANIS_SERVICE_NAME = '';
+
+				await this.sqsEmitter.publishEvent(sampleSqsUrl, { content }, { s3KeyTemplate: '{prefix}/{queue}/{messageId}.json' });
+
+				const { ServerSideEncryption, Tagging, Metadata } = getUploadedObject();
+
+				assert.strictEqual(ServerSideEncryption, undefined);
+				assert.strictEqual(Tagging, undefined);
+				assert.deepStrictEqual(Metadata, { 'sqs-name': sqsName, 'client-code': 'defaultClient' });
+			});
+
+			it('Should reject when the s3Object option is not valid', async () => {
+
+				await assert.rejects(this.sqsEmitter.publishEvent(sampleSqsUrl, { content }, { s3Object: { serverSideEncryption: 'none' } }), {
+					name: 'SqsEmitterError',
+					message: 'Invalid s3Object option: serverSideEncryption must be one of AES256, aws:kms, aws:kms:dsse',
+					code: 'INVALID_OPTIONS'
+				});
+
+				assert.deepStrictEqual(sqsMock.commandCalls(SendMessageCommand).length, 0);
+			});
+
+			it('Should reject when the s3Object of the event is not valid', async () => {
+
+				await assert.rejects(this.sqsEmitter.publishEvent(sampleSqsUrl, { content, s3Object: { metadata: { retries: 3 } } }), {
+					name: 'SqsEmitterError',
+					message: 'Invalid s3Object of the event: the metadata retries must be a string',
+					code: 'INVALID_OPTIONS'
+				});
+			});
+
+			it('Should report the events whose merged options exceed the S3 limits as failed', async () => {
+
+				const tags = Object.fromEntries(Array.from({ length: 6 }, (_, index) => [`tag${index}`, 'value']));
+				const eventTags = Object.fromEntries(Array.from({ length: 6 }, (_, index) => [`event-tag${index}`, 'value']));
+
+				sqsMock.on(SendMessageBatchCommand).resolves({
+					Successful: [{ Id: '2', MessageId: singleEventResponse.messageId }]
+				});
+
+				const result = await this.sqsEmitter.publishEvents(sampleSqsUrl, [
+					{ content, s3Object: { tags: eventTags } },
+					{ content }
+				], { s3Object: { tags } });
+
+				assert.deepStrictEqual(result.failed, [{
+					Id: '1',
+					Code: 'INVALID_OPTIONS',
+					Message: 'Invalid s3Object: tags can have up to 10 tags, but it has 12',
+					attempts: 0
+				}]);
+
+				assert.strictEqual(getUploadedObject().Tagging, new URLSearchParams(tags).toString());
+			});
+		});
+
+		describe('Inline compression', () => {
+
+			const content = {
+				bar: 'bar',
+				foo: 'x'.repeat(256 * 1024)
+			};
+
+			// Random data cannot be compressed enough to fit in the limit
+			const incompressibleContent = {
+				bar: 'bar',
+				foo: crypto.randomBytes(200 * 1024).toString('base64')
+			};
+
+			const getSentMessage = () => sqsMock.commandCalls(SendMessageCommand)[0].args[0].input;
+
+			beforeEach(() => {
+
+				ramMock.on(ListResourcesCommand).resolves({
+					resources: [{ arn: parameterNameStoreArn }]
+				});
+
+				ssmMock.on(GetParameterCommand).resolves({
+					Parameter: {
+						Value: JSON.stringify(buckets)
+					}
+				});
+
+				s3Mock.on(PutObjectCommand).resolves({ ETag: '5d41402abc4b2a76b9719d911017c590' });
+
+				sqsMock.on(SendMessageCommand).resolves({ MessageId: singleEventResponse.messageId });
+			});
+
+			it('Should send the body compressed inline with its content-encoding attribute instead of offloading it to S3', async () => {
+
+				this.sqsEmitter = new SqsEmitter({ inlineCompression: 'gzip' });
+				this.sqsEmitter.session = { clientCode: 'defaultClient' };
+
+				await this.sqsEmitter.publishEvent(sampleSqsUrl, { content, payloadFixedProperties: ['bar'] });
+
+				const { MessageBody, MessageAttributes } = getSentMessage();
+
+				assert.strictEqual(zlib.gunzipSync(Buffer.from(MessageBody, 'base64')).toString(), JSON.stringify(content));
+				assert.deepStrictEqual(MessageAttributes, {
+					sqsName: { DataType: 'String', StringValue: sqsName },
+					'janis-client': { DataType: 'String', StringValue: 'defaultClient' },
+					'content-encoding': { DataType: 'String', StringValue: 'gzip' }
+				});
+
+				assert.deepStrictEqual(s3Mock.commandCalls(PutObjectCommand).length, 0);
+				assert.deepStrictEqual(ssmMock.commandCalls(GetParameterCommand).length, 0);
+			});
+
+			it('Should not compress the events that do not exceed the size limit', async () => {
+
+				await this.sqsEmitter.publishEvent(sampleSqsUrl, { content: { bar: 'bar' } }, { inlineCompression: 'gzip' });
+
+				const { MessageBody, MessageAttributes } = getSentMessage();
+
+				assert.strictEqual(MessageBody, JSON.stringify({ bar: 'bar' }));
+				assert.strictEqual(MessageAttributes['content-encoding'], undefined);
+			});
+
+			it('Should offload the content to S3 when the compressed body still exceeds the size limit', async () => {
+
+				await this.sqsEmitter.publishEvent(sampleSqsUrl, { content: incompressibleContent, payloadFixedProperties: ['bar'] }, {
+					inlineCompression: 'br'
+				});
+
+				assertS3PutObjectCommand(incompressibleContent);
+
+				const { MessageBody, MessageAttributes } = getSentMessage();
+
+				assert.deepStrictEqual(JSON.parse(MessageBody).contentS3Location.path, contentS3Path);
+				assert.strictEqual(MessageAttributes['content-encoding'], undefined);
+			});
+
+			it('Should offload the content to S3 when the event has no room for the content-encoding attribute', async () => {
+
+				const attributes = Object.fromEntries(Array.from({ length: 8 }, (_, index) => [`attribute${index}`, 'value']));
+
+				await this.sqsEmitter.publishEvent(sampleSqsUrl, { content, attributes }, { inlineCompression: 'gzip' });
+
+				assertS3PutObjectCommand(content);
+				assert.strictEqual(getSentMessage().MessageAttributes['content-encoding'], undefined);
+			});
+
+			it('Should reject when the inline compression is not valid', async () => {
+
+				await assert.rejects(this.sqsEmitter.publishEvent(sampleSqsUrl, { content }, { inlineCompression: 'deflate' }), {
+					name: 'SqsEmitterError',
+					message: 'Invalid inlineCompression: deflate. It must be one of gzip, br',
+					code: 'INVALID_OPTIONS'
+				});
+
+				assert.deepStrictEqual(sqsMock.commandCalls(SendMessageCommand).length, 0);
+			});
+
+			it('Should reject when the event sets the content-encoding attribute and the inline compression is enabled', async () => {
+
+				this.sqsEmitter = new SqsEmitter({ inlineCompression: 'gzip' });
+
+				await assert.rejects(this.sqsEmitter.publishEvent(sampleSqsUrl, { content, attributes: { 'content-encoding': 'gzip' } }), {
+					name: 'SqsEmitterError',
+					message: 'The attribute name content-encoding is reserved by the emitter',
+					code: 'RESERVED_ATTRIBUTE_NAME'
+				});
+
+				assert.deepStrictEqual(sqsMock.commandCalls(SendMessageCommand).length, 0);
+			});
+
+			it('Should send the content-encoding attribute of the event when the inline compression is disabled', async () => {
+
+				this.sqsEmitter = new SqsEmitter({ inlineCompression: 'gzip' });
+
+				await this.sqsEmitter.publishEvent(sampleSqsUrl, { content: { bar: 'bar' }, attributes: { 'content-encoding': 'identity' } }, {
+					inlineCompression: false
+				});
+
+				assert.deepStrictEqual(getSentMessage().MessageAttributes['content-encoding'], { DataType: 'String', StringValue: 'identity' });
+			});
+
+			it('Should send the events compressed inline in batches, offloading to S3 the ones that still exceed the limit', async () => {
+
+				sqsMock.on(SendMessageBatchCommand).resolves({
+					Successful: [
+						{ Id: '1', MessageId: singleEventResponse.messageId },
+						{ Id: '2', MessageId: singleEventResponse.messageId },
+						{ Id: '3', MessageId: singleEventResponse.messageId }
+					]
+				});
+
+				await this.sqsEmitter.publishEvents(sampleSqsUrl, [
+					{ content },
+					{ content },
+					{ content: incompressibleContent, payloadFixedProperties: ['bar'] }
+				], { inlineCompression: 'gzip' });
+
+				assert.deepStrictEqual(sqsMock.commandCalls(SendMessageBatchCommand).length, 1);
+
+				const { Entries } = sqsMock.commandCalls(SendMessageBatchCommand)[0].args[0].input;
+
+				assert.strictEqual(zlib.gunzipSync(Buffer.from(Entries[0].MessageBody, 'base64')).toString(), JSON.stringify(content));
+				assert.strictEqual(Entries[1].MessageAttributes['content-encoding'].StringValue, 'gzip');
+				assert.strictEqual(Entries[2].MessageAttributes['content-encoding'], undefined);
+				assert.deepStrictEqual(JSON.parse(Entries[2].MessageBody).contentS3Location.path, contentS3Path);
+
+				assertS3PutObjectCommand(incompressibleContent);
+			});
+		});
+
+		it('Should emit event with s3 content path if it is greater than 256KB and the session is missing', async () => {
+
+			const partiallySentResponse = {
+				successCount: 1,
+				failedCount: 0,
+				success: [
+					{
+						Id: '1',
+						messageId: '4ac0a219-1122-33b3-4445-5556666d734d',
+						attempts: 1
 					}
+				],
+				failed: []
+			};
+
+			ramMock.on(ListResourcesCommand).resolves({
+				resources: [{ arn: parameterNameStoreArn }]
+			});
+
+			ssmMock.on(GetParameterCommand).resolves({
+				Parameter: {
+					Value: JSON.stringify(buckets)
+				}
+			});
+
+			s3Mock.on(PutObjectCommand).resolves({
+				ETag: '5d41402abc4b2a76b9719d911017c590'
+			});
+
+			sqsMock.on(SendMessageBatchCommand).resolves({
+				Successful: [
+					{ Id: '1', MessageId: '4ac0a219-1122-33b3-4445-5556666d734d' }
 				]
-			}, true).length, 1);
+			});
+
+			const content = {
+				bar: 'bar',
+				foo: 'x'.repeat(256 * 1024)
+			};
+
+			const customS3ContentPath = `sqsContent/core/service-name/MySQSName/2025/03/06/${randomId}.json`;
+
+			this.sqsEmitter.session = null;
 
+			const result = await this.sqsEmitter.publishEvents(sampleSqsUrl, [
+				{
+					payloadFixedProperties: ['bar'],
+					content
+				}
+			]);
+
+			assert.deepStrictEqual(result, partiallySentResponse);
+			assert.deepStrictEqual(ramMock.commandCalls(ListResourcesCommand).length, 1);
+			assert.deepStrictEqual(ssmMock.commandCalls(GetParameterCommand).length, 1);
+			assert.deepStrictEqual(s3Mock.commandCalls(PutObjectCommand).length, 1);
+			assert.deepStrictEqual(sqsMock.commandCalls(SendMessageBatchCommand).length, 1);
+
+			assertRamListResourceCommand();
+			assertSsmGetParameterCommand();
+			assertS3PutObjectCommand(content, buckets[0].bucketName, customS3ContentPath, { ...s3Metadata, 'client-code': 'core' });
 			assert.deepStrictEqual(sqsMock.commandCalls(SendMessageBatchCommand, {
 				QueueUrl: sampleSqsUrl,
 				Entries: [
 					{
-						Id: '2',
+						Id: '1',
 						MessageBody: JSON.stringify({
-							foo: 'y'.repeat(150 * 1024)
+							contentS3Location: {
+								path: customS3ContentPath,
+								bucketName: buckets[0].bucketName,
+								region: buckets[0].region
+							},
+							bar: 'bar'
 						}),
 						MessageAttributes: {
-							'janis-client': {
-								DataType: 'String',
-								StringValue: 'defaultClient'
-							},
 							sqsName: {
 								DataType: 'String',
 								StringValue: 'MySQSName'
 							}
 						}
-
-					}
-				]
+					}]
 			}, true).length, 1);
+
+		});
+
+	});
+
+	describe('publishEvents', () => {
+
+		afterEach(() => {
+			sinon.restore();
+			ParameterStore.clearCache();
+		});
+
+		const messageId = '4ac0a219-1122-33b3-4445-5556666d734d';
+
+		const eventResponse = {
+			successCount: 1,
+			failedCount: 0,
+			success: [{ Id: '1', messageId, attempts: 1 }],
+			failed: []
+		};
+
+		const multiEventResponse = {
+			successCount: 1,
+			failedCount: 1,
+			success: [
+				{ Id: '1', messageId, attempts: 1 }
+			],
+			failed: [
+				{
+					Id: '2',
+					Code: 'SQS001',
+					Message: 'SQS Failed',
+					attempts: 1
+				}
+			]
+		};
+
+		const multiEventFifoResponse = {
+			successCount: 1,
+			failedCount: 1,
+			success: [
+				{
+					Id: '1',
+					messageId: '4ac0a219-1122-33b3-4445-5556666d734d',
+					sequenceNumber: '222222222222222222222222',
+					attempts: 1
+				}
+			],
+			failed: [
+				{
+					Id: '2',
+					Code: 'SQS001',
+					Message: 'SQS Failed',
+					attempts: 1
+				}
+			]
+		};
+
+		it('Should publish multiple events with content only as minimal requirement (Standard SQS)', async () => {
+
+			sqsMock.on(SendMessageBatchCommand).resolves({
+				Successful: [
+					{ Id: '1', MessageId: messageId }
+				]
+			});
+
+			const result = await this.sqsEmitter.publishEvents(sampleSqsUrl, [
+				{
+					content: { foo: 'bar' }
+				}
+			]);
+
+			assert.deepStrictEqual(result, eventResponse);
+			assert.deepStrictEqual(sqsMock.commandCalls(SendMessageBatchCommand).length, 1);
+
+			assert.deepStrictEqual(sqsMock.commandCalls(SendMessageBatchCommand, {
+				Entries: [
+					{
+						Id: '1',
+						MessageBody: JSON.stringify({ foo: 'bar' }),
+						MessageAttributes: {
+							'janis-client': {
+								DataType: 'String',
+								StringValue: 'defaultClient'
+							},
+							sqsName: {
+								DataType: 'String',
+								StringValue: sqsName
+							}
+						}
+					}
+				],
+				QueueUrl: sampleSqsUrl
+			}, true).length, 1);
+
+		});
+
+		it('Should publish multiple events with content only as minimal requirement (FIFO SQS)', async () => {
+
+			sqsMock.on(SendMessageBatchCommand).resolves({
+				Successful: [
+					{
+						Id: '1',
+						MessageId: '4ac0a219-1122-33b3-4445-5556666d734d',
+						SequenceNumber: '222222222222222222222222'
+					}
+				],
+				Failed: [
+					{
+						Id: '2',
+						Code: 'SQS001',
+						Message: 'SQS Failed'
+					}
+				]
+			});
+
+			const result = await this.sqsEmitter.publishEvents(sampleSqsUrlFifo, [
+				{
+					content: { foo: 'bar' },
+					messageGroupId: 'group1'
+				},
+				{
+					content: { foo: 'baz' },
+					messageGroupId: 'group1'
+				}
+			]);
+
+			const messageAttributes = {
+				sqsName: {
+					DataType: 'String',
+					StringValue: sqsName
+				},
+				'janis-client': {
+					DataType: 'String',
+					StringValue: 'defaultClient'
+				}
+			};
+
+			assert.deepStrictEqual(result, multiEventFifoResponse);
+			assert.deepStrictEqual(sqsMock.commandCalls(SendMessageBatchCommand).length, 1);
+			assert.deepStrictEqual(sqsMock.commandCalls(SendMessageBatchCommand, {
+				QueueUrl: sampleSqsUrlFifo,
+				Entries: [
+					{
+						Id: '1',
+						MessageBody: JSON.stringify({ foo: 'bar' }),
+						MessageAttributes: messageAttributes,
+						MessageGroupId: 'group1',
+						MessageDeduplicationId: getDeduplicationId({
+							MessageGroupId: 'group1',
+							MessageBody: JSON.stringify({ foo: 'bar' }),
+							MessageAttributes: messageAttributes
+						})
+					},
+					{
+						Id: '2',
+						MessageBody: JSON.stringify({ foo: 'baz' }),
+						MessageAttributes: messageAttributes,
+						MessageGroupId: 'group1',
+						MessageDeduplicationId: getDeduplicationId({
+							MessageGroupId: 'group1',
+							MessageBody: JSON.stringify({ foo: 'baz' }),
+							MessageAttributes: messageAttributes
+						})
+					}
+				]
+			}, true).length, 1);
+		});
+
+		it('Should report the event as failed if fails retrieve parameter name from ram resources', async () => {
+
+			s3Mock.on(PutObjectCommand);
+			sqsMock.on(SendMessageBatchCommand);
+			ssmMock.on(GetParameterCommand);
+			ramMock.on(ListResourcesCommand).rejects(new Error('RAM Internal Error'));
+
+			const result = await this.sqsEmitter.publishEvents(sampleSqsUrl, [
+				{
+					payloadFixedProperties: ['bar'],
+					content: {
+						bar: 'bar',
+						foo: 'x'.repeat(256 * 1024)
+					}
+				}
+			]);
+
+			assert.deepStrictEqual(result.failed, [{
+				Id: '1',
+				Code: 'RAM_ERROR',
+				Message: 'Resource Access Manager Error: RAM Internal Error',
+				attempts: 0
+			}]);
+			assert.deepStrictEqual(ramMock.commandCalls(ListResourcesCommand).length, 1);
+			assert.deepStrictEqual(ssmMock.commandCalls(GetParameterCommand).length, 0);
+			assert.deepStrictEqual(s3Mock.commandCalls(PutObjectCommand).length, 0);
+			assert.deepStrictEqual(sqsMock.commandCalls(SendMessageBatchCommand).length, 0);
+			assertRamListResourceCommand();
+		});
+
+		it('Should report the event as failed if fails retrieve parameter from ssm parameter store', async () => {
+
+			s3Mock.on(PutObjectCommand);
+			sqsMock.on(SendMessageBatchCommand);
+
+			ramMock.on(ListResourcesCommand).resolves({
+				resources: [{ arn: parameterNameStoreArn }]
+			});
+
+			ssmMock.on(GetParameterCommand).rejects(new Error('SSM Internal Error'));
+
+			const result = await this.sqsEmitter.publishEvents(sampleSqsUrl, [
+				{
+					payloadFixedProperties: ['bar'],
+					content: {
+						bar: 'bar',
+						foo: 'x'.repeat(256 * 1024)
+					}
+				}
+			]);
+
+			assert.deepStrictEqual(result.failed, [{
+				Id: '1',
+				Code: 'SSM_ERROR',
+				Message: `Unable to get parameter with arn ${parameterNameStoreArn} - SSM Internal Error`,
+				attempts: 0
+			}]);
+			assert.deepStrictEqual(ramMock.commandCalls(ListResourcesCommand).length, 1);
+			assert.deepStrictEqual(ssmMock.commandCalls(GetParameterCommand).length, 1);
+			assert.deepStrictEqual(s3Mock.commandCalls(PutObjectCommand).length, 0);
+			assert.deepStrictEqual(sqsMock.commandCalls(SendMessageBatchCommand).length, 0);
+			assert.deepEqual(s3Mock.commandCalls(PutObjectCommand).length, 0);
+
+			assertRamListResourceCommand();
+			assertSsmGetParameterCommand();
+
+		});
+
+		it('Should keep the results of the other batches and apply the failure strategy when the buckets cannot be obtained', async () => {
+
+			sqsMock.on(SendMessageBatchCommand).callsFake(input => ({
+				Successful: input.Entries.map(({ Id }) => ({ Id, MessageId: `msg-${Id}` }))
+			}));
+
+			ramMock.on(ListResourcesCommand).rejects(new Error('RAM Internal Error'));
+
+			const events = [
+				{ content: { id: 1 } },
+				{ content: { foo: 'x'.repeat(256 * 1024) } },
+				{ content: { id: 3 } }
+			];
+
+			const failResult = await this.sqsEmitter.publishEvents(sampleSqsUrl, events, { maxBatchEntries: 1 });
+
+			assert.deepStrictEqual(failResult.success.map(({ Id }) => Id), ['1', '3']);
+			assert.deepStrictEqual(failResult.failed.map(({ Id, Code }) => ({ Id, Code })), [{ Id: '2', Code: 'RAM_ERROR' }]);
+
+			const dropResult = await this.sqsEmitter.publishEvents(sampleSqsUrl, events, { maxBatchEntries: 1, s3FailureStrategy: 'drop' });
+
+			assert.deepStrictEqual(dropResult.success.map(({ Id }) => Id), ['1', '3']);
+			assert.deepStrictEqual(dropResult.failed, []);
+			assert.deepStrictEqual(dropResult.dropped, [{ Id: '2', Code: 'RAM_ERROR', Message: 'Resource Access Manager Error: RAM Internal Error' }]);
+
+			assert.deepStrictEqual(await this.sqsEmitter.publishEvent(sampleSqsUrl, events[1], { s3FailureStrategy: 'drop' }), { dropped: true });
+		});
+
+		it('Should not reject if cannot upload a payload to provided S3 buckets', async () => {
+
+			sqsMock.on(SendMessageBatchCommand);
+
+			s3Mock.on(PutObjectCommand)
+				.rejectsOnce(new Error('Error fetching S3'))
+				.rejectsOnce(new Error('Error fetching S3'));
+
+			ramMock.on(ListResourcesCommand).resolves({
+				resources: [{ arn: parameterNameStoreArn }]
+			});
+
+			ssmMock.on(GetParameterCommand).resolves({
+				Parameter: {
+					Value: JSON.stringify(buckets)
+				}
+			});
+
+			const expectedResult = {
+				successCount: 0,
+				failedCount: 1,
+				success: [],
+				failed: [
+					{
+						Id: '1',
+						Code: 'S3_ERROR',
+						Message: 'Failed to upload to all provided s3 buckets',
+						Details: buckets.map(({ bucketName, region }) => ({
+							bucketName,
+							region,
+							code: 'Error',
+							message: 'Error fetching S3'
+						})),
+						attempts: 0
+					}
+				]
+			};
+
+			const result = await this.sqsEmitter.publishEvents(sampleSqsUrl, [
+				{
+					payloadFixedProperties: ['bar'],
+					content: {
+						bar: 'bar',
+						foo: 'x'.repeat(256 * 1024)
+					}
+				}
+			]);
+
+			assert.deepStrictEqual(result, expectedResult);
+			assert.deepStrictEqual(ramMock.commandCalls(ListResourcesCommand).length, 1);
+			assert.deepStrictEqual(ssmMock.commandCalls(GetParameterCommand).length, 1);
+			assert.deepStrictEqual(s3Mock.commandCalls(PutObjectCommand).length, 2);
+			assert.deepStrictEqual(sqsMock.commandCalls(SendMessageBatchCommand).length, 0);
+		});
+
+		it('Should handle S3 upload failure for multiple payloads and return failure result without rejecting', async () => {
+
+			// Use to restore the stubbed randomId
+			sinon.restore();
+
+			sqsMock
+				.on(SendMessageBatchCommand)
+				.resolvesOnce({
+					Failed: [
+						{ Id: '1', Code: 'SQS001', Message: 'SQS Failed' }
+					]
+				})
+				.resolvesOnce({
+					Successful: [
+						{ Id: '2', MessageId: 'msg-2' }
+					]
+				});
+
+			s3Mock
+				.on(PutObjectCommand)
+				.rejectsOnce(new Error('Error fetching S3'))
+				.rejectsOnce(new Error('Error fetching S3'))
+				.resolvesOnce({ ETag: '5d41402abc4b2a76b9719d911017c591' });
+
+			ramMock.on(ListResourcesCommand).resolves({
+				resources: [{ arn: parameterNameStoreArn }]
+			});
+
+			ssmMock.on(GetParameterCommand).resolves({
+				Parameter: {
+					Value: JSON.stringify(buckets)
+				}
+			});
+
+			const expectedResult = {
+				successCount: 0,
+				failedCount: 2,
+				success: [],
+				failed: [
+					{ Id: '1', Code: 'SQS001', Message: 'SQS Failed', attempts: 1 },
+					{
+						Id: '3',
+						Message: 'Failed to upload to all provided s3 buckets',
+						Code: 'S3_ERROR',
+						Details: [{
+							bucketName: buckets[0].bucketName,
+							region: buckets[0].region,
+							code: 'Error',
+							message: 'Error fetching S3'
+						}],
+						attempts: 0
+					}
+				]
+			};
+
+			const result = await this.sqsEmitter.publishEvents(sampleSqsUrl, [
+				{
+					payloadFixedProperties: ['foo'],
+					content: {
+						foo: 'bar',
+						bar: 'bar'
+					}
+				},
+				{
+					payloadFixedProperties: ['bar'],
+					content: {
+						bar: 'bar',
+						foo: 'x'.repeat(256 * 1024)
+					}
+				},
+				{
+					payloadFixedProperties: ['foo'],
+					content: {
+						foo: 'foo',
+						bar: 'x'.repeat(256 * 1024)
+					}
+				}
+			]);
+
+			assert.deepStrictEqual(result, expectedResult);
+			assert.deepStrictEqual(ramMock.commandCalls(ListResourcesCommand).length, 1);
+			assert.deepStrictEqual(ssmMock.commandCalls(GetParameterCommand).length, 1);
+			assert.deepStrictEqual(s3Mock.commandCalls(PutObjectCommand).length, 4);
+			assert.deepStrictEqual(sqsMock.commandCalls(SendMessageBatchCommand).length, 1);
+		});
+
+		it('Should reject if the queue url format is not valid', async () => {
+
+			s3Mock.on(PutObjectCommand);
+			sqsMock.on(SendMessageBatchCommand);
+			ssmMock.on(GetParameterCommand);
+			ramMock.on(ListResourcesCommand);
+
+			const invalidSqsUrl = 'https://invalid-url';
+
+			const result = await assert.rejects(this.sqsEmitter.publishEvents(invalidSqsUrl, [
+				{
+					payloadFixedProperties: ['bar'],
+					content: {
+						bar: 'bar',
+						foo: 'x'.repeat(256 * 1024)
+					}
+				}
+			]), { message: `Invalid SQS URL: ${invalidSqsUrl}` });
+
+			assert.deepStrictEqual(result, undefined);
+			assert.deepStrictEqual(ramMock.commandCalls(ListResourcesCommand).length, 0);
+			assert.deepStrictEqual(ssmMock.commandCalls(GetParameterCommand).length, 0);
+			assert.deepStrictEqual(s3Mock.commandCalls(PutObjectCommand).length, 0);
+			assert.deepStrictEqual(sqsMock.commandCalls(SendMessageBatchCommand).length, 0);
+
+		});
+
+		it('Should publish events to local stand-in queue URLs', async () => {
+
+			const localSqsUrl = `http://localhost:9324/000000000000/${sqsName}`;
+
+			sqsMock.on(SendMessageBatchCommand).resolves({
+				Successful: [{ Id: '1', MessageId: messageId }]
+			});
+
+			const result = await this.sqsEmitter.publishEvents(localSqsUrl, [
+				{ content: { foo: 'bar' } }
+			]);
+
+			assert.deepStrictEqual(result, eventResponse);
+			assert.deepStrictEqual(sqsMock.commandCalls(SendMessageBatchCommand, {
+				QueueUrl: localSqsUrl,
+				Entries: [{
+					Id: '1',
+					MessageBody: JSON.stringify({ foo: 'bar' }),
+					MessageAttributes: {
+						'janis-client': {
+							DataType: 'String',
+							StringValue: 'defaultClient'
+						},
+						sqsName: {
+							DataType: 'String',
+							StringValue: sqsName
+						}
+					}
+				}]
+			}, true).length, 1);
+		});
+
+		it('Should publish events to queue URLs recognised by the custom parsers of the emitter', async () => {
+
+			const customSqsUrl = `https://sqs.internal.example.com/queues/${sqsName}.fifo`;
+
+			assert.strictEqual(this.sqsEmitter.isValidSqsUrl(customSqsUrl), false);
+
+			this.sqsEmitter = new SqsEmitter({
+				queueUrlParsers: [url => url.startsWith('https://sqs.internal.example.com/') && {
+					queueName: url.split('/').pop(),
+					accountId: '123456789012'
+				}]
+			});
+
+			sqsMock.on(SendMessageBatchCommand).resolves({
+				Successful: [{ Id: '1', MessageId: messageId }]
+			});
+
+			const result = await this.sqsEmitter.publishEvents(customSqsUrl, [
+				{ content: { foo: 'bar' }, messageGroupId: 'group1' }
+			]);
+
+			assert.deepStrictEqual(result, eventResponse);
+			assert.strictEqual(this.sqsEmitter.isValidSqsUrl(customSqsUrl), true);
+			assert.deepStrictEqual(sqsMock.commandCalls(SendMessageBatchCommand)[0].args[0].input.Entries[0].MessageAttributes.sqsName, {
+				DataType: 'String',
+				StringValue: sqsName
+			});
+		});
+
+		it('Should report the event as failed if cannot find resources with the parameter name in the ARN', async () => {
+
+			s3Mock.on(PutObjectCommand);
+			sqsMock.on(SendMessageBatchCommand);
+			ssmMock.on(GetParameterCommand);
+
+			ramMock.on(ListResourcesCommand).resolves({
+				resources: [{ arn: 'other-arn-without-the-parameter-name' }]
+			});
+
+			const result = await this.sqsEmitter.publishEvents(sampleSqsUrl, [
+				{
+					payloadFixedProperties: ['bar'],
+					content: {
+						bar: 'bar',
+						foo: 'x'.repeat(256 * 1024)
+					}
+				}
+			]);
+
+			assert.deepEqual(result.failed, [{
+				Id: '1',
+				Code: 'RAM_ERROR',
+				Message: `Resource Access Manager Error: Unable to find resources with parameter /${parameterName} in the ARN`,
+				attempts: 0
+			}]);
+			assert.deepEqual(ramMock.commandCalls(ListResourcesCommand).length, 1);
+			assert.deepEqual(ssmMock.commandCalls(GetParameterCommand).length, 0);
+			assert.deepEqual(s3Mock.commandCalls(PutObjectCommand).length, 0);
+			assert.deepEqual(sqsMock.commandCalls(SendMessageBatchCommand).length, 0);
+			assert.deepEqual(s3Mock.commandCalls(PutObjectCommand).length, 0);
+			assertRamListResourceCommand();
+
+		});
+
+		it('Should upload a payload to some provisional S3 bucket if the default bucket upload fails', async () => {
+
+			const content = {
+				bar: 'bar',
+				foo: 'x'.repeat(256 * 1024)
+			};
+
+			const partiallySentResponse = {
+				successCount: 1,
+				failedCount: 0,
+				success: [
+					{
+						Id: '1',
+						messageId: '4ac0a219-1122-33b3-4445-5556666d734d',
+						attempts: 1
+					}
+				],
+				failed: []
+			};
+
+			ramMock.on(ListResourcesCommand).resolves({
+				resources: [{ arn: parameterNameStoreArn }]
+			});
+
+			ssmMock.on(GetParameterCommand).resolves({
+				Parameter: {
+					Value: JSON.stringify(buckets)
+				}
+			});
+
+			s3Mock.on(PutObjectCommand)
+				.rejectsOnce(new Error('Error fetching S3'))
+				.resolvesOnce({
+					ETag: '5d41402abc4b2a76b9719d911017c590'
+				});
+
+			sqsMock.on(SendMessageBatchCommand).resolves({
+				Successful: [
+					{ Id: '1', MessageId: '4ac0a219-1122-33b3-4445-5556666d734d' }
+				]
+			});
+
+			this.sqsEmitter.session = { clientCode: 'defaultClient' };
+
+			const result = await this.sqsEmitter.publishEvents(sampleSqsUrl, [
+				{
+					content,
+					payloadFixedProperties: ['bar']
+				}
+			]);
+
+			assert.deepStrictEqual(result, partiallySentResponse);
+			assert.deepStrictEqual(ramMock.commandCalls(ListResourcesCommand).length, 1);
+			assert.deepStrictEqual(ssmMock.commandCalls(GetParameterCommand).length, 1);
+			assert.deepStrictEqual(s3Mock.commandCalls(PutObjectCommand).length, 2);
+			assert.deepStrictEqual(sqsMock.commandCalls(SendMessageBatchCommand).length, 1);
+
+			assertRamListResourceCommand();
+			assertSsmGetParameterCommand();
+			assertS3PutObjectCommand(content, buckets[0].bucketName);
+			assertS3PutObjectCommand(content, buckets[1].bucketName);
+
+			assert.deepStrictEqual(sqsMock.commandCalls(SendMessageBatchCommand, {
+				QueueUrl: sampleSqsUrl,
+				Entries: [
+					{
+						Id: '1',
+						MessageBody: JSON.stringify({
+							contentS3Location: {
+								path: contentS3Path,
+								bucketName: buckets[1].bucketName,
+								region: buckets[1].region
+							},
+							bar: 'bar'
+						}),
+						MessageAttributes: {
+							'janis-client': {
+								DataType: 'String',
+								StringValue: 'defaultClient'
+							},
+							sqsName: {
+								DataType: 'String',
+								StringValue: 'MySQSName'
+							}
+						}
+					}]
+			}, true).length, 1);
+
+		});
+
+		it('Should emit event with s3 content path if it is greater than 256KB', async () => {
+
+			const partiallySentResponse = {
+				successCount: 1,
+				failedCount: 0,
+				success: [
+					{
+						Id: '1',
+						messageId: '4ac0a219-1122-33b3-4445-5556666d734d',
+						attempts: 1
+					}
+				],
+				failed: []
+			};
+
+			ramMock.on(ListResourcesCommand).resolves({
+				resources: [{ arn: parameterNameStoreArn }]
+			});
+
+			ssmMock.on(GetParameterCommand).resolves({
+				Parameter: {
+					Value: JSON.stringify(buckets)
+				}
+			});
+
+			s3Mock.on(PutObjectCommand).resolves({
+				ETag: '5d41402abc4b2a76b9719d911017c590'
+			});
+
+			sqsMock.on(SendMessageBatchCommand).resolves({
+				Successful: [
+					{ Id: '1', MessageId: '4ac0a219-1122-33b3-4445-5556666d734d' }
+				]
+			});
+
+			const content = {
+				bar: 'bar',
+				foo: 'x'.repeat(256 * 1024)
+			};
+
+			const result = await this.sqsEmitter.publishEvents(sampleSqsUrl, [
+				{
+					payloadFixedProperties: ['bar'],
+					content
+				}
+			]);
+
+			assert.deepStrictEqual(result, partiallySentResponse);
+			assert.deepStrictEqual(ramMock.commandCalls(ListResourcesCommand).length, 1);
+			assert.deepStrictEqual(ssmMock.commandCalls(GetParameterCommand).length, 1);
+			assert.deepStrictEqual(s3Mock.commandCalls(PutObjectCommand).length, 1);
+			assert.deepStrictEqual(sqsMock.commandCalls(SendMessageBatchCommand).length, 1);
+
+			assertRamListResourceCommand();
+			assertSsmGetParameterCommand();
+			assertS3PutObjectCommand(content);
+			assert.deepStrictEqual(sqsMock.commandCalls(SendMessageBatchCommand, {
+				QueueUrl: sampleSqsUrl,
+				Entries: [
+					{
+						Id: '1',
+						MessageBody: JSON.stringify({
+							contentS3Location: {
+								path: contentS3Path,
+								bucketName: buckets[0].bucketName,
+								region: buckets[0].region
+							},
+							bar: 'bar'
+						}),
+						MessageAttributes: {
+							'janis-client': {
+								DataType: 'String',
+								StringValue: 'defaultClient'
+							},
+							sqsName: {
+								DataType: 'String',
+								StringValue: 'MySQSName'
+							}
+						}
+					}]
+			}, true).length, 1);
+
+		});
+
+		it('Should split events in batches not greater than 256KB', async () => {
+
+			sqsMock.on(SendMessageBatchCommand)
+				.resolvesOnce({
+					Successful: [
+						{ Id: '1', MessageId: '4ac0a219-1122-33b3-4445-5556666d734d' }
+					]
+				})
+				.resolvesOnce({
+					Failed: [{
+						Id: '2',
+						Code: 'SQS001',
+						Message: 'SQS Failed'
+					}]
+				});
+
+			const result = await this.sqsEmitter.publishEvents(sampleSqsUrl, [
+				{
+					content: {
+						foo: 'x'.repeat(150 * 1024)
+					}
+				},
+				{
+					content: {
+						foo: 'y'.repeat(150 * 1024)
+					}
+				}
+			]);
+
+			assert.deepStrictEqual(result, multiEventResponse);
+			assert.deepStrictEqual(ramMock.commandCalls(ListResourcesCommand).length, 0);
+			assert.deepStrictEqual(ssmMock.commandCalls(GetParameterCommand).length, 0);
+			assert.deepStrictEqual(s3Mock.commandCalls(PutObjectCommand).length, 0);
+			assert.deepStrictEqual(sqsMock.commandCalls(SendMessageBatchCommand).length, 2);
+
+			assert.deepStrictEqual(sqsMock.commandCalls(SendMessageBatchCommand, {
+				QueueUrl: sampleSqsUrl,
+				Entries: [
+					{
+						Id: '1',
+						MessageBody: JSON.stringify({
+							foo: 'x'.repeat(150 * 1024)
+						}),
+						MessageAttributes: {
+							'janis-client': {
+								DataType: 'String',
+								StringValue: 'defaultClient'
+							},
+							sqsName: {
+								DataType: 'String',
+								StringValue: 'MySQSName'
+							}
+						}
+					}
+				]
+			}, true).length, 1);
+
+			assert.deepStrictEqual(sqsMock.commandCalls(SendMessageBatchCommand, {
+				QueueUrl: sampleSqsUrl,
+				Entries: [
+					{
+						Id: '2',
+						MessageBody: JSON.stringify({
+							foo: 'y'.repeat(150 * 1024)
+						}),
+						MessageAttributes: {
+							'janis-client': {
+								DataType: 'String',
+								StringValue: 'defaultClient'
+							},
+							sqsName: {
+								DataType: 'String',
+								StringValue: 'MySQSName'
+							}
+						}
+
+					}
+				]
+			}, true).length, 1);
+		});
+
+		it('Should report every entry of a batch as failed when the SQS request fails without losing the other batches results', async () => {
+
+			const accessDeniedError = new Error('User is not authorized to perform sqs:SendMessage');
+			accessDeniedError.name = 'AccessDenied';
+			accessDeniedError.$fault = 'client';
+
+			sqsMock.on(SendMessageBatchCommand)
+				.rejectsOnce(accessDeniedError)
+				.resolvesOnce({
+					Successful: Array.from({ length: 5 }, (_, index) => ({ Id: `${index + 11}`, MessageId: `msg-${index + 11}` }))
+				});
+
+			const events = Array.from({ length: 15 }, (_, index) => ({
+				content: { message: `Event ${index + 1}` }
+			}));
+
+			const result = await this.sqsEmitter.publishEvents(sampleSqsUrl, events);
+
+			assert.deepStrictEqual(result, {
+				successCount: 5,
+				failedCount: 10,
+				success: Array.from({ length: 5 }, (_, index) => ({ Id: `${index + 11}`, messageId: `msg-${index + 11}`, attempts: 1 })),
+				failed: Array.from({ length: 10 }, (_, index) => ({
+					Id: `${index + 1}`,
+					Code: 'SQS_ERROR',
+					Message: 'User is not authorized to perform sqs:SendMessage',
+					SenderFault: true,
+					AwsErrorCode: 'AccessDenied',
+					attempts: 1
+				}))
+			});
+
+			assert.deepStrictEqual(sqsMock.commandCalls(SendMessageBatchCommand).length, 2);
+		});
+
+		it('Should use the AWS error code when reporting failed entries of a rejected batch', async () => {
+
+			const invalidError = new Error('Invalid queue');
+			invalidError.Code = 'InvalidAddress';
+			invalidError.$fault = 'client';
+
+			sqsMock.on(SendMessageBatchCommand).rejects(invalidError);
+
+			const result = await this.sqsEmitter.publishEvents(sampleSqsUrl, [
+				{ content: { foo: 'bar' } }
+			]);
+
+			assert.deepStrictEqual(result, {
+				successCount: 0,
+				failedCount: 1,
+				success: [],
+				failed: [{
+					Id: '1',
+					Code: 'SQS_ERROR',
+					Message: 'Invalid queue',
+					SenderFault: true,
+					AwsErrorCode: 'InvalidAddress',
+					attempts: 1
+				}]
+			});
+		});
+
+		it('Should retry the entries of a batch rejected because of throttling', async () => {
+
+			const throttlingError = new Error('Rate exceeded');
+			throttlingError.name = 'ThrottlingException';
+			throttlingError.$fault = 'client';
+
+			sqsMock.on(SendMessageBatchCommand)
+				.rejectsOnce(throttlingError)
+				.resolvesOnce({ Successful: [{ Id: '1', MessageId: 'msg-1' }] });
+
+			const promise = this.sqsEmitter.publishEvents(sampleSqsUrl, [{ content: { foo: 'bar' } }]);
+
+			await clock.runAllAsync();
+
+			assert.deepStrictEqual(await promise, {
+				successCount: 1,
+				failedCount: 0,
+				success: [{ Id: '1', messageId: 'msg-1', attempts: 2 }],
+				failed: []
+			});
+
+			assert.deepStrictEqual(sqsMock.commandCalls(SendMessageBatchCommand).length, 2);
+		});
+
+		it('Should report the entries of a batch rejected because of a server error once the max attempts are reached', async () => {
+
+			const serverError = new Error('Internal error');
+			serverError.name = 'InternalError';
+			serverError.$fault = 'server';
+
+			sqsMock.on(SendMessageBatchCommand).rejects(serverError);
+
+			const promise = this.sqsEmitter.publishEvents(sampleSqsUrl, [{ content: { foo: 'bar' } }]);
+
+			await clock.runAllAsync();
+
+			assert.deepStrictEqual((await promise).failed, [{
+				Id: '1',
+				Code: 'SQS_ERROR',
+				Message: 'Internal error',
+				SenderFault: false,
+				AwsErrorCode: 'InternalError',
+				attempts: 3
+			}]);
+
+			assert.deepStrictEqual(sqsMock.commandCalls(SendMessageBatchCommand).length, 3);
+		});
+
+		it('Should report the events with invalid attributes as failed entries and send the rest', async () => {
+
+			sqsMock.on(SendMessageBatchCommand).callsFake(input => ({
+				Successful: input.Entries.map(({ Id }) => ({ Id, MessageId: `msg-${Id}` }))
+			}));
+
+			const result = await this.sqsEmitter.publishEvents(sampleSqsUrl, [
+				{ content: { id: 1 }, attributes: { 'AWS.foo': 'bar' } },
+				{ content: { id: 2 }, attributes: { foo: 'bar' } },
+				{ content: { id: 3 }, attributes: { sqsName: 'otherQueue' } }
+			]);
+
+			assert.deepStrictEqual(result, {
+				successCount: 1,
+				failedCount: 2,
+				success: [{ Id: '2', messageId: 'msg-2', attempts: 1 }],
+				failed: [
+					{
+						Id: '1',
+						Code: 'RESERVED_ATTRIBUTE_NAME',
+						Message: 'Invalid attribute name AWS.foo: the AWS. and Amazon. prefixes are reserved',
+						attempts: 0
+					},
+					{
+						Id: '3',
+						Code: 'RESERVED_ATTRIBUTE_NAME',
+						Message: 'The attribute name sqsName is reserved by the emitter',
+						attempts: 0
+					}
+				]
+			});
+
+			assert.deepStrictEqual(sqsMock.commandCalls(SendMessageBatchCommand).length, 1);
+			assert.deepStrictEqual(sqsMock.commandCalls(SendMessageBatchCommand)[0].args[0].input.Entries.map(({ Id }) => Id), ['2']);
+		});
+
+		it('Should publish multiple events with delays and report the invalid ones as failed entries', async () => {
+
+			sqsMock.on(SendMessageBatchCommand).callsFake(input => ({
+				Successful: input.Entries.map(({ Id }) => ({ Id, MessageId: `msg-${Id}` }))
+			}));
+
+			const result = await this.sqsEmitter.publishEvents(sampleSqsUrl, [
+				{ content: { id: 1 }, delaySeconds: 10 },
+				{ content: { id: 2 }, scheduledAt: new Date(fakeDate.getTime() + 60000) },
+				{ content: { id: 3 }, delaySeconds: 1000 },
+				{ content: { id: 4 } }
+			]);
+
+			assert.deepStrictEqual(result, {
+				successCount: 3,
+				failedCount: 1,
+				success: [
+					{ Id: '1', messageId: 'msg-1', attempts: 1 },
+					{ Id: '2', messageId: 'msg-2', attempts: 1 },
+					{ Id: '4', messageId: 'msg-4', attempts: 1 }
+				],
+				failed: [{
+					Id: '3',
+					Code: 'INVALID_DELAY',
+					Message: 'Invalid delaySeconds: 1000. It must be an integer from 0 to 900',
+					attempts: 0
+				}]
+			});
+
+			const { Entries } = sqsMock.commandCalls(SendMessageBatchCommand)[0].args[0].input;
+
+			assert.deepStrictEqual(Entries.map(({ Id, DelaySeconds }) => ({ Id, DelaySeconds })), [
+				{ Id: '1', DelaySeconds: 10 },
+				{ Id: '2', DelaySeconds: 60 },
+				{ Id: '4', DelaySeconds: undefined }
+			]);
+		});
+
+		it('Should report the events with SNS-only properties as failed entries when they are rejected', async () => {
+
+			sqsMock.on(SendMessageBatchCommand).callsFake(input => ({
+				Successful: input.Entries.map(({ Id }) => ({ Id, MessageId: `msg-${Id}` }))
+			}));
+
+			const result = await this.sqsEmitter.publishEvents(sampleSqsUrl, [
+				{ content: { id: 1 }, subject: 'test' },
+				{ content: { id: 2 } }
+			], { snsFields: 'reject' });
+
+			assert.deepStrictEqual(result, {
+				successCount: 1,
+				failedCount: 1,
+				success: [{ Id: '2', messageId: 'msg-2', attempts: 1 }],
+				failed: [{
+					Id: '1',
+					Code: 'UNSUPPORTED_PROPERTY',
+					Message: 'Unsupported event properties: subject. They are only supported by SNS',
+					attempts: 0
+				}]
+			});
+		});
+
+		it('Should not send any batch if every event is invalid', async () => {
+
+			sqsMock.on(SendMessageBatchCommand).resolves({});
+
+			const result = await this.sqsEmitter.publishEvents(sampleSqsUrl, [
+				{ content: { id: 1 }, attributes: { foo: '' } }
+			]);
+
+			assert.deepStrictEqual(result, {
+				successCount: 0,
+				failedCount: 1,
+				success: [],
+				failed: [{
+					Id: '1',
+					Code: 'INVALID_ATTRIBUTE_VALUE',
+					Message: 'Invalid value for attribute foo: values cannot be empty',
+					attempts: 0
+				}]
+			});
+
+			assert.deepStrictEqual(sqsMock.commandCalls(SendMessageBatchCommand).length, 0);
+		});
+
+		describe('FIFO queues', () => {
+
+			const getEntryIds = input => input.Entries.map(({ Id }) => Id);
+
+			it('Should split events in batches of a single message group keeping their order', async () => {
+
+				sqsMock.on(SendMessageBatchCommand).callsFake(input => ({
+					Successful: input.Entries.map(({ Id }) => ({ Id, MessageId: `msg-${Id}`, SequenceNumber: Id }))
+				}));
+
+				const result = await this.sqsEmitter.publishEvents(sampleSqsUrlFifo, [
+					{ content: { id: 1 }, messageGroupId: 'group-a' },
+					{ content: { id: 2 }, messageGroupId: 'group-b' },
+					{ content: { id: 3 }, messageGroupId: 'group-a' }
+				]);
+
+				assert.deepStrictEqual(result.successCount, 3);
+				assert.deepStrictEqual(sqsMock.commandCalls(SendMessageBatchCommand).length, 2);
+
+				assert.deepStrictEqual(sqsMock.commandCalls(SendMessageBatchCommand).map(({ args }) => getEntryIds(args[0].input)), [
+					['1', '3'],
+					['2']
+				]);
+			});
+
+			it('Should send the batches of the same message group sequentially and different groups concurrently', async () => {
+
+				const inFlight = {};
+				const maxInFlight = {};
+				const sentIds = [];
+
+				sqsMock.on(SendMessageBatchCommand).callsFake(async input => {
+
+					const groupId = input.Entries[0].MessageGroupId;
+
+					inFlight[groupId] = (inFlight[groupId] || 0) + 1;
+					maxInFlight[groupId] = Math.max(maxInFlight[groupId] || 0, inFlight[groupId]);
+					maxInFlight.total = Math.max(maxInFlight.total || 0, Object.values(inFlight).reduce((total, count) => total + count, 0));
+
+					await new Promise(resolve => { setImmediate(resolve); });
+
+					inFlight[groupId]--;
+					sentIds.push(...getEntryIds(input));
+
+					return {
+						Successful: input.Entries.map(({ Id }) => ({ Id, MessageId: `msg-${Id}` }))
+					};
+				});
+
+				clock.restore();
+
+				// 15 events for group-a (2 batches) and 15 events for group-b (2 batches)
+				const events = Array.from({ length: 30 }, (_, index) => ({
+					content: { index },
+					messageGroupId: index < 15 ? 'group-a' : 'group-b'
+				}));
+
+				const result = await this.sqsEmitter.publishEvents(sampleSqsUrlFifo, events);
+
+				assert.deepStrictEqual(result.successCount, 30);
+				assert.deepStrictEqual(sqsMock.commandCalls(SendMessageBatchCommand).length, 4);
+				assert.deepStrictEqual(maxInFlight, { 'group-a': 1, 'group-b': 1, total: 2 });
+
+				const groupAIds = sentIds.filter(id => Number(id) <= 15);
+				assert.deepStrictEqual(groupAIds, Array.from({ length: 15 }, (_, index) => `${index + 1}`));
+			});
+
+			it('Should not send the next events of a message group whose event is not valid', async () => {
+
+				sqsMock.on(SendMessageBatchCommand).callsFake(input => ({
+					Successful: input.Entries.map(({ Id }) => ({ Id, MessageId: `msg-${Id}` }))
+				}));
+
+				this.sqsEmitter = new SqsEmitter({ defaultMessageGroupId: 'g' });
+
+				const result = await this.sqsEmitter.publishEvents(sampleSqsUrlFifo, [
+					{ content: { id: 1 } },
+					{ content: { id: 2 }, attributes: { 'invalid name': 'value' } },
+					{ content: { id: 3 }, messageGroupId: 'g' },
+					{ content: { id: 4 }, messageGroupId: 'other' }
+				]);
+
+				assert.deepStrictEqual(result.successCount, 2);
+				assert.deepStrictEqual(result.failed.map(({ Id, Code }) => ({ Id, Code })), [
+					{ Id: '2', Code: 'INVALID_ATTRIBUTE_NAME' },
+					{ Id: '3', Code: 'MESSAGE_GROUP_INTERRUPTED' }
+				]);
+
+				assert.deepStrictEqual(result.failed[1], {
+					Id: '3',
+					Code: 'MESSAGE_GROUP_INTERRUPTED',
+					Message: 'Not sent because a previous entry of the message group g failed',
+					attempts: 0
+				});
+
+				assert.deepStrictEqual(sqsMock.commandCalls(SendMessageBatchCommand).map(({ args }) => getEntryIds(args[0].input)), [
+					['1'],
+					['4']
+				]);
+			});
+
+			it('Should keep sending the events of other groups when an event has no message group', async () => {
+
+				sqsMock.on(SendMessageBatchCommand).callsFake(input => ({
+					Successful: input.Entries.map(({ Id }) => ({ Id, MessageId: `msg-${Id}` }))
+				}));
+
+				const result = await this.sqsEmitter.publishEvents(sampleSqsUrlFifo, [
+					{ content: { id: 1 } },
+					{ content: { id: 2 }, messageGroupId: 'g' }
+				]);
+
+				assert.deepStrictEqual(result.successCount, 1);
+				assert.deepStrictEqual(result.failed.map(({ Id, Code }) => ({ Id, Code })), [{ Id: '1', Code: 'MISSING_MESSAGE_GROUP_ID' }]);
+			});
+
+			describe('Failures and offloaded events', () => {
+
+				const largeContent = { foo: 'x'.repeat(300 * 1024) };
+
+				beforeEach(() => {
+
+					ramMock.on(ListResourcesCommand).resolves({
+						resources: [{ arn: parameterNameStoreArn }]
+					});
+
+					ssmMock.on(GetParameterCommand).resolves({
+						Parameter: {
+							Value: JSON.stringify(buckets)
+						}
+					});
+				});
+
+				it('Should keep the order of the offloaded and the normal events of a message group', async () => {
+
+					s3Mock.on(PutObjectCommand).resolves({});
+
+					sqsMock.on(SendMessageBatchCommand).callsFake(input => ({
+						Successful: input.Entries.map(({ Id }) => ({ Id, MessageId: `msg-${Id}`, SequenceNumber: Id }))
+					}));
+
+					const result = await this.sqsEmitter.publishEvents(sampleSqsUrlFifo, [
+						{ content: largeContent, messageGroupId: 'group-a' },
+						{ content: { id: 2 }, messageGroupId: 'group-a' },
+						{ content: largeContent, messageGroupId: 'group-a', messageDeduplicationId: 'dedup-3' }
+					]);
+
+					assert.deepStrictEqual(result.successCount, 3);
+					assert.deepStrictEqual(sqsMock.commandCalls(SendMessageBatchCommand).map(({ args }) => getEntryIds(args[0].input)), [
+						['1', '2', '3']
+					]);
+				});
+
+				it('Should not send the events of a message group that follow an event whose content cannot be uploaded', async () => {
+
+					s3Mock.on(PutObjectCommand).rejects(new Error('Error fetching S3'));
+
+					sqsMock.on(SendMessageBatchCommand).callsFake(input => ({
+						Successful: input.Entries.map(({ Id }) => ({ Id, MessageId: `msg-${Id}`, SequenceNumber: Id }))
+					}));
+
+					const result = await this.sqsEmitter.publishEvents(sampleSqsUrlFifo, [
+						{ content: { id: 1 }, messageGroupId: 'group-a' },
+						{ content: largeContent, messageGroupId: 'group-a' },
+						{ content: { id: 3 }, messageGroupId: 'group-a' },
+						{ content: { id: 4 }, messageGroupId: 'group-b' }
+					]);
+
+					assert.deepStrictEqual(result.successCount, 2);
+					assert.deepStrictEqual(result.failed.map(({ Id, Code }) => ({ Id, Code })), [
+						{ Id: '2', Code: 'S3_ERROR' },
+						{ Id: '3', Code: 'MESSAGE_GROUP_INTERRUPTED' }
+					]);
+
+					assert.deepStrictEqual(result.failed[1], {
+						Id: '3',
+						Code: 'MESSAGE_GROUP_INTERRUPTED',
+						Message: 'Not sent because a previous entry of the message group group-a failed',
+						attempts: 0
+					});
+
+					const sentBatches = sqsMock.commandCalls(SendMessageBatchCommand).map(({ args }) => getEntryIds(args[0].input));
+
+					// The groups are sent concurrently, so the order of their batches is not asserted
+					assert.deepStrictEqual(sentBatches.sort(), [
+						['1'],
+						['4']
+					]);
+				});
+
+				it('Should not send the next batches of a message group once a batch has failed entries', async () => {
+
+					sqsMock.on(SendMessageBatchCommand).callsFake(input => ({
+						...input.Entries[0].MessageGroupId === 'group-a' ? {
+							Failed: input.Entries.map(({ Id }) => ({
+								Id, Code: 'InvalidParameterValue', Message: 'Invalid', SenderFault: true
+							}))
+						} : {
+							Successful: input.Entries.map(({ Id }) => ({ Id, MessageId: `msg-${Id}`, SequenceNumber: Id }))
+						}
+					}));
+
+					const result = await this.sqsEmitter.publishEvents(sampleSqsUrlFifo, [
+						{ content: { id: 1 }, messageGroupId: 'group-a' },
+						{ content: { id: 2 }, messageGroupId: 'group-a' },
+						{ content: { id: 3 }, messageGroupId: 'group-a' },
+						{ content: { id: 4 }, messageGroupId: 'group-b' },
+						{ content: { id: 5 }, messageGroupId: 'group-b' }
+					], { maxBatchEntries: 1 });
+
+					assert.deepStrictEqual(result.success.map(({ Id }) => Id), ['4', '5']);
+					assert.deepStrictEqual(result.failed.map(({ Id, Code }) => ({ Id, Code })), [
+						{ Id: '1', Code: 'InvalidParameterValue' },
+						{ Id: '2', Code: 'MESSAGE_GROUP_INTERRUPTED' },
+						{ Id: '3', Code: 'MESSAGE_GROUP_INTERRUPTED' }
+					]);
+
+					assert.deepStrictEqual(sqsMock.commandCalls(SendMessageBatchCommand).length, 3);
+				});
+			});
+
+			it('Should not group events by message group in standard queues', async () => {
+
+				sqsMock.on(SendMessageBatchCommand).callsFake(input => ({
+					Successful: input.Entries.map(({ Id }) => ({ Id, MessageId: `msg-${Id}` }))
+				}));
+
+				await this.sqsEmitter.publishEvents(sampleSqsUrl, [
+					{ content: { id: 1 }, messageGroupId: 'group-a' },
+					{ content: { id: 2 }, messageGroupId: 'group-b' }
+				]);
+
+				assert.deepStrictEqual(sqsMock.commandCalls(SendMessageBatchCommand).map(({ args }) => getEntryIds(args[0].input)), [
+					['1', '2']
+				]);
+			});
+			it('Should report the events without a message group as failed entries and send the rest', async () => {
+
+				sqsMock.on(SendMessageBatchCommand).callsFake(input => ({
+					Successful: input.Entries.map(({ Id }) => ({ Id, MessageId: `msg-${Id}`, SequenceNumber: Id }))
+				}));
+
+				const result = await this.sqsEmitter.publishEvents(sampleSqsUrlFifo, [
+					{ content: { id: 1 }, messageGroupId: 'group-a' },
+					{ content: { id: 2 } },
+					{ content: { id: 3 }, messageGroupId: 'group a' }
+				]);
+
+				assert.deepStrictEqual(result, {
+					successCount: 1,
+					failedCount: 2,
+					success: [{ Id: '1', messageId: 'msg-1', sequenceNumber: '1', attempts: 1 }],
+					failed: [
+						{
+							Id: '2',
+							Code: 'MISSING_MESSAGE_GROUP_ID',
+							Message: 'The messageGroupId is required in FIFO queues',
+							attempts: 0
+						},
+						{
+							Id: '3',
+							Code: 'INVALID_MESSAGE_GROUP_ID',
+							Message: 'Invalid messageGroupId: group a. It must have from 1 to 128 alphanumeric or punctuation characters',
+							attempts: 0
+						}
+					]
+				});
+
+				assert.deepStrictEqual(sqsMock.commandCalls(SendMessageBatchCommand).length, 1);
+			});
+
+			it('Should reject a single event without a message group', async () => {
+
+				await assert.rejects(this.sqsEmitter.publishEvent(sampleSqsUrlFifo, { content: { id: 1 } }), {
+					name: 'SqsEmitterError',
+					code: 'MISSING_MESSAGE_GROUP_ID'
+				});
+
+				assert.deepStrictEqual(sqsMock.commandCalls(SendMessageCommand).length, 0);
+			});
+
+			it('Should use the default message group of the emitter or the call', async () => {
+
+				sqsMock.on(SendMessageBatchCommand).callsFake(input => ({
+					Successful: input.Entries.map(({ Id }) => ({ Id, MessageId: `msg-${Id}`, SequenceNumber: Id }))
+				}));
+
+				this.sqsEmitter = new SqsEmitter({ defaultMessageGroupId: 'default-group' });
+
+				await this.sqsEmitter.publishEvents(sampleSqsUrlFifo, [
+					{ content: { id: 1 } },
+					{ content: { id: 2 }, messageGroupId: 'group-a' }
+				]);
+
+				await this.sqsEmitter.publishEvents(sampleSqsUrlFifo, [
+					{ content: { id: 3 } }
+				], { defaultMessageGroupId: 'call-group' });
+
+				const groupIds = sqsMock.commandCalls(SendMessageBatchCommand)
+					.flatMap(call => call.args[0].input.Entries.map(({ MessageGroupId }) => MessageGroupId));
+
+				assert.deepStrictEqual(groupIds.sort(), ['call-group', 'default-group', 'group-a']);
+			});
+
+			it('Should generate stable deduplication ids unless the queue has content-based deduplication', async () => {
+
+				sqsMock.on(SendMessageCommand).resolves({ MessageId: 'msg-1', SequenceNumber: '1' });
+
+				const event = { content: { id: 1 }, messageGroupId: 'group-a' };
+
+				await this.sqsEmitter.publishEvent(sampleSqsUrlFifo, event);
+				await this.sqsEmitter.publishEvent(sampleSqsUrlFifo, event);
+				await this.sqsEmitter.publishEvent(sampleSqsUrlFifo, event, { contentBasedDeduplication: true });
+
+				const [firstCall, secondCall, contentBasedCall] = sqsMock.commandCalls(SendMessageCommand)
+					.map(call => call.args[0].input.MessageDeduplicationId);
+
+				assert.match(firstCall, /^[0-9a-f]{64}$/);
+				assert.deepStrictEqual(secondCall, firstCall);
+				assert.deepStrictEqual(contentBasedCall, undefined);
+			});
+
+			it('Should use the content-based deduplication of the queue when the queue attributes are used', async () => {
+
+				sqsMock.on(GetQueueAttributesCommand).resolves({
+					Attributes: { MaximumMessageSize: '262144', ContentBasedDeduplication: 'true' }
+				});
+
+				sqsMock.on(SendMessageCommand).resolves({ MessageId: 'msg-1', SequenceNumber: '1' });
+
+				const event = { content: { id: 1 }, messageGroupId: 'group-a' };
+
+				await this.sqsEmitter.publishEvent(sampleSqsUrlFifo, event, { useQueueAttributes: true });
+				await this.sqsEmitter.publishEvent(sampleSqsUrlFifo, event, { useQueueAttributes: true, contentBasedDeduplication: false });
+
+				const [queueAttributeCall, optionCall] = sqsMock.commandCalls(SendMessageCommand)
+					.map(call => call.args[0].input.MessageDeduplicationId);
+
+				assert.deepStrictEqual(queueAttributeCall, undefined);
+				assert.match(optionCall, /^[0-9a-f]{64}$/);
+				assert.deepStrictEqual(sqsMock.commandCalls(GetQueueAttributesCommand).length, 1);
+			});
+		});
+
+		describe('Retries', () => {
+
+			const failedEntry = {
+				Id: '2',
+				Code: 'InternalError',
+				Message: 'Internal Error',
+				SenderFault: false
+			};
+
+			const events = [
+				{ content: { foo: 'bar' } },
+				{ content: { foo: 'baz' } }
+			];
+
+			const formatEntry = (id, content) => ({
+				Id: id,
+				MessageBody: JSON.stringify(content),
+				MessageAttributes: {
+					'janis-client': {
+						DataType: 'String',
+						StringValue: 'defaultClient'
+					},
+					sqsName: {
+						DataType: 'String',
+						StringValue: sqsName
+					}
+				}
+			});
+
+			const publishWithTimers = async (...args) => {
+				const promise = this.sqsEmitter.publishEvents(...args);
+				await clock.runAllAsync();
+				return promise;
+			};
+
+			it('Should retry only the entries that failed without sender fault keeping their original Id', async () => {
+
+				sqsMock.on(SendMessageBatchCommand)
+					.resolvesOnce({
+						Successful: [{ Id: '1', MessageId: 'msg-1' }],
+						Failed: [failedEntry]
+					})
+					.resolvesOnce({
+						Successful: [{ Id: '2', MessageId: 'msg-2' }]
+					});
+
+				const result = await publishWithTimers(sampleSqsUrl, events);
+
+				assert.deepStrictEqual(result, {
+					successCount: 2,
+					failedCount: 0,
+					success: [
+						{ Id: '1', messageId: 'msg-1', attempts: 1 },
+						{ Id: '2', messageId: 'msg-2', attempts: 2 }
+					],
+					failed: []
+				});
+
+				assert.deepStrictEqual(sqsMock.commandCalls(SendMessageBatchCommand).length, 2);
+				assert.deepStrictEqual(sqsMock.commandCalls(SendMessageBatchCommand, {
+					QueueUrl: sampleSqsUrl,
+					Entries: [formatEntry('2', { foo: 'baz' })]
+				}, true).length, 1);
+			});
+
+			it('Should not retry the entries that failed because of the sender', async () => {
+
+				sqsMock.on(SendMessageBatchCommand).resolves({
+					Successful: [{ Id: '1', MessageId: 'msg-1' }],
+					Failed: [{ ...failedEntry, SenderFault: true }]
+				});
+
+				const result = await publishWithTimers(sampleSqsUrl, events);
+
+				assert.deepStrictEqual(result, {
+					successCount: 1,
+					failedCount: 1,
+					success: [{ Id: '1', messageId: 'msg-1', attempts: 1 }],
+					failed: [{ ...failedEntry, SenderFault: true, attempts: 1 }]
+				});
+
+				assert.deepStrictEqual(sqsMock.commandCalls(SendMessageBatchCommand).length, 1);
+			});
+
+			it('Should stop retrying when the max attempts received in the call are reached', async () => {
+
+				sqsMock.on(SendMessageBatchCommand)
+					.resolvesOnce({
+						Successful: [{ Id: '1', MessageId: 'msg-1' }],
+						Failed: [failedEntry]
+					})
+					.resolves({
+						Failed: [failedEntry]
+					});
+
+				const result = await publishWithTimers(sampleSqsUrl, events, { retry: { maxAttempts: 4 } });
+
+				assert.deepStrictEqual(result, {
+					successCount: 1,
+					failedCount: 1,
+					success: [{ Id: '1', messageId: 'msg-1', attempts: 1 }],
+					failed: [{ ...failedEntry, attempts: 4 }]
+				});
+
+				assert.deepStrictEqual(sqsMock.commandCalls(SendMessageBatchCommand).length, 4);
+			});
+
+			it('Should not retry the entries of a FIFO queue followed by a successful entry of their group', async () => {
+
+				const fifoEvents = [
+					{ content: { id: 1 }, messageGroupId: 'group-a' },
+					{ content: { id: 2 }, messageGroupId: 'group-a' },
+					{ content: { id: 3 }, messageGroupId: 'group-a' }
+				];
+
+				sqsMock.on(SendMessageBatchCommand)
+					.resolvesOnce({
+						Successful: [{ Id: '2', MessageId: 'msg-2', SequenceNumber: '2' }],
+						Failed: [{ ...failedEntry, Id: '1' }, { ...failedEntry, Id: '3' }]
+					})
+					.resolvesOnce({
+						Successful: [{ Id: '3', MessageId: 'msg-3', SequenceNumber: '3' }]
+					});
+
+				const result = await publishWithTimers(sampleSqsUrlFifo, fifoEvents);
+
+				assert.deepStrictEqual(result, {
+					successCount: 2,
+					failedCount: 1,
+					success: [
+						{ Id: '2', messageId: 'msg-2', sequenceNumber: '2', attempts: 1 },
+						{ Id: '3', messageId: 'msg-3', sequenceNumber: '3', attempts: 2 }
+					],
+					failed: [{ ...failedEntry, Id: '1', attempts: 1 }]
+				});
+
+				assert.deepStrictEqual(sqsMock.commandCalls(SendMessageBatchCommand).map(({ args }) => args[0].input.Entries.map(({ Id }) => Id)), [
+					['1', '2', '3'],
+					['3']
+				]);
+			});
+
+			it('Should wait an exponential backoff with jitter between attempts', async () => {
+
+				sinon.stub(Math, 'random').returns(0.5);
+
+				sqsMock.on(SendMessageBatchCommand).resolves({
+					Failed: [{ ...failedEntry, Id: '1' }]
+				});
+
+				await publishWithTimers(sampleSqsUrl, [events[0]], { retry: { baseDelay: 200 } });
+
+				// 100ms for the second attempt plus 200ms for the third one
+				assert.deepStrictEqual(Date.now() - fakeDate.getTime(), 300);
+				assert.deepStrictEqual(sqsMock.commandCalls(SendMessageBatchCommand).length, 3);
+			});
+
+			it('Should not retry when the emitter was configured with a single attempt', async () => {
+
+				this.sqsEmitter = new SqsEmitter({ retry: { maxAttempts: 1 } });
+				this.sqsEmitter.session = { clientCode: 'defaultClient' };
+
+				sqsMock.on(SendMessageBatchCommand).resolves({
+					Successful: [{ Id: '1', MessageId: 'msg-1' }],
+					Failed: [failedEntry]
+				});
+
+				const result = await publishWithTimers(sampleSqsUrl, events);
+
+				assert.deepStrictEqual(result, {
+					successCount: 1,
+					failedCount: 1,
+					success: [{ Id: '1', messageId: 'msg-1', attempts: 1 }],
+					failed: [{ ...failedEntry, attempts: 1 }]
+				});
+
+				assert.deepStrictEqual(sqsMock.commandCalls(SendMessageBatchCommand).length, 1);
+			});
+		});
+
+		it('Should split events in batches using the UTF-8 bytes of the messages', async () => {
+
+			sqsMock.on(SendMessageBatchCommand).callsFake(input => ({
+				Successful: input.Entries.map(({ Id }) => ({ Id, MessageId: `msg-${Id}` }))
+			}));
+
+			// 90K characters but 180KB each
+			const result = await this.sqsEmitter.publishEvents(sampleSqsUrl, [
+				{ content: { foo: 'á'.repeat(90 * 1024) } },
+				{ content: { foo: 'é'.repeat(90 * 1024) } }
+			]);
+
+			assert.deepStrictEqual(result.successCount, 2);
+			assert.deepStrictEqual(s3Mock.commandCalls(PutObjectCommand).length, 0);
+			assert.deepStrictEqual(sqsMock.commandCalls(SendMessageBatchCommand).length, 2);
 		});
 
 		it('Should split events in batches not greater than 10 entries', async () => {